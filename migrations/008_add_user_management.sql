@@ -0,0 +1,24 @@
+-- D1 Migration: Add account management columns and password reset tokens
+-- Supports the admin user-management API (disable accounts, reset passwords)
+
+-- Disabled accounts cannot log in; their sessions are deactivated when disabled
+ALTER TABLE users
+ADD COLUMN is_disabled BOOLEAN DEFAULT FALSE;
+
+-- Last time the password was set or changed
+ALTER TABLE users
+ADD COLUMN password_changed_at DATETIME;
+
+-- One-time password reset tokens issued by admins (only the SHA-256 hash is stored)
+CREATE TABLE password_reset_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
@@ -0,0 +1,18 @@
+-- D1 Migration: Add per-user API keys with scopes
+-- Replaces the shared x-api-key secret; only a SHA-256 hash of each key is stored
+
+CREATE TABLE api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    key_prefix TEXT NOT NULL,  -- first characters of the key, shown in listings
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT NOT NULL,  -- JSON array, e.g. ["files:read", "chat"]
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,  -- NULL means the key does not expire
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_api_keys_user_id ON api_keys(user_id);
@@ -0,0 +1,18 @@
+-- D1 Migration: Add rate limiting state shared across isolates
+-- Token buckets for requests per minute, and a registry of open chat streams
+
+-- One token bucket per subject and route group, e.g. 'chat:user:12' or 'tools:key:3'
+CREATE TABLE rate_limit_buckets (
+    bucket_key TEXT PRIMARY KEY,
+    tokens REAL NOT NULL,
+    updated_at REAL NOT NULL  -- unix time in seconds of the last refill
+);
+
+-- Open streaming responses; rows are removed when the stream ends
+CREATE TABLE active_streams (
+    id TEXT PRIMARY KEY,
+    subject TEXT NOT NULL,  -- e.g. 'user:12' or 'key:3'
+    started_at REAL NOT NULL  -- unix time in seconds
+);
+
+CREATE INDEX idx_active_streams_subject ON active_streams(subject, started_at);
@@ -0,0 +1,33 @@
+-- D1 Migration: Add append-only audit log
+-- Records who did what for privileged and data-changing operations
+
+CREATE TABLE audit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    actor_user_id INTEGER,  -- NULL for anonymous actions such as failed logins
+    actor_username TEXT,  -- copied so entries survive user deletion
+    api_key_id INTEGER,  -- set when the action was made with an API key
+    action VARCHAR(100) NOT NULL,  -- e.g. 'd1.command', 'file.delete', 'user.update', 'auth.login'
+    target_type VARCHAR(50),
+    target_id TEXT,
+    details TEXT,  -- JSON
+    ip_address TEXT,
+    user_agent TEXT
+);
+
+CREATE INDEX idx_audit_events_created_at ON audit_events(created_at);
+CREATE INDEX idx_audit_events_actor ON audit_events(actor_user_id, created_at);
+CREATE INDEX idx_audit_events_action ON audit_events(action, created_at);
+
+-- Entries can never be changed or removed
+CREATE TRIGGER audit_events_no_update
+    BEFORE UPDATE ON audit_events
+    BEGIN
+        SELECT RAISE(ABORT, 'audit_events is append-only');
+    END;
+
+CREATE TRIGGER audit_events_no_delete
+    BEFORE DELETE ON audit_events
+    BEGIN
+        SELECT RAISE(ABORT, 'audit_events is append-only');
+    END;
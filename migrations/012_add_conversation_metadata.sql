@@ -0,0 +1,7 @@
+-- D1 Migration: Conversation titles and archiving
+-- Titles are set automatically after the first exchange and can be renamed with PATCH /conversations/:id
+
+ALTER TABLE conversations ADD COLUMN title TEXT;
+ALTER TABLE conversations ADD COLUMN archived INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user_archived ON conversations(user_id, archived, updated_at);
@@ -0,0 +1,29 @@
+-- D1 Migration: Record every agent iteration and tool result
+-- Each iteration's assistant turn is stored with its index, and each tool call gets its own 'tool' row
+-- with the parsed input, result, duration and error. SQLite cannot alter a CHECK constraint, so the
+-- table is rebuilt to allow the 'tool' role.
+
+CREATE TABLE conversation_messages_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id TEXT NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant', 'system', 'tool')),
+    content TEXT NOT NULL,  -- for 'tool' rows: the JSON result, cut to TRUNCATION_LIMITS.STORED_TOOL_RESULT_LENGTH
+    tool_calls TEXT,  -- JSON array of { id, name, input } on assistant rows
+    iteration INTEGER,  -- agent loop iteration, starting at 1; NULL for user messages
+    tool_call_id TEXT,
+    tool_name TEXT,
+    tool_input TEXT,  -- JSON
+    duration_ms INTEGER,
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+);
+
+INSERT INTO conversation_messages_new (id, conversation_id, role, content, tool_calls, created_at)
+SELECT id, conversation_id, role, content, tool_calls, created_at FROM conversation_messages;
+
+DROP TABLE conversation_messages;
+ALTER TABLE conversation_messages_new RENAME TO conversation_messages;
+
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation_id ON conversation_messages(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_created_at ON conversation_messages(created_at);
@@ -0,0 +1,27 @@
+-- D1 Migration: Full-text search over conversation history
+-- External-content FTS5 index over message content (including tool results) and tool inputs,
+-- kept in sync with conversation_messages by triggers
+
+CREATE VIRTUAL TABLE IF NOT EXISTS conversation_messages_fts USING fts5(
+    content,
+    tool_input,
+    content = 'conversation_messages',
+    content_rowid = 'id',
+    tokenize = 'porter unicode61'
+);
+
+CREATE TRIGGER conversation_messages_fts_insert AFTER INSERT ON conversation_messages BEGIN
+    INSERT INTO conversation_messages_fts (rowid, content, tool_input) VALUES (new.id, new.content, new.tool_input);
+END;
+
+CREATE TRIGGER conversation_messages_fts_delete AFTER DELETE ON conversation_messages BEGIN
+    INSERT INTO conversation_messages_fts (conversation_messages_fts, rowid, content, tool_input) VALUES ('delete', old.id, old.content, old.tool_input);
+END;
+
+CREATE TRIGGER conversation_messages_fts_update AFTER UPDATE OF content, tool_input ON conversation_messages BEGIN
+    INSERT INTO conversation_messages_fts (conversation_messages_fts, rowid, content, tool_input) VALUES ('delete', old.id, old.content, old.tool_input);
+    INSERT INTO conversation_messages_fts (rowid, content, tool_input) VALUES (new.id, new.content, new.tool_input);
+END;
+
+-- Index the messages stored before this migration
+INSERT INTO conversation_messages_fts (conversation_messages_fts) VALUES ('rebuild');
@@ -0,0 +1,21 @@
+-- D1 Migration: Branching conversations
+-- Every message points at the message before it (parent_id), so editing or regenerating an earlier turn
+-- adds a sibling branch instead of overwriting history. The conversation's active_message_id is the
+-- last message of the branch that chat continues and GET /conversations/:id shows.
+
+ALTER TABLE conversation_messages ADD COLUMN parent_id INTEGER REFERENCES conversation_messages(id) ON DELETE CASCADE;
+ALTER TABLE conversations ADD COLUMN active_message_id INTEGER;
+ALTER TABLE conversations ADD COLUMN forked_from_conversation_id TEXT;
+ALTER TABLE conversations ADD COLUMN forked_from_message_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_parent_id ON conversation_messages(parent_id);
+
+-- Existing conversations are a single branch in insertion order
+UPDATE conversation_messages
+SET parent_id = (
+    SELECT MAX(p.id) FROM conversation_messages p
+    WHERE p.conversation_id = conversation_messages.conversation_id AND p.id < conversation_messages.id
+);
+
+UPDATE conversations
+SET active_message_id = (SELECT MAX(m.id) FROM conversation_messages m WHERE m.conversation_id = conversations.id);
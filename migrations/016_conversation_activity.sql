@@ -0,0 +1,12 @@
+-- D1 Migration: Conversation activity time
+-- updated_at now moves forward whenever a message is saved, so conversation lists sort by last activity.
+-- Until now it was never changed after creation; backfill it from each conversation's newest message.
+
+UPDATE conversations
+SET updated_at = COALESCE(
+    (SELECT MAX(m.created_at) FROM conversation_messages m WHERE m.conversation_id = conversations.id),
+    updated_at
+);
+
+-- Keyset pagination orders by (updated_at, id) within one user's conversations
+CREATE INDEX IF NOT EXISTS idx_conversations_user_updated ON conversations(user_id, updated_at, id);
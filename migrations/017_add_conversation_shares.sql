@@ -0,0 +1,19 @@
+-- D1 Migration: Read-only conversation share links
+-- A share freezes the branch ending at message_id when it was created. The link's token is signed
+-- with SHARE_TOKEN_SECRET and never stored; revoking or deleting the share row disables it.
+
+CREATE TABLE IF NOT EXISTS conversation_shares (
+    id TEXT PRIMARY KEY,
+    conversation_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    message_id INTEGER NOT NULL,
+    redact_tool_payloads INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_shares_user_id ON conversation_shares(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_conversation_shares_conversation_id ON conversation_shares(conversation_id);
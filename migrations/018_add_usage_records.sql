@@ -0,0 +1,23 @@
+-- D1 Migration: LLM token usage and cost
+-- One row per agent iteration, linked to the assistant message it produced. Rows are kept when the
+-- conversation or user is deleted so spend can still be charged back; cost_usd is fixed at recording
+-- time from AI_CONFIG.PRICING (NULL for models without a price).
+
+CREATE TABLE IF NOT EXISTS usage_records (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    conversation_id TEXT,
+    message_id INTEGER,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cache_read_tokens INTEGER NOT NULL DEFAULT 0,
+    cache_write_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_records_user_created ON usage_records(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_records_created ON usage_records(created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_records_message_id ON usage_records(message_id);
@@ -0,0 +1,8 @@
+-- D1 Migration: Running conversation summaries
+-- Once a branch's history outgrows the chat context budget, its older turns are summarised into summary,
+-- which covers the branch up to and including summary_message_id. Later turns reuse it until the messages
+-- after that point outgrow the budget again; a branch that does not contain summary_message_id starts over.
+
+ALTER TABLE conversations ADD COLUMN summary TEXT;
+ALTER TABLE conversations ADD COLUMN summary_message_id INTEGER;
+ALTER TABLE conversations ADD COLUMN summary_updated_at DATETIME;
@@ -0,0 +1,27 @@
+-- D1 Migration: Feedback on assistant messages
+-- One rating per user and message; submitting again replaces it. Negative feedback can be graded
+-- automatically: grade holds the grader's JSON result and grade_status tracks the background run.
+
+CREATE TABLE IF NOT EXISTS message_feedback (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id TEXT NOT NULL,
+    message_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    rating TEXT NOT NULL CHECK (rating IN ('up', 'down')),
+    reason TEXT CHECK (reason IN ('wrong_sql', 'wrong_kb_answer', 'hallucination', 'formatting', 'other')),
+    comment TEXT,
+    grade_status TEXT CHECK (grade_status IN ('pending', 'graded', 'failed')),
+    grade TEXT,
+    grade_score REAL,
+    grade_error TEXT,
+    graded_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (message_id, user_id),
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    FOREIGN KEY (message_id) REFERENCES conversation_messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_feedback_conversation_id ON message_feedback(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_message_feedback_rating ON message_feedback(rating, reason);
@@ -0,0 +1,24 @@
+-- D1 Migration: One running summary per branch
+-- A summary covers the branch up to and including its message_id, so each branch keeps its own and chatting
+-- on one branch no longer replaces another's. A branch uses the summary at its latest message that has one.
+-- Replaces the single summary stored on conversations.
+
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+    message_id INTEGER PRIMARY KEY,
+    conversation_id TEXT NOT NULL,
+    summary TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (message_id) REFERENCES conversation_messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_summaries_conversation_id ON conversation_summaries(conversation_id);
+
+INSERT INTO conversation_summaries (message_id, conversation_id, summary, created_at)
+SELECT summary_message_id, id, summary, summary_updated_at
+FROM conversations
+WHERE summary IS NOT NULL AND summary_message_id IN (SELECT id FROM conversation_messages);
+
+ALTER TABLE conversations DROP COLUMN summary;
+ALTER TABLE conversations DROP COLUMN summary_message_id;
+ALTER TABLE conversations DROP COLUMN summary_updated_at;
@@ -0,0 +1,17 @@
+-- D1 Migration: Statements prepared by prepare_sql_for_user
+-- The tool stores each statement here and hands the client its ID; POST /sql/approvals decides by that ID, so
+-- the audit log records the SQL the assistant prepared rather than whatever the client sends back.
+
+CREATE TABLE IF NOT EXISTS prepared_sql_statements (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    conversation_id TEXT,
+    statement TEXT NOT NULL,
+    decision TEXT CHECK (decision IN ('approved', 'rejected')),
+    decided_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_prepared_sql_statements_user_id ON prepared_sql_statements(user_id);
@@ -0,0 +1,13 @@
+// Print a PBKDF2 password hash for bootstrapping the first admin account
+// Usage: node scripts/hash-password.js <password>
+//   then: wrangler d1 execute rodeo-agent-db --command "UPDATE users SET hashed_password = '<hash>' WHERE username = 'admin'"
+import { hashPassword } from '../src/utils/password.js';
+
+const password = process.argv[2];
+
+if (!password) {
+  console.error('Usage: node scripts/hash-password.js <password>');
+  process.exit(1);
+}
+
+console.log(await hashPassword(password));
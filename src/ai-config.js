@@ -3,6 +3,12 @@
  */
 
 export const AI_CONFIG = {
+	// Service identity reported by GET / and the OpenAPI document
+	SERVICE: {
+		NAME: 'Rodeo AI Agent',
+		VERSION: '1.0.0'
+	},
+
 	// Model configurations
 	DEFAULT_MODELS: {
 		anthropic: 'claude-3-5-haiku-latest',
@@ -15,6 +21,47 @@ export const AI_CONFIG = {
 		grader: 'claude-3-5-haiku-latest'
 	},
 
+	// Automatic conversation titles, generated by a small model after the first exchange
+	TITLES: {
+		MODELS: {
+			groq: 'llama-3.1-8b-instant',
+			anthropic: 'claude-3-5-haiku-latest'
+		},
+		MAX_TOKENS: 24,
+		MAX_LENGTH: 80,
+		CONTEXT_LENGTH: 1000 // Characters of each message sent to the title model
+	},
+
+	// History compaction: when the stored history replayed as chat context goes over the budget, its older
+	// turns are summarised by a small model into the conversation's running summary
+	COMPACTION: {
+		MODELS: {
+			groq: 'llama-3.1-8b-instant',
+			anthropic: 'claude-3-5-haiku-latest'
+		},
+		HISTORY_TOKEN_BUDGET: 12000, // Estimated tokens of history (after the summary) that triggers compaction
+		KEEP_RECENT_TOKENS: 4000, // Estimated tokens of the latest turns kept verbatim after compacting
+		CHARS_PER_TOKEN: 4, // Rough token estimate, good enough for a budget
+		MAX_TOKENS: 1000, // Length of the summary the model writes
+		MAX_SUMMARY_LENGTH: 8000, // Characters; bounds the fallback summary when the model is unavailable
+		TRANSCRIPT_LENGTH: 40000, // Characters of older turns sent to the model
+		TOOL_RESULT_ROWS: 5 // Rows of each SQL result kept in the transcript
+	},
+
+	// LLM prices in USD per million tokens, keyed by model ID or ID prefix (the longest matching key wins).
+	// cacheRead and cacheWrite default to the input price. A message's cost is fixed when it is recorded.
+	PRICING: {
+		'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+		'claude-3-5-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+		'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+		'openai/gpt-oss-120b': { input: 0.15, output: 0.75 },
+		'openai/gpt-oss-20b': { input: 0.1, output: 0.5 },
+		'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+		'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+		'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+		'gpt-4-turbo': { input: 10, output: 30 }
+	},
+
 	// Agent loop settings
 	AGENT_LOOP: {
 		MAX_ITERATIONS: 10,
@@ -36,6 +83,7 @@ export const AI_CONFIG = {
 		CONTENT_LENGTH: 4000,          // Max content length before truncation
 		CONTENT_PREVIEW_LENGTH: 3800,  // Length to truncate to
 		TOOL_RESULT_LENGTH: 4000,      // Max tool result length
+		STORED_TOOL_RESULT_LENGTH: 50000, // Max tool result length saved to conversation_messages
 		JSON_INDENT: 2                 // JSON formatting indent
 	},
 
@@ -58,12 +106,66 @@ export const AI_CONFIG = {
 		HEADERS: {
 			'Content-Type': 'text/event-stream',
 			'Cache-Control': 'no-cache',
-			'Connection': 'keep-alive',
-			'Access-Control-Allow-Origin': '*',
-			'Access-Control-Allow-Headers': 'Content-Type'
+			'Connection': 'keep-alive'
 		}
 	},
 
+	// CORS settings (CORS_ALLOWED_ORIGINS env var, comma separated, overrides ALLOWED_ORIGINS)
+	CORS: {
+		ALLOWED_ORIGINS: ['*'],
+		ALLOWED_HEADERS: ['Content-Type', 'Authorization', 'x-api-key'],
+		MAX_AGE_SECONDS: 86400
+	},
+
+	// Authentication settings
+	AUTH: {
+		SESSION_TTL_HOURS: 24,
+		SESSION_REFRESH_MINUTES: 15, // Only extend a session once it has been idle this long
+		SESSION_COOKIE_NAME: 'rodeo_session',
+		MIN_PASSWORD_LENGTH: 10,
+		RESET_TOKEN_TTL_HOURS: 24,
+		ROLES: ['user', 'admin'],
+		API_KEY_HEADER: 'x-api-key',
+		API_KEY_SCOPES: ['files:read', 'files:write', 'd1:query', 'd1:command', 'chat', 'tools']
+	},
+
+	// Read-only share links (POST /conversations/:id/share); tokens are signed with the SHARE_TOKEN_SECRET secret
+	SHARES: {
+		DEFAULT_EXPIRES_IN_DAYS: 7,
+		MAX_EXPIRES_IN_DAYS: 90
+	},
+
+	// Feedback on assistant messages (POST /conversations/:id/messages/:mid/feedback)
+	FEEDBACK: {
+		REASONS: ['wrong_sql', 'wrong_kb_answer', 'hallucination', 'formatting', 'other'],
+		COMMENT_MAX_LENGTH: 2000,
+		AUTO_GRADE_NEGATIVE: true // Grade thumbs-down turns in the background (needs ANTHROPIC_API_KEY)
+	},
+
+	// GET /health settings
+	HEALTH: {
+		CHECK_TIMEOUT_MS: 5000,
+		PROVIDER_KEYS: {
+			anthropic: 'ANTHROPIC_API_KEY',
+			groq: 'GROQ_API_KEY',
+			openai: 'OPENAI_API_KEY'
+		}
+	},
+
+	// Rate limits, applied per user and per API key
+	RATE_LIMITS: {
+		chat: {
+			REQUESTS_PER_MINUTE: 20,
+			BURST: 10,                 // Bucket capacity: requests allowed back to back
+			MAX_CONCURRENT_STREAMS: 2
+		},
+		tools: {
+			REQUESTS_PER_MINUTE: 60,
+			BURST: 20
+		},
+		STALE_STREAM_SECONDS: 600      // Streams older than this no longer count (crashed isolates)
+	},
+
 	// Tool execution settings
 	TOOL_EXECUTION: {
 		DEFAULT_SQL_QUERY: 'SELECT COUNT(*) as total_accounts FROM FRPAIR', // Fallback for empty queries
@@ -90,21 +192,26 @@ export const AI_CONFIG = {
 		PARALLEL_BATCH_PARTIAL_FAILURE: 'PARALLEL_BATCH_PARTIAL_FAILURE',
 		KNOWLEDGE_BASE_CONNECTION_ERROR: 'KNOWLEDGE_BASE_CONNECTION_ERROR',
 		SQL_SYNTAX_ERROR: 'SQL_SYNTAX_ERROR',
-		DATABASE_CONNECTION_ERROR: 'DATABASE_CONNECTION_ERROR'
+		DATABASE_CONNECTION_ERROR: 'DATABASE_CONNECTION_ERROR',
+		// Auth error codes
+		UNAUTHORIZED: 'UNAUTHORIZED',
+		INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+		FORBIDDEN: 'FORBIDDEN',
+		NOT_FOUND: 'NOT_FOUND',
+		CONFLICT: 'CONFLICT',
+		RATE_LIMITED: 'RATE_LIMITED',
+		METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+		INTERNAL_ERROR: 'INTERNAL_ERROR'
 	},
 
-	// Logging settings
+	// Logging settings (LOG_LEVEL env var overrides LEVEL)
 	LOGGING: {
-		ENABLE_TOOL_LOGGING: true,
-		ENABLE_LOOP_LOGGING: true,
-		LOG_PREFIXES: {
-			TOOL: '[TOOL]',
-			CHAT_LOOP: '[CHAT LOOP]',
-			AGENT: '[AGENT]',
-			STREAM: '[STREAM]',
-			GRADER: '[GRADER]',
-			ERROR: '[ERROR]'
-		}
+		LEVEL: 'info',
+		// Never written to logs: credentials, and fields that can hold client financial data
+		REDACT_FIELDS: [
+			'password', 'currentPassword', 'newPassword', 'token', 'sessionToken', 'resetToken', 'apiKey',
+			'authorization', 'cookie', 'x-api-key', 'content', 'messages', 'prompt', 'input', 'arguments', 'result', 'rows'
+		]
 	}
 };
 
@@ -114,16 +221,6 @@ export function getModelForProvider(provider, modelOverride = null) {
 	return AI_CONFIG.DEFAULT_MODELS[provider] || AI_CONFIG.DEFAULT_MODELS.anthropic;
 }
 
-// Helper function to format log message
-export function formatLogMessage(prefix, message, data = null) {
-	const logMessage = `${prefix} ${message}`;
-	if (data) {
-		console.log(logMessage, data);
-	} else {
-		console.log(logMessage);
-	}
-}
-
 // Helper function to create timeout wrapper for tool execution
 export function withTimeout(promise, timeoutMs, toolName = 'unknown') {
 	return Promise.race([
@@ -1,8 +1,25 @@
-import { streamAnthropicResponse, streamGroqResponse, streamOpenAIResponse } from './providers/ai-providers.js';
-import { SYSTEM_PROMPT, SYSTEM_PROMPT_STRING } from './prompts/system-prompt.js';
-import { createOrGetConversation, saveMessage } from './utils/conversation.js';
+import { completeAnthropicText, completeGroqText } from './providers/ai-providers.js';
+import { getProviderAdapter } from './providers/index.js';
+import { SYSTEM_PROMPT_STRING } from './prompts/system-prompt.js';
+import {
+	createOrGetConversation,
+	getOwnedConversation,
+	saveMessage,
+	saveMessages,
+	normalizeTitle,
+	setTitleIfMissing,
+	getBranchMessages,
+	getBranchSince,
+	saveBranchSummary,
+	setActiveMessage
+} from './utils/conversation.js';
 import { createTools } from './tools.js';
-import { AI_CONFIG, getModelForProvider, formatLogMessage } from './ai-config.js';
+import { AI_CONFIG, getModelForProvider } from './ai-config.js';
+import { AIError } from './utils/errors.js';
+import { emptyUsage, applyStreamUsage, calculateCost, sumUsage, recordUsage } from './utils/usage.js';
+import { estimateTokens, findCompactionIndex, buildCompactionTranscript, buildSummaryPrompt, fallbackSummary } from './utils/compaction.js';
+
+export { AIError };
 
 // Smart truncation strategies by data type (extracted from removed agent-loop.js)
 function smartTruncate(toolResult, maxTokens = 1500) {
@@ -73,53 +90,6 @@ function truncateDirectLookup(result, maxTokens) {
   };
 }
 
-// Centralized error handling
-export class AIError extends Error {
-	constructor(message, code, details = {}) {
-		super(message);
-		this.name = 'AIError';
-		this.code = code;
-		this.details = details;
-		this.timestamp = new Date().toISOString();
-	}
-
-	toJSON() {
-		return {
-			name: this.name,
-			message: this.message,
-			code: this.code,
-			details: this.details,
-			timestamp: this.timestamp
-		};
-	}
-
-	toResponse() {
-		const status = this.getHttpStatus();
-		return new Response(JSON.stringify({
-			error: this.message,
-			code: this.code,
-			details: this.details
-		}), {
-			status,
-			headers: { 'Content-Type': 'application/json' }
-		});
-	}
-
-	getHttpStatus() {
-		switch (this.code) {
-			case AI_CONFIG.ERROR_CODES.MISSING_INPUT:
-			case AI_CONFIG.ERROR_CODES.VALIDATION_ERROR:
-				return 400;
-			case AI_CONFIG.ERROR_CODES.API_KEY_MISSING:
-				return 401;
-			case AI_CONFIG.ERROR_CODES.TOOL_NOT_FOUND:
-				return 404;
-			default:
-				return 500;
-		}
-	}
-}
-
 // Convert internal tools to Anthropic format
 function convertToolsToAnthropic(tools) {
 	return Object.entries(tools).map(([name, tool]) => ({
@@ -166,155 +136,19 @@ function getZodType(zodDef) {
 	return 'string';
 }
 
-// Helper function to add cache control to messages for Anthropic
-function addCacheControlToMessages(messages, cacheFromIndex = 0) {
-	if (!messages || messages.length === 0) return messages;
-	
-	// Clone messages to avoid mutation
-	const cachedMessages = messages.map((msg, index) => {
-		// Cache messages starting from cacheFromIndex, but not the very last message
-		// (the current user input shouldn't be cached yet)
-		if (index >= cacheFromIndex && index < messages.length - 1) {
-			return {
-				...msg,
-				content: Array.isArray(msg.content) 
-					? msg.content.map((block, blockIndex) => 
-						// Add cache_control to the last content block of this message
-						blockIndex === msg.content.length - 1 
-							? { ...block, cache_control: { type: "ephemeral" } }
-							: block
-					)
-					: [{ 
-						type: "text", 
-						text: msg.content, 
-						cache_control: { type: "ephemeral" } 
-					}]
-			};
-		}
-		
-		// For non-cached messages, ensure content is in array format for Anthropic
-		return {
-			...msg,
-			content: Array.isArray(msg.content) 
-				? msg.content 
-				: [{ type: "text", text: msg.content }]
-		};
-	});
-	
-	return cachedMessages;
-}
-
-// Build conversation history XML from messages
-function buildConversationHistoryXML(messages) {
-	if (!messages || messages.length === 0) return '';
-	
-	let xml = '';
-	let currentTurn = null;
-	
-	for (const msg of messages) {
-		// Extract content text regardless of format
-		const content = Array.isArray(msg.content) 
-			? msg.content.map(block => block.text || block.content || '').join(' ')
-			: msg.content || '';
-		
-		if (msg.role === 'user') {
-			// Close previous turn if exists
-			if (currentTurn) {
-				xml += '</turn>\n';
-			}
-			// Start new turn
-			xml += '<turn>\n';
-			xml += `<user>${content}</user>\n`;
-			currentTurn = 'user';
-		} else if (msg.role === 'assistant') {
-			xml += `<assistant>${content}</assistant>\n`;
-			
-			// Add tool calls if they exist
-			if (msg.tool_calls && Array.isArray(msg.tool_calls)) {
-				for (const toolCall of msg.tool_calls) {
-					const toolInput = typeof toolCall.input === 'string' 
-						? toolCall.input 
-						: JSON.stringify(toolCall.input || {});
-					xml += `<tool_use>${toolCall.name}: ${toolInput}</tool_use>\n`;
-				}
-			}
-			currentTurn = 'assistant';
-		}
-	}
-	
-	// Close final turn
-	if (currentTurn) {
-		xml += '</turn>\n';
-	}
-	
-	return xml.trim();
-}
-
-// Build cached system prompt with conversation history (respects 4 breakpoint limit)
-function buildCachedSystemWithHistory(messages, maxHistoryMessages = 6) {
-	// Use consolidated system prompt (1 breakpoint)
-	const systemBlocks = [...SYSTEM_PROMPT];
-	
-	// Determine which messages to include in history vs recent cache
-	const totalMessages = messages.length;
-	
-	if (totalMessages <= 2) {
-		// Short conversation - no history block needed, use message caching
-		return systemBlocks;
-	}
-	
-	// For longer conversations, move older messages to history XML
-	const historyMessages = messages.slice(0, Math.max(0, totalMessages - maxHistoryMessages));
-	
-	if (historyMessages.length > 0) {
-		const historyXML = buildConversationHistoryXML(historyMessages);
-		
-		if (historyXML) {
-			// Add conversation history block (breakpoint 2)
-			systemBlocks.push({
-				type: "text",
-				text: `<conversation_history>\n${historyXML}\n</conversation_history>`,
-				cache_control: { type: "ephemeral" }
-			});
-		}
-	}
-	
-	return systemBlocks;
+// The running summary of earlier turns as a system prompt section
+function buildSummarySection(summary) {
+	return `<conversation_summary>\nEarlier turns of this conversation, summarised (they are not repeated in the messages):\n${summary}\n</conversation_summary>`;
 }
 
-// Smart message caching that respects 4 breakpoint limit
-function smartCacheMessages(messages, systemBreakpoints = 1) {
-	if (!messages || messages.length === 0) return messages;
-	
-	// Calculate available breakpoints for messages (4 total - system breakpoints)  
-	const availableBreakpoints = 4 - systemBreakpoints;
-	
-	// For short conversations, cache recent messages directly
-	if (messages.length <= availableBreakpoints) {
-		return addCacheControlToMessages(messages, 0);
-	}
-	
-	// For longer conversations, only cache the most recent messages
-	// Leave the last message uncached (current user input)
-	const recentMessages = messages.slice(-availableBreakpoints);
-	const olderMessages = messages.slice(0, -availableBreakpoints);
-	
-	// Format older messages for Anthropic (no caching)
-	const formattedOlderMessages = olderMessages.map(msg => ({
-		...msg,
-		content: Array.isArray(msg.content) 
-			? msg.content 
-			: [{ type: "text", text: msg.content }]
-	}));
-	
-	// Cache recent messages (except the very last one)
-	const cachedRecentMessages = addCacheControlToMessages(recentMessages, 0);
-	
-	return [...formattedOlderMessages, ...cachedRecentMessages];
+// System prompt sections for the provider adapters, most stable first. The summary only changes when history
+// is compacted, so with Anthropic both sections stay cached from turn to turn (one breakpoint each).
+function buildSystemSections(summary) {
+	return summary ? [SYSTEM_PROMPT_STRING, buildSummarySection(summary)] : [SYSTEM_PROMPT_STRING];
 }
 
 // Execute a tool call
-async function executeTool(toolName, toolInput, tools, env) {
+async function executeTool(toolName, toolInput, tools, env, log) {
 	
 	if (!tools[toolName]) {
 		throw new AIError(
@@ -324,55 +158,206 @@ async function executeTool(toolName, toolInput, tools, env) {
 		);
 	}
 
+	const startTime = Date.now();
 	try {
-		const startTime = Date.now();
 		const result = await tools[toolName].execute(toolInput);
-		const duration = Date.now() - startTime;
-		
-		if (AI_CONFIG.LOGGING.ENABLE_TOOL_LOGGING) {
-			formatLogMessage(AI_CONFIG.LOGGING.LOG_PREFIXES.TOOL, `${toolName} executed in ${duration}ms`);
-		}
-		
+		log.info('tool.executed', { tool: toolName, durationMs: Date.now() - startTime, success: !result?.error });
 		return result;
 	} catch (error) {
-		formatLogMessage(AI_CONFIG.LOGGING.LOG_PREFIXES.ERROR, `${toolName} error:`, error);
+		log.error('tool.error', { tool: toolName, durationMs: Date.now() - startTime, error });
 		return { error: error.message };
 	}
 }
 
-// Chat endpoint with streaming and tool support
-export async function handleChat(env, request) {
+// Format one tool result for the model: large SQL results keep their first and last rows, other long results are cut
+function formatToolResult(content) {
+	try {
+		const parsed = JSON.parse(content);
+		
+		// Handle SQL results - truncate large datasets but keep context
+		if (parsed.data && Array.isArray(parsed.data)) {
+			if (parsed.data.length > 10) {
+				const truncated = {
+					...parsed,
+					data: [
+						...parsed.data.slice(0, 5),
+						{ _note: `[Showing first 5 and last 5 of ${parsed.data.length} total rows]` },
+						...parsed.data.slice(-5)
+					],
+					_summary: `Retrieved ${parsed.data.length} rows from query`
+				};
+				return JSON.stringify(truncated, null, 2);
+			} else {
+				return JSON.stringify(parsed, null, 2);
+			}
+		}
+		
+		// Handle knowledge base results with better formatting
+		if (parsed.results && Array.isArray(parsed.results)) {
+			return JSON.stringify(parsed, null, 2);
+		}
+		
+		// Handle other results - truncate very long content but preserve structure
+		const resultStr = JSON.stringify(parsed, null, 2);
+		if (resultStr.length > 4000) {
+			return resultStr.substring(0, 3800) + '\n...\n[Content truncated for length]';
+		}
+		return resultStr;
+		
+	} catch (e) {
+		// If not JSON, format as text
+		return content.length > 4000 ? 
+			content.substring(0, 3800) + '\n[Content truncated for length]' : 
+			content;
+	}
+}
+
+// The user turn that hands tool results back to the model; also used when replaying stored history
+function buildToolResultsMessage(results) {
+	const toolResultsContent = results.map(({ name, content }) => `## Tool Result: ${name}\n\n${content}`).join('\n\n---\n\n');
+	return `Here are the results from your tool calls:\n\n${toolResultsContent}\n\nIMPORTANT: The tool results above are automatically displayed to the user in a separate section. Your response should ONLY contain your analysis and final answer. DO NOT include any tool result data, knowledge base content, or "Knowledge Base Result" sections in your response. Just provide your analysis and conclusions based on the data you received.`;
+}
+
+// Cut a tool result before it is stored; the note keeps the original size
+function truncateStoredResult(content) {
+	const limit = AI_CONFIG.TRUNCATION_LIMITS.STORED_TOOL_RESULT_LENGTH;
+	if (content.length <= limit) {
+		return content;
+	}
+	return `${content.substring(0, limit)}\n[Truncated: ${content.length} characters in total]`;
+}
+
+// Rebuild provider messages from stored history. Tool results are replayed as the user turn
+// the chat loop sends them in, and consecutive text turns from the same role are merged.
+function buildMessagesFromHistory(history, newTurn) {
+	const messages = [];
+	const append = (role, content) => {
+		if (!content) return;
+		const last = messages[messages.length - 1];
+		if (last?.role === role && typeof last.content === 'string' && typeof content === 'string') {
+			last.content += `\n\n${content}`;
+		} else {
+			messages.push({ role, content });
+		}
+	};
+
+	// Consecutive 'tool' rows are one iteration's results, handed back in a single turn
+	let toolResults = [];
+	const flushToolResults = () => {
+		if (toolResults.length > 0) {
+			append('user', buildToolResultsMessage(toolResults));
+			toolResults = [];
+		}
+	};
+
+	for (const message of history) {
+		if (message.role === 'tool') {
+			toolResults.push({ name: message.tool_name, content: formatToolResult(message.content) });
+			continue;
+		}
+		flushToolResults();
+		if (message.role !== 'system') {
+			append(message.role, message.content);
+		}
+	}
+	flushToolResults();
+
+	// Providers expect the conversation to open with a user turn
+	while (messages[0]?.role === 'assistant') {
+		messages.shift();
+	}
+
+	append('user', newTurn.content);
+	return messages;
+}
+
+// A short completion from a small model on Groq, or Anthropic without a Groq key; '' when neither is configured.
+// models maps each provider to its model. The call's usage is charged to owner ({ userId, conversationId }).
+async function completeUtilityText(env, prompt, models, maxTokens, owner, log) {
+	let provider;
+	let result;
+	if (env.GROQ_API_KEY) {
+		provider = 'groq';
+		result = await completeGroqText(env, prompt, models.groq, maxTokens);
+	} else if (env.ANTHROPIC_API_KEY) {
+		provider = 'anthropic';
+		result = await completeAnthropicText(env, prompt, models.anthropic, maxTokens);
+	} else {
+		return '';
+	}
+	await recordUsage(env, { ...owner, provider, usage: result.usage }, log);
+	return result.text;
+}
+
+// Title a conversation that has none yet from its latest exchange, using a small model.
+// Falls back to the start of the user's message when no model is configured or the call fails.
+async function generateTitleIfMissing(env, userId, conversationId, userContent, assistantContent, log) {
+	const conversation = await env.DB.prepare('SELECT title FROM conversations WHERE id = ?').bind(conversationId).first();
+	if (!conversation || conversation.title) {
+		return null;
+	}
+
+	// Content blocks (images, tool results) contribute only their text
+	const userText = typeof userContent === 'string' ? userContent : [].concat(userContent).map((block) => block?.text || '').join(' ');
+	const limit = AI_CONFIG.TITLES.CONTEXT_LENGTH;
+	const prompt = `Write a short title (at most 6 words) for a conversation that starts with this exchange. Reply with the title only.
+
+<user>
+${userText.substring(0, limit)}
+</user>
+
+<assistant>
+${assistantContent.substring(0, limit)}
+</assistant>`;
+
+	let title = '';
 	try {
-		const { 
-			prompt, 
-			provider, 
-			model, 
-			conversationId, 
-			userId = 1, 
-			messages, 
-			enableLoop = AI_CONFIG.CHAT_LOOP.ENABLE_LOOP_DEFAULT, 
-			maxIterations = AI_CONFIG.CHAT_LOOP.MAX_ITERATIONS 
-		} = await request.json();
+		const { MODELS, MAX_TOKENS } = AI_CONFIG.TITLES;
+		title = normalizeTitle(await completeUtilityText(env, prompt, MODELS, MAX_TOKENS, { userId, conversationId }, log));
+	} catch (error) {
+		log.warn('chat.title_model_failed', { error });
+	}
 
-	// Support legacy 'prompt' or new 'messages' format
-	const finalMessages = messages || (prompt ? [{ role: 'user', content: prompt }] : null);
+	title = title || normalizeTitle(userText);
+	if (!title) {
+		return null;
+	}
+	return (await setTitleIfMissing(env, conversationId, title)) ? title : null;
+}
 
-	if (!finalMessages || finalMessages.length === 0) {
-		throw new AIError(
-			'Missing prompt or messages',
-			AI_CONFIG.ERROR_CODES.MISSING_INPUT,
-			{ prompt, messagesLength: messages?.length || 0 }
-		);
+// The context for continuing the branch that ends at leafId: the branch's running summary and the stored
+// messages after it. When those go over the history budget, the older turns are folded into the summary with a
+// small model and it is stored at the last summarised message, so later turns on the branch (and branches made
+// after that point) reuse it and its prompt cache entry until the budget is hit again.
+async function loadChatHistory(env, conversation, leafId, log) {
+	const { summary, messages } = await getBranchSince(env, leafId);
+	if (estimateTokens(messages) <= AI_CONFIG.COMPACTION.HISTORY_TOKEN_BUDGET) {
+		return { summary, history: messages };
 	}
 
-	// Create or get conversation
-	const finalConversationId = await createOrGetConversation(env, conversationId, userId, provider);
+	const cut = findCompactionIndex(messages);
+	const older = messages.slice(0, cut);
+	const transcript = buildCompactionTranscript(older);
+	const prompt = buildSummaryPrompt(summary, transcript);
+	const { MODELS, MAX_TOKENS } = AI_CONFIG.COMPACTION;
 
-	// Save user message - extract content from messages array
-	const userContent = finalMessages[finalMessages.length - 1]?.content || '';
-	await saveMessage(env, finalConversationId, 'user', userContent);
+	let newSummary = '';
+	try {
+		newSummary = await completeUtilityText(env, prompt, MODELS, MAX_TOKENS, { userId: conversation.user_id, conversationId: conversation.id }, log);
+	} catch (error) {
+		log.warn('chat.summary_model_failed', { error });
+	}
 
+	// Without a model, the transcript itself (SQL and figures included) is kept, trimmed to size
+	newSummary = newSummary.trim() || fallbackSummary(summary, transcript);
+	await saveBranchSummary(env, conversation.id, older[older.length - 1].id, newSummary);
+	log.info('chat.history_compacted', { summarisedMessages: older.length, keptMessages: messages.length - cut, summaryLength: newSummary.length });
 
+	return { summary: newSummary, history: messages.slice(cut) };
+}
+
+// Pick the provider and model for a chat run and check that its API key is configured
+function resolveProvider(env, provider, model) {
 	// Default to groq with gpt-oss-120b when no provider specified
 	let selectedProvider = provider || 'groq';
 	let selectedModel = model || 'openai/gpt-oss-120b';
@@ -381,44 +366,33 @@ export async function handleChat(env, request) {
 		selectedProvider = 'groq';
 		selectedModel = 'openai/gpt-oss-120b';
 	}
-	if (selectedProvider === 'anthropic' || selectedProvider === 'claude') {
-		if (!env.ANTHROPIC_API_KEY) {
-			throw new AIError(
-				'ANTHROPIC_API_KEY not configured',
-				AI_CONFIG.ERROR_CODES.API_KEY_MISSING,
-				{ provider: selectedProvider }
-			);
-		}
-	} else if (selectedProvider === 'groq') {
-		if (!env.GROQ_API_KEY) {
-			throw new AIError(
-				'GROQ_API_KEY not configured',
-				AI_CONFIG.ERROR_CODES.API_KEY_MISSING,
-				{ provider: selectedProvider }
-			);
-		}
-	} else if (selectedProvider === 'openai') {
-		if (!env.OPENAI_API_KEY) {
-			throw new AIError(
-				'OPENAI_API_KEY not configured',
-				AI_CONFIG.ERROR_CODES.API_KEY_MISSING,
-				{ provider: selectedProvider }
-			);
-		}
-	} else if (selectedProvider === 'gemini') {
-		// Reroute Gemini requests to Claude Haiku 3.5
-		if (!env.ANTHROPIC_API_KEY) {
-			throw new AIError(
-				'ANTHROPIC_API_KEY not configured (required for Gemini rerouting)',
-				AI_CONFIG.ERROR_CODES.API_KEY_MISSING,
-				{ provider: selectedProvider, note: 'Gemini is rerouted to Claude Haiku' }
-			);
-		}
+	const adapter = getProviderAdapter(selectedProvider);
+	if (!adapter) {
+		throw new AIError(
+			`Unsupported provider: ${selectedProvider}`,
+			AI_CONFIG.ERROR_CODES.VALIDATION_ERROR,
+			{ location: 'body', fields: [{ field: 'provider', message: 'Unknown provider' }] }
+		);
+	}
+	if (!env[adapter.apiKey]) {
+		throw new AIError(
+			`${adapter.apiKey} not configured`,
+			AI_CONFIG.ERROR_CODES.API_KEY_MISSING,
+			{ provider: selectedProvider }
+		);
 	}
 
+	return { selectedProvider, selectedModel };
+}
+
+// Run the agent loop for one user turn and stream it as server-sent events. summary is the running summary of
+// turns older than contextMessages, if any. Iterations are saved under the conversation's active message, so a
+// run extends whichever branch is active.
+function streamChatResponse(env, { userId, conversationId, summary, contextMessages, userContent, selectedProvider, selectedModel, enableLoop, maxIterations }, log) {
 	// Create tools
-	const tools = createTools(env);
+	const tools = createTools(env, null, { userId, conversationId });
 	const anthropicTools = convertToolsToAnthropic(tools);
+	const adapter = getProviderAdapter(selectedProvider);
 
 	// API stream will be created inside the loop
 
@@ -429,26 +403,21 @@ export async function handleChat(env, request) {
 		async start(controller) {
 			try {
 				// Send conversation ID first
-				const initData = `data: ${JSON.stringify({ type: 'conversation_id', conversationId: finalConversationId })}\n\n`;
+				const initData = `data: ${JSON.stringify({ type: 'conversation_id', conversationId })}\n\n`;
 				controller.enqueue(encoder.encode(initData));
 
 				// Loop variables
 				let currentIteration = 0;
 				let shouldContinueLoop = true;
-				let currentMessages = [...finalMessages]; // Copy to avoid mutation
+				let currentMessages = [...contextMessages]; // Copy to avoid mutation
+				const iterationUsage = []; // Tokens and cost of each iteration, for the usage event
 
 				while (shouldContinueLoop && currentIteration < maxIterations) {
 					currentIteration++;
-					
-					if (AI_CONFIG.LOGGING.ENABLE_LOOP_LOGGING) {
-						formatLogMessage(AI_CONFIG.LOGGING.LOG_PREFIXES.CHAT_LOOP, `Starting iteration ${currentIteration}/${maxIterations}`);
-					}
-					
+					log.debug('chat.iteration', { iteration: currentIteration, maxIterations });
+
 					// Send iteration marker if looping
 					if (enableLoop && currentIteration > 1) {
-						if (AI_CONFIG.LOGGING.ENABLE_LOOP_LOGGING) {
-							formatLogMessage(AI_CONFIG.LOGGING.LOG_PREFIXES.CHAT_LOOP, 'Sending iteration marker to client');
-						}
 						const iterationData = `data: ${JSON.stringify({ 
 							type: 'iteration', 
 							iteration: currentIteration,
@@ -459,200 +428,59 @@ export async function handleChat(env, request) {
 
 					// Reset for this iteration
 					let fullResponse = '';
-					let toolCalls = [];
-					let isToolUse = false;
+					const toolCalls = [];
+					const model = getModelForProvider(selectedProvider, selectedModel);
+					let usage = emptyUsage(model);
 
-					// Get AI stream for current messages
-					let apiStream;
+					// Start the provider's response stream for the current messages
+					let events;
 					try {
-						if (selectedProvider === 'anthropic' || selectedProvider === 'claude') {
-							// Use smart caching with conversation history rotation
-							const systemWithHistory = buildCachedSystemWithHistory(currentMessages);
-							const systemBreakpoints = systemWithHistory.length;
-							const smartCachedMessages = smartCacheMessages(currentMessages, systemBreakpoints);
-							apiStream = await streamAnthropicResponse(env, smartCachedMessages, systemWithHistory, getModelForProvider(selectedProvider, selectedModel), anthropicTools);
-						} else if (selectedProvider === 'groq') {
-							apiStream = await streamGroqResponse(env, currentMessages, SYSTEM_PROMPT_STRING, getModelForProvider(selectedProvider, selectedModel), anthropicTools);
-						} else if (selectedProvider === 'openai') {
-							apiStream = await streamOpenAIResponse(env, currentMessages, SYSTEM_PROMPT_STRING, getModelForProvider(selectedProvider, selectedModel), anthropicTools);
-						} else if (selectedProvider === 'gemini') {
-							// Reroute Gemini to Claude Haiku with smart caching
-							const systemWithHistory = buildCachedSystemWithHistory(currentMessages);
-							const systemBreakpoints = systemWithHistory.length;
-							const smartCachedMessages = smartCacheMessages(currentMessages, systemBreakpoints);
-							apiStream = await streamAnthropicResponse(env, smartCachedMessages, systemWithHistory, getModelForProvider('gemini', selectedModel), anthropicTools);
-						} else {
-							throw new Error(`Unsupported provider: ${selectedProvider}`);
-						}
+						events = await adapter.stream(env, { model, system: buildSystemSections(summary), messages: currentMessages, tools: anthropicTools }, log);
 					} catch (streamError) {
-						console.error('[STREAM] Error calling AI API:', streamError.message);
+						log.error('chat.provider_error', { provider: selectedProvider, error: streamError });
 						const errorData = `data: ${JSON.stringify({ type: 'error', content: 'AI API error occurred' })}\n\n`;
 						controller.enqueue(encoder.encode(errorData));
 						break;
 					}
 
-					// Read from API stream manually
-					const reader = apiStream.getReader();
-					const decoder = new TextDecoder();
-					let buffer = '';
-
-					while (true) {
-						const { done, value } = await reader.read();
-						if (done) {
+					// Consume the normalised stream events (see providers/stream-events.js)
+					let providerError = null;
+					for await (const event of events) {
+						if (event.type === 'text_delta') {
+							fullResponse += event.text;
+							const streamData = `data: ${JSON.stringify({ type: 'text', content: event.text })}\n\n`;
+							controller.enqueue(encoder.encode(streamData));
+						} else if (event.type === 'tool_call_start') {
+							toolCalls[event.index] = { id: event.id, name: event.name, input: '' };
+						} else if (event.type === 'tool_call_delta' && toolCalls[event.index]) {
+							toolCalls[event.index].input += event.input;
+						} else if (event.type === 'usage') {
+							usage = event.usage;
+						} else if (event.type === 'stop' && event.reason === 'max_tokens') {
+							log.warn('chat.max_tokens', { iteration: currentIteration });
+						} else if (event.type === 'error') {
+							providerError = event.message;
 							break;
 						}
-
-					const chunk = decoder.decode(value, { stream: true });
-					
-					// Check if chunk is direct JSON without newlines
-					if (chunk.trim() && !chunk.includes('\n') && (chunk.includes('"choices"') || chunk.includes('"delta"'))) {
-						try {
-							const directData = JSON.parse(chunk.trim());
-							
-							if (selectedProvider === 'groq' || selectedProvider === 'openai') {
-								if (directData.choices?.[0]?.delta?.tool_calls) {
-									isToolUse = true;
-									// Handle direct tool calls similar to line processing
-									for (const toolCallDelta of directData.choices[0].delta.tool_calls) {
-										const index = toolCallDelta.index || 0;
-										if (!toolCalls[index]) {
-											toolCalls[index] = { id: toolCallDelta.id || '', name: '', input: '' };
-										}
-										if (toolCallDelta.function) {
-											if (toolCallDelta.function.name) toolCalls[index].name = toolCallDelta.function.name;
-											if (toolCallDelta.function.arguments) {
-												if (toolCallDelta.function.arguments === 'null' || toolCallDelta.function.arguments === null) {
-													toolCalls[index].input = '{}';
-												} else {
-													toolCalls[index].input += toolCallDelta.function.arguments;
-												}
-											}
-										}
-									}
-								} else if (directData.choices?.[0]?.delta?.content) {
-									const content = directData.choices[0].delta.content;
-									if (content !== null && content !== undefined) {
-										fullResponse += content;
-										const streamData = `data: ${JSON.stringify({ type: 'text', content })}\n\n`;
-										controller.enqueue(encoder.encode(streamData));
-									}
-								}
-							}
-							continue;
-						} catch (e) {
-						}
 					}
-					buffer += chunk;
-					const lines = buffer.split('\n');
-					buffer = lines.pop() || '';
-
-					for (const line of lines) {
-						// Handle direct JSON lines (Groq/OpenAI format) or SSE format
-						let dataStr = '';
-						let data = null;
-						
-						if (line.startsWith('data: ')) {
-							// SSE format
-							dataStr = line.slice(6);
-							// Skip [DONE] marker
-							if (dataStr === '[DONE]') {
-								continue;
-							}
-						} else if (line.startsWith('event: ')) {
-							// SSE event type - log and continue without trying to parse as JSON
-							const eventType = line.slice(7);
-							continue;
-						} else if (line.trim() && !line.startsWith(':') && !line.startsWith('id: ') && !line.startsWith('retry: ')) {
-							// Direct JSON line format (Groq/OpenAI) - exclude other SSE headers
-							dataStr = line.trim();
-						}
-						
-						if (dataStr) {
-							try {
-								data = JSON.parse(dataStr);
-
-								// Handle different provider formats
-								if (selectedProvider === 'anthropic' || selectedProvider === 'claude') {
-									// Handle Anthropic tool use
-									if (data.type === 'content_block_start' && data.content_block?.type === 'tool_use') {
-										isToolUse = true;
-										toolCalls.push({
-											id: data.content_block.id,
-											name: data.content_block.name,
-											input: ''
-										});
-									} else if (data.type === 'content_block_delta' && data.delta?.type === 'input_json_delta') {
-										// Tool input delta
-										if (toolCalls.length > 0) {
-											toolCalls[toolCalls.length - 1].input += data.delta.partial_json;
-										}
-									} else if (data.type === 'content_block_delta' && data.delta?.text) {
-										// Regular text content
-										const content = data.delta.text;
-										fullResponse += content;
-										const streamData = `data: ${JSON.stringify({ type: 'text', content })}\n\n`;
-										controller.enqueue(encoder.encode(streamData));
-									}
-								} else if (selectedProvider === 'groq' || selectedProvider === 'openai') {
-									// Handle OpenAI-compatible tool calls
-									if (data.choices?.[0]?.delta?.tool_calls) {
-										isToolUse = true;
-										
-										// Handle streaming tool calls - accumulate them
-										for (const toolCallDelta of data.choices[0].delta.tool_calls) {
-											const index = toolCallDelta.index || 0;
-											
-											// Initialize tool call if it doesn't exist
-											if (!toolCalls[index]) {
-												toolCalls[index] = {
-													id: toolCallDelta.id || '',
-													name: '',
-													input: ''
-												};
-											}
-											
-											// Update tool call data
-											if (toolCallDelta.function) {
-												if (toolCallDelta.function.name) {
-													toolCalls[index].name = toolCallDelta.function.name;
-												}
-												if (toolCallDelta.function.arguments) {
-													// Handle null arguments from Groq
-													if (toolCallDelta.function.arguments === 'null' || toolCallDelta.function.arguments === null) {
-														toolCalls[index].input = '{}';
-													} else {
-														toolCalls[index].input += toolCallDelta.function.arguments;
-													}
-												}
-											}
-										}
-									} else if (data.choices?.[0]?.delta?.content) {
-										const content = data.choices[0].delta.content;
-										if (content !== null && content !== undefined) {
-											fullResponse += content;
-											const streamData = `data: ${JSON.stringify({ type: 'text', content })}\n\n`;
-											controller.enqueue(encoder.encode(streamData));
-										}
-									}
-								}
-							} catch (e) {
-								console.warn('Failed to parse streaming JSON data:', dataStr.substring(0, 100));
-							}
-						}
+
+					if (providerError) {
+						log.error('chat.provider_error', { provider: selectedProvider, error: providerError });
+						const errorData = `data: ${JSON.stringify({ type: 'error', content: 'AI API error occurred' })}\n\n`;
+						controller.enqueue(encoder.encode(errorData));
+						break;
 					}
-				}
 
 				// Process tool calls if any (filter out empty ones)
-				console.log('[DEBUG] toolCalls array:', JSON.stringify(toolCalls, null, 2));
 				const validToolCalls = toolCalls.filter(tc => tc && tc.name);
-				console.log('[DEBUG] validToolCalls length:', validToolCalls.length);
 				const executedToolResults = []; // Store results for conversation loop
 				if (validToolCalls.length > 0) {
 					
 					for (const toolCall of validToolCalls) {
+						let toolInput = {};
+						const toolStartTime = Date.now();
 						try {
 							// Parse the tool input, handle empty/null cases
-							let toolInput = {};
 							if (toolCall.input && toolCall.input !== '{}' && toolCall.input !== 'null') {
 								toolInput = JSON.parse(toolCall.input);
 							}
@@ -671,18 +499,19 @@ export async function handleChat(env, request) {
 							
 							
 							// Execute the tool
-							console.log(`[TOOL EXEC] ${toolCall.name} with input:`, JSON.stringify(toolInput).substring(0, 100));
-							const toolResult = await executeTool(toolCall.name, toolInput, tools, env);
-							console.log(`[TOOL RESULT] ${toolCall.name} result:`, JSON.stringify(toolResult).substring(0, 200));
+							const toolResult = await executeTool(toolCall.name, toolInput, tools, env, log);
 							
 							// Store result for conversation loop
 							executedToolResults.push({
 								tool_call_id: toolCall.id,
-								content: JSON.stringify(toolResult)
+								name: toolCall.name,
+								input: toolInput,
+								content: JSON.stringify(toolResult),
+								durationMs: Date.now() - toolStartTime,
+								error: toolResult?.error || null
 							});
 							
 							// Send tool result to client
-							console.log(`[DEBUG] About to stream tool result for ${toolCall.name}`);
 							// Special handling for batch_tool - expand batch_results into separate tool_result events
 							if (toolCall.name === 'batch_tool' && toolResult.batch_results) {
 								// Send each batch result as a separate tool_result event
@@ -713,7 +542,6 @@ export async function handleChat(env, request) {
 								controller.enqueue(encoder.encode(batchSummaryData));
 							} else {
 								// Regular single tool result
-								console.log(`[DEBUG] Streaming regular tool result for ${toolCall.name}`);
 								const toolData = `data: ${JSON.stringify({ 
 									type: 'tool_result', 
 									toolName: toolCall.name,
@@ -737,12 +565,16 @@ export async function handleChat(env, request) {
 							}
 
 						} catch (toolError) {
-							console.error('[TOOL] Error processing tool call:', toolError);
+							log.error('tool.call_failed', { tool: toolCall.name, error: toolError });
 							
 							// Store error result for conversation loop
 							executedToolResults.push({
 								tool_call_id: toolCall.id,
-								content: JSON.stringify({ error: toolError.message })
+								name: toolCall.name,
+								input: toolInput,
+								content: JSON.stringify({ error: toolError.message }),
+								durationMs: Date.now() - toolStartTime,
+								error: toolError.message
 							});
 							
 							const errorData = `data: ${JSON.stringify({ 
@@ -755,6 +587,34 @@ export async function handleChat(env, request) {
 					}
 				}
 
+				const costUsd = calculateCost(usage);
+				iterationUsage.push({ iteration: currentIteration, ...usage, costUsd });
+
+				// Record this iteration: the assistant turn with its token usage, then one 'tool' row per call
+				try {
+					await saveMessages(env, conversationId, [
+						{
+							role: 'assistant',
+							content: fullResponse,
+							iteration: currentIteration,
+							toolCalls: validToolCalls.length > 0 ? executedToolResults.map(({ tool_call_id, name, input }) => ({ id: tool_call_id, name, input })) : null,
+							usage: { ...usage, costUsd, userId, provider: selectedProvider }
+						},
+						...executedToolResults.map(result => ({
+							role: 'tool',
+							content: truncateStoredResult(result.content),
+							iteration: currentIteration,
+							toolCallId: result.tool_call_id,
+							toolName: result.name,
+							toolInput: result.input,
+							durationMs: result.durationMs,
+							error: result.error
+						}))
+					]);
+				} catch (error) {
+					log.error('chat.save_failed', { iteration: currentIteration, error });
+				}
+
 				// Check if we should continue looping
 				if (enableLoop) {
 					// Add current AI response to conversation (no tool_calls field for Anthropic)
@@ -767,58 +627,13 @@ export async function handleChat(env, request) {
 					if (executedToolResults.length > 0) {
 						const validToolCallsForLoop = toolCalls.filter(tc => tc && tc.name);
 
-						// Add tool results to conversation with better formatting
-						const formatToolResult = (result) => {
-							try {
-								const parsed = JSON.parse(result.content);
-								
-								// Handle SQL results - truncate large datasets but keep context
-								if (parsed.data && Array.isArray(parsed.data)) {
-									if (parsed.data.length > 10) {
-										const truncated = {
-											...parsed,
-											data: [
-												...parsed.data.slice(0, 5),
-												{ _note: `[Showing first 5 and last 5 of ${parsed.data.length} total rows]` },
-												...parsed.data.slice(-5)
-											],
-											_summary: `Retrieved ${parsed.data.length} rows from query`
-										};
-										return JSON.stringify(truncated, null, 2);
-									} else {
-										return JSON.stringify(parsed, null, 2);
-									}
-								}
-								
-								// Handle knowledge base results with better formatting
-								if (parsed.results && Array.isArray(parsed.results)) {
-									return JSON.stringify(parsed, null, 2);
-								}
-								
-								// Handle other results - truncate very long content but preserve structure
-								const resultStr = JSON.stringify(parsed, null, 2);
-								if (resultStr.length > 4000) {
-									return resultStr.substring(0, 3800) + '\n...\n[Content truncated for length]';
-								}
-								return resultStr;
-								
-							} catch (e) {
-								// If not JSON, format as text
-								return result.content.length > 4000 ? 
-									result.content.substring(0, 3800) + '\n[Content truncated for length]' : 
-									result.content;
-							}
-						};
-
 						// Format tool results as structured user message for better context
-						const toolResultsContent = executedToolResults.map(result => {
-							const toolName = validToolCallsForLoop.find(tc => tc.id === result.tool_call_id)?.name || 'unknown';
-							return `## Tool Result: ${toolName}\n\n${formatToolResult(result)}`;  
-						}).join('\n\n---\n\n');
-						
 						currentMessages.push({
 							role: 'user',
-							content: `Here are the results from your tool calls:\n\n${toolResultsContent}\n\nIMPORTANT: The tool results above are automatically displayed to the user in a separate section. Your response should ONLY contain your analysis and final answer. DO NOT include any tool result data, knowledge base content, or "Knowledge Base Result" sections in your response. Just provide your analysis and conclusions based on the data you received.`
+							content: buildToolResultsMessage(executedToolResults.map(result => ({
+								name: validToolCallsForLoop.find(tc => tc.id === result.tool_call_id)?.name || 'unknown',
+								content: formatToolResult(result.content)
+							})))
 						});
 
 						// Enhanced continuation logic: continue if continue_agent called OR if analysis could benefit from more depth
@@ -832,41 +647,61 @@ export async function handleChat(env, request) {
 						shouldContinueLoop = hasContinueAgent || 
 											(!hasCompleteTask && !hasPrepareSQL && hasAnalysisTools && currentIteration < maxIterations);
 						
-						console.log(`[CHAT LOOP] Tool calls: ${validToolCalls.map(tc => tc.name).join(', ')}`);
-						console.log(`[CHAT LOOP] Continue conditions - continue_agent: ${hasContinueAgent}, complete_task: ${hasCompleteTask}, prepare_sql: ${hasPrepareSQL}, analysis_tools: ${hasAnalysisTools}, iteration: ${currentIteration}/${maxIterations}`);
-						console.log(`[CHAT LOOP] Continue loop: ${shouldContinueLoop}`);
+						log.debug('chat.loop_decision', {
+							iteration: currentIteration,
+							tools: validToolCalls.map(tc => tc.name),
+							hasContinueAgent,
+							hasCompleteTask,
+							hasPrepareSQL,
+							hasAnalysisTools,
+							shouldContinue: shouldContinueLoop
+						});
 					} else {
 						// No tools called, stop looping
 						shouldContinueLoop = false;
-						console.log(`[CHAT LOOP] No tools called, stopping loop`);
 					}
 				} else {
 					// Loop not enabled, stop after first iteration
 					shouldContinueLoop = false;
-					console.log(`[CHAT LOOP] Loop not enabled, stopping after iteration ${currentIteration}`);
 				}
 
-				// If this is the last iteration, save to database
+				// If this is the last iteration, finish the stream
 				if (!shouldContinueLoop || currentIteration >= maxIterations) {
-					console.log(`[CHAT LOOP] Ending loop - shouldContinue: ${shouldContinueLoop}, iteration: ${currentIteration}/${maxIterations}`);
-					// Save the full conversation to database
+					const totalUsage = sumUsage(iterationUsage);
+					log.info('chat.completed', {
+						iterations: currentIteration,
+						toolCalls: toolCalls.length,
+						inputTokens: totalUsage.inputTokens,
+						outputTokens: totalUsage.outputTokens,
+						costUsd: totalUsage.costUsd
+					});
+
+					// Name the conversation after its first exchange
 					try {
-						await saveMessage(env, finalConversationId, 'assistant', fullResponse, toolCalls.length > 0 ? toolCalls : null);
+						const title = await generateTitleIfMissing(env, userId, conversationId, userContent, fullResponse, log);
+						if (title) {
+							const titleData = `data: ${JSON.stringify({ type: 'title', title })}\n\n`;
+							controller.enqueue(encoder.encode(titleData));
+						}
 					} catch (error) {
-						console.error('Failed to save assistant message:', error);
+						log.warn('chat.title_failed', { error });
 					}
 
-					// Send end signal
+					// Token usage and cost of the whole run, then the end signal
+					const usageData = `data: ${JSON.stringify({ type: 'usage', usage: totalUsage, iterations: iterationUsage })}\n\n`;
+					controller.enqueue(encoder.encode(usageData));
+
 					const endData = `data: ${JSON.stringify({ type: 'done' })}\n\n`;
 					controller.enqueue(encoder.encode(endData));
-					controller.close();
 					break; // Exit the while loop
 				}
 			} // End of while loop
 			} catch (error) {
-				console.error('Streaming error:', error);
+				log.error('chat.stream_error', { error });
 				const errorData = `data: ${JSON.stringify({ type: 'error', content: 'Streaming error occurred' })}\n\n`;
 				controller.enqueue(encoder.encode(errorData));
+			} finally {
+				// Ending the body on every path (provider errors included) is what frees the caller's stream slot
 				controller.close();
 			}
 		},
@@ -875,42 +710,136 @@ export async function handleChat(env, request) {
 	return new Response(stream, {
 		headers: AI_CONFIG.STREAMING.HEADERS
 	});
-	
-	} catch (error) {
-		formatLogMessage(AI_CONFIG.LOGGING.LOG_PREFIXES.ERROR, 'Chat endpoint error:', error);
-		if (error instanceof AIError) {
-			return error.toResponse();
-		}
-		return new AIError(
-			'Internal server error',
-			AI_CONFIG.ERROR_CODES.API_ERROR,
-			{ error: error.message }
-		).toResponse();
+}
+
+// Chat endpoint with streaming and tool support
+// Errors before the stream starts are thrown for the router to render; later ones are sent as SSE error events
+export async function handleChat(env, body, auth, log) {
+	const {
+		prompt,
+		provider,
+		model,
+		conversationId,
+		messages,
+		enableLoop = AI_CONFIG.CHAT_LOOP.ENABLE_LOOP_DEFAULT,
+		maxIterations = AI_CONFIG.CHAT_LOOP.MAX_ITERATIONS
+	} = body;
+
+	// Support legacy 'prompt' or new 'messages' format
+	const finalMessages = messages || (prompt ? [{ role: 'user', content: prompt }] : null);
+
+	if (!finalMessages || finalMessages.length === 0) {
+		throw new AIError(
+			'Missing prompt or messages',
+			AI_CONFIG.ERROR_CODES.MISSING_INPUT,
+			{ prompt, messagesLength: messages?.length || 0 }
+		);
 	}
+
+	const { selectedProvider, selectedModel } = resolveProvider(env, provider, model);
+
+	// Create or get conversation, always on behalf of the authenticated user
+	const userId = auth.user.id;
+	const finalConversationId = await createOrGetConversation(env, conversationId, userId, provider);
+	log = log.child({ conversationId: finalConversationId });
+
+	// When continuing a stored conversation, its history is the context and only the new user turn is taken from the request
+	const newTurn = finalMessages[finalMessages.length - 1];
+	let summary = null;
+	let history = [];
+	if (conversationId) {
+		const conversation = await env.DB.prepare('SELECT * FROM conversations WHERE id = ?').bind(finalConversationId).first();
+		({ summary, history } = await loadChatHistory(env, conversation, conversation.active_message_id, log));
+	}
+	const continuing = history.length > 0 || Boolean(summary);
+	if (continuing && newTurn.role !== 'user') {
+		throw new AIError(
+			'The last message must be a user turn when continuing a conversation',
+			AI_CONFIG.ERROR_CODES.VALIDATION_ERROR,
+			{ location: 'body', fields: [{ field: 'messages', message: 'Last message must have role "user"' }] }
+		);
+	}
+	const contextMessages = continuing ? buildMessagesFromHistory(history, newTurn) : finalMessages;
+
+	// Save user message - extract content from messages array
+	const userContent = newTurn?.content || '';
+	await saveMessage(env, finalConversationId, 'user', userContent);
+
+	return streamChatResponse(
+		env,
+		{ userId, conversationId: finalConversationId, summary, contextMessages, userContent, selectedProvider, selectedModel, enableLoop, maxIterations },
+		log
+	);
 }
 
-// Grader endpoint - evaluate query results with Claude
-export async function handleGrader(env, request) {
-	try {
-		const { task, output } = await request.json();
-
-		if (!task || !output) {
-			throw new AIError(
-				'Missing task or output',
-				AI_CONFIG.ERROR_CODES.MISSING_INPUT,
-				{ hasTask: !!task, hasOutput: !!output }
-			);
-		}
+// Rerun the agent from an earlier user turn, as a new branch that leaves the original in place.
+// messageId may be the user message or any message after it in the same turn. With content, the
+// user message is edited: the new text becomes a sibling of the original.
+export async function handleRegenerate(env, conversationId, messageId, body, auth, log) {
+	const {
+		content,
+		provider,
+		model,
+		enableLoop = AI_CONFIG.CHAT_LOOP.ENABLE_LOOP_DEFAULT,
+		maxIterations = AI_CONFIG.CHAT_LOOP.MAX_ITERATIONS
+	} = body;
+
+	const conversation = await getOwnedConversation(env, conversationId, auth.user.id);
+	log = log.child({ conversationId });
+
+	const message = await env.DB.prepare('SELECT id FROM conversation_messages WHERE id = ? AND conversation_id = ?')
+		.bind(messageId, conversationId)
+		.first();
+	if (!message) {
+		throw new AIError('Message not found in this conversation', AI_CONFIG.ERROR_CODES.NOT_FOUND, { conversationId, messageId });
+	}
+	const branch = await getBranchMessages(env, messageId);
 
-		if (!env.ANTHROPIC_API_KEY) {
-			throw new AIError(
-				'ANTHROPIC_API_KEY not configured',
-				AI_CONFIG.ERROR_CODES.API_KEY_MISSING,
-				{ service: 'grader' }
-			);
-		}
+	const userIndex = branch.map(message => message.role).lastIndexOf('user');
+	if (userIndex === -1) {
+		throw new AIError(
+			'There is no user message to regenerate from',
+			AI_CONFIG.ERROR_CODES.VALIDATION_ERROR,
+			{ location: 'path', fields: [{ field: 'mid', message: 'Choose a user message or a reply to one' }] }
+		);
+	}
+	const userMessage = branch[userIndex];
+
+	// Provider defaults to the one the conversation was started with
+	const { selectedProvider, selectedModel } = resolveProvider(env, provider || conversation.model, model);
+
+	const newTurn = { role: 'user', content: content ?? userMessage.content };
+	const { summary, history } = await loadChatHistory(env, conversation, userMessage.parent_id, log);
+	const contextMessages = buildMessagesFromHistory(history, newTurn);
+
+	if (content !== undefined) {
+		// Edited turn: a new user message next to the original
+		await setActiveMessage(env, conversationId, userMessage.parent_id);
+		await saveMessage(env, conversationId, 'user', content);
+	} else {
+		// Same turn: the new replies branch off the original user message
+		await setActiveMessage(env, conversationId, userMessage.id);
+	}
+
+	return streamChatResponse(
+		env,
+		{ userId: auth.user.id, conversationId, summary, contextMessages, userContent: newTurn.content, selectedProvider, selectedModel, enableLoop, maxIterations },
+		log
+	);
+}
 
-		const evalPrompt = `You are an expert code and query reviewer. Your task is to evaluate the following AI-generated solution.
+// Grade a solution against its task with Claude; returns { strengths, weaknesses, reasoning, score }.
+// The call's usage is charged to owner ({ userId, conversationId }).
+export async function gradeSolution(env, task, output, owner, log) {
+	if (!env.ANTHROPIC_API_KEY) {
+		throw new AIError(
+			'ANTHROPIC_API_KEY not configured',
+			AI_CONFIG.ERROR_CODES.API_KEY_MISSING,
+			{ service: 'grader' }
+		);
+	}
+
+	const evalPrompt = `You are an expert code and query reviewer. Your task is to evaluate the following AI-generated solution.
 
 Original Task:
 <task>
@@ -938,8 +867,10 @@ Example response shape:
     "score": number
 }`;
 
-		// Use Anthropic API to grade the result
-		const response = await fetch('https://api.anthropic.com/v1/messages', {
+	// Use Anthropic API to grade the result
+	let response;
+	try {
+		response = await fetch('https://api.anthropic.com/v1/messages', {
 			method: 'POST',
 			headers: {
 				'Content-Type': 'application/json',
@@ -962,53 +893,48 @@ Example response shape:
 				stop_sequences: AI_CONFIG.GRADER.STOP_SEQUENCES,
 			}),
 		});
+	} catch (error) {
+		log.error('grader.request_failed', { error });
+		throw new AIError('Grading service unavailable', AI_CONFIG.ERROR_CODES.API_ERROR, { service: 'grader' });
+	}
 
-		if (!response.ok) {
-			const errorText = await response.text();
-			console.error('[GRADER] Anthropic API error:', errorText);
-			return new Response(JSON.stringify({ error: 'Grading failed' }), {
-				status: 500,
-				headers: { 'Content-Type': 'application/json' },
-			});
-		}
-
-		const data = await response.json();
-		const gradeText = data.content?.[0]?.text;
+	if (!response.ok) {
+		const errorText = await response.text();
+		log.error('grader.api_error', { upstreamStatus: response.status, body: errorText.substring(0, 500) });
+		throw new AIError('Grading failed', AI_CONFIG.ERROR_CODES.API_ERROR, { service: 'grader', upstreamStatus: response.status });
+	}
 
-		if (!gradeText) {
-			return new Response(JSON.stringify({ error: 'Invalid response from grading service' }), {
-				status: 500,
-				headers: { 'Content-Type': 'application/json' },
-			});
-		}
+	const data = await response.json();
+	const usage = applyStreamUsage(emptyUsage(AI_CONFIG.DEFAULT_MODELS.grader), data);
+	await recordUsage(env, { ...owner, provider: 'anthropic', usage }, log);
+	const gradeText = data.content?.[0]?.text;
 
-		try {
-			const grade = JSON.parse(gradeText);
-			return new Response(JSON.stringify({
-				success: true,
-				grade,
-				task,
-				output
-			}), {
-				headers: { 
-					'Content-Type': 'application/json',
-					'Access-Control-Allow-Origin': '*',
-					'Access-Control-Allow-Headers': 'Content-Type',
-				},
-			});
-		} catch (parseError) {
-			console.error('[GRADER] Failed to parse grade JSON:', gradeText);
-			return new Response(JSON.stringify({ error: 'Failed to parse grading result' }), {
-				status: 500,
-				headers: { 'Content-Type': 'application/json' },
-			});
-		}
+	if (!gradeText) {
+		throw new AIError('Invalid response from grading service', AI_CONFIG.ERROR_CODES.API_ERROR, { service: 'grader' });
+	}
 
-	} catch (error) {
-		console.error('[GRADER] Error:', error);
-		return new Response(JSON.stringify({ error: 'Grader service error' }), {
-			status: 500,
-			headers: { 'Content-Type': 'application/json' },
-		});
+	let grade;
+	try {
+		grade = JSON.parse(gradeText);
+	} catch (parseError) {
+		log.error('grader.parse_error', { error: parseError, length: gradeText.length });
+		throw new AIError('Failed to parse grading result', AI_CONFIG.ERROR_CODES.PARSING_ERROR, { service: 'grader' });
 	}
+
+	return grade;
+}
+
+// Grader endpoint - evaluate query results with Claude
+export async function handleGrader(env, body, auth, log) {
+	const { task, output } = body;
+	const grade = await gradeSolution(env, task, output, { userId: auth.user.id }, log);
+
+	return new Response(JSON.stringify({
+		success: true,
+		grade,
+		task,
+		output
+	}), {
+		headers: { 'Content-Type': 'application/json' },
+	});
 }
\ No newline at end of file
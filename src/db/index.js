@@ -1,6 +1,8 @@
 // Database abstraction layer for D1 and DuckDB
 // D1 for agent data, DuckDB for FRP financial data
 
+import { logger } from '../utils/logger.js';
+
 class DatabaseManager {
   constructor(d1Database = null, duckdbConfig = null, env = null) {
     this.d1 = d1Database;
@@ -22,7 +24,7 @@ class DatabaseManager {
       const result = params.length > 0 ? await stmt.bind(...params).all() : await stmt.all();
       return result;
     } catch (error) {
-      console.error('D1 query error:', error);
+      logger.error('d1.query_error', { error });
       throw error;
     }
   }
@@ -48,7 +50,7 @@ class DatabaseManager {
       const result = await response.json();
       return Array.isArray(result) ? result : result.data || result.rows || [];
     } catch (error) {
-      console.error('DuckDB query error:', error);
+      logger.error('duckdb.query_error', { error });
       throw error;
     }
   }
@@ -95,6 +97,158 @@ class DatabaseManager {
     );
   }
 
+  // List users without their password hashes
+  async getUsers() {
+    const result = await this.executeD1Query(
+      'SELECT id, username, role, is_disabled, password_changed_at, created_at FROM users ORDER BY username'
+    );
+    return result.results;
+  }
+
+  async setUserPassword(id, hashedPassword) {
+    return await this.executeD1Query(
+      `UPDATE users SET hashed_password = ?, password_changed_at = datetime('now') WHERE id = ?`,
+      [hashedPassword, id]
+    );
+  }
+
+  // Password Reset Tokens (D1)
+  async createPasswordResetToken(userId, tokenHash, ttlHours, createdBy = null) {
+    return await this.executeD1Query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, created_by, expires_at)
+       VALUES (?, ?, ?, datetime('now', ?))`,
+      [userId, tokenHash, createdBy, `+${ttlHours} hours`]
+    );
+  }
+
+  // Marks the token used and returns it in one statement, so a token can only ever be redeemed once
+  async consumePasswordResetToken(tokenHash) {
+    const result = await this.executeD1Query(
+      `UPDATE password_reset_tokens SET used_at = datetime('now')
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+       RETURNING id, user_id, created_by`,
+      [tokenHash]
+    );
+    return result.results.length > 0 ? result.results[0] : null;
+  }
+
+  // Session Management (D1)
+  async createSession(id, user, ttlHours, userAgent = null, ipAddress = null) {
+    const userData = JSON.stringify({ id: user.id, username: user.username, role: user.role });
+    return await this.executeD1Query(
+      `INSERT INTO sessions (id, user_id, user_data, expires_at, user_agent, ip_address)
+       VALUES (?, ?, ?, datetime('now', ?), ?, ?)`,
+      [id, user.id, userData, `+${ttlHours} hours`, userAgent, ipAddress]
+    );
+  }
+
+  async getActiveSession(id) {
+    const result = await this.executeD1Query(
+      `SELECT * FROM sessions WHERE id = ? AND is_active = TRUE AND expires_at > datetime('now')`,
+      [id]
+    );
+    return result.results.length > 0 ? result.results[0] : null;
+  }
+
+  async getActiveSessionsForUser(userId) {
+    const result = await this.executeD1Query(
+      `SELECT id, user_id, created_at, updated_at, expires_at, user_agent, ip_address
+       FROM sessions WHERE user_id = ? AND is_active = TRUE AND expires_at > datetime('now')
+       ORDER BY updated_at DESC`,
+      [userId]
+    );
+    return result.results;
+  }
+
+  // Sliding expiration: push expires_at out again once the session has been idle for
+  // refreshMinutes, so busy sessions do not write on every request. updated_at doubles as a coarse
+  // "last seen": it moves when the session is extended, so it can be up to refreshMinutes behind the
+  // latest request.
+  async extendSession(id, ttlHours, refreshMinutes) {
+    return await this.executeD1Query(
+      `UPDATE sessions SET expires_at = datetime('now', ?)
+       WHERE id = ? AND updated_at <= datetime('now', ?)`,
+      [`+${ttlHours} hours`, id, `-${refreshMinutes} minutes`]
+    );
+  }
+
+  // Deactivate sessions past their expiry; returns how many were deactivated.
+  // Counted with RETURNING because meta.changes also counts the updated_at trigger's writes.
+  async deactivateExpiredSessions() {
+    const result = await this.executeD1Query(
+      `UPDATE sessions SET is_active = FALSE WHERE is_active = TRUE AND expires_at <= datetime('now') RETURNING id`
+    );
+    return result.results.length;
+  }
+
+  async deactivateSession(id) {
+    return await this.executeD1Query(
+      'UPDATE sessions SET is_active = FALSE WHERE id = ?',
+      [id]
+    );
+  }
+
+  // Deactivate every session for a user, optionally keeping one (e.g. the caller's); returns how many were deactivated
+  async deactivateUserSessions(userId, exceptSessionId = null) {
+    const result = await this.executeD1Query(
+      'UPDATE sessions SET is_active = FALSE WHERE user_id = ? AND is_active = TRUE AND id != ? RETURNING id',
+      [userId, exceptSessionId || '']
+    );
+    return result.results.length;
+  }
+
+  // API Key Management (D1)
+  async createApiKey(userId, name, keyPrefix, keyHash, scopes, expiresInDays = null) {
+    return await this.executeD1Query(
+      `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+       VALUES (?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)`,
+      [userId, name, keyPrefix, keyHash, JSON.stringify(scopes), expiresInDays, `+${expiresInDays} days`]
+    );
+  }
+
+  // Look up a usable key together with its owner
+  async getActiveApiKeyByHash(keyHash) {
+    const result = await this.executeD1Query(
+      `SELECT k.*, u.username, u.role, u.is_disabled
+       FROM api_keys k JOIN users u ON u.id = k.user_id
+       WHERE k.key_hash = ? AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > datetime('now'))`,
+      [keyHash]
+    );
+    return result.results.length > 0 ? result.results[0] : null;
+  }
+
+  async getApiKeyById(id) {
+    const result = await this.executeD1Query(
+      'SELECT * FROM api_keys WHERE id = ?',
+      [id]
+    );
+    return result.results.length > 0 ? result.results[0] : null;
+  }
+
+  async getApiKeysForUser(userId) {
+    const result = await this.executeD1Query(
+      `SELECT id, user_id, name, key_prefix, scopes, created_at, expires_at, last_used_at, revoked_at
+       FROM api_keys WHERE user_id = ? ORDER BY created_at DESC`,
+      [userId]
+    );
+    return result.results;
+  }
+
+  async revokeApiKey(id) {
+    return await this.executeD1Query(
+      `UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL`,
+      [id]
+    );
+  }
+
+  async touchApiKey(id) {
+    return await this.executeD1Query(
+      `UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?`,
+      [id]
+    );
+  }
+
   // Report Configuration Management (D1)
   async createReportConfig(label, queryTemplate, columnDefinitions, parameterDefinitions) {
     return await this.executeD1Query(
@@ -0,0 +1,109 @@
+import DatabaseManager from '../db/index.js';
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from '../utils/errors.js';
+import { generateToken, sha256Hex } from '../utils/password.js';
+import { jsonResponse } from '../utils/response.js';
+import { createAuditor } from '../utils/audit.js';
+import { resolveTargetUserId } from '../utils/auth.js';
+
+// Key format: rk_<8 char prefix>_<secret>; the prefix identifies the key in listings
+function generateApiKey() {
+	const prefix = generateToken(4);
+	return { key: `rk_${prefix}_${generateToken(24)}`, prefix: `rk_${prefix}` };
+}
+
+function toPublicKey(row) {
+	return {
+		id: row.id,
+		userId: row.user_id,
+		name: row.name,
+		prefix: row.key_prefix,
+		scopes: JSON.parse(row.scopes),
+		createdAt: row.created_at,
+		expiresAt: row.expires_at,
+		lastUsedAt: row.last_used_at,
+		revokedAt: row.revoked_at,
+	};
+}
+
+// Owners manage their own keys; admins can manage anyone's
+async function getManageableKey(db, keyId, auth) {
+	const key = await db.getApiKeyById(keyId);
+	if (!key || (key.user_id !== auth.user.id && auth.user.role !== 'admin')) {
+		throw new AIError('API key not found', AI_CONFIG.ERROR_CODES.NOT_FOUND, { keyId });
+	}
+	return key;
+}
+
+// Issue a key and return the plaintext once; it cannot be recovered later
+async function issueKey(db, userId, name, scopes, expiresInDays) {
+	const { key, prefix } = generateApiKey();
+	const result = await db.createApiKey(userId, name, prefix, await sha256Hex(key), scopes, expiresInDays);
+	const row = await db.getApiKeyById(result.meta.last_row_id);
+	return { apiKey: key, key: toPublicKey(row) };
+}
+
+// GET /api-keys - list the caller's keys (admins may pass ?userId=)
+export async function handleApiKeysList(env, query, auth) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const userId = resolveTargetUserId(auth, query.userId);
+	const keys = await db.getApiKeysForUser(userId);
+	return jsonResponse({ success: true, keys: keys.map(toPublicKey) });
+}
+
+// POST /api-keys - create a key for the caller (admins may pass userId)
+export async function handleApiKeyCreate(env, request, body, auth) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const audit = createAuditor(env, request, auth);
+	const { name, scopes, expiresInDays = null, userId } = body;
+
+	let ownerId = auth.user.id;
+	if (userId !== undefined && userId !== auth.user.id) {
+		if (auth.user.role !== 'admin') {
+			throw new AIError('Only admins can create keys for other users', AI_CONFIG.ERROR_CODES.FORBIDDEN);
+		}
+		if (!(await db.getUserById(userId))) {
+			throw new AIError('User not found', AI_CONFIG.ERROR_CODES.NOT_FOUND, { userId });
+		}
+		ownerId = userId;
+	}
+
+	const issued = await issueKey(db, ownerId, name, scopes, expiresInDays);
+	await audit({ action: 'api_key.create', targetType: 'api_key', targetId: issued.key.id, details: { ownerId, name, scopes, expiresInDays } });
+
+	return jsonResponse({ success: true, ...issued }, 201);
+}
+
+// POST /api-keys/:id/rotate - replace a key with a new secret, keeping its name, scopes and lifetime
+export async function handleApiKeyRotate(env, request, keyId, auth) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const audit = createAuditor(env, request, auth);
+	const oldKey = await getManageableKey(db, keyId, auth);
+
+	if (oldKey.revoked_at) {
+		throw new AIError('API key is already revoked', AI_CONFIG.ERROR_CODES.CONFLICT, { keyId });
+	}
+
+	// Keep the remaining lifetime of the old key, rounded up to whole days
+	let expiresInDays = null;
+	if (oldKey.expires_at) {
+		const remainingMs = new Date(`${oldKey.expires_at.replace(' ', 'T')}Z`).getTime() - Date.now();
+		expiresInDays = Math.max(1, Math.ceil(remainingMs / 86400000));
+	}
+
+	const issued = await issueKey(db, oldKey.user_id, oldKey.name, JSON.parse(oldKey.scopes), expiresInDays);
+	await db.revokeApiKey(oldKey.id);
+	await audit({ action: 'api_key.rotate', targetType: 'api_key', targetId: oldKey.id, details: { ownerId: oldKey.user_id, newKeyId: issued.key.id } });
+
+	return jsonResponse({ success: true, rotatedFrom: oldKey.id, ...issued }, 201);
+}
+
+// DELETE /api-keys/:id - revoke a key
+export async function handleApiKeyRevoke(env, request, keyId, auth) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const audit = createAuditor(env, request, auth);
+	const key = await getManageableKey(db, keyId, auth);
+	await db.revokeApiKey(key.id);
+	await audit({ action: 'api_key.revoke', targetType: 'api_key', targetId: key.id, details: { ownerId: key.user_id, name: key.name } });
+	return jsonResponse({ success: true, message: 'API key revoked' });
+}
@@ -0,0 +1,99 @@
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from '../utils/errors.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { jsonResponse } from '../utils/response.js';
+import { dateRangeConditions } from '../utils/date-range.js';
+
+// GET /admin/audit - query audit events
+// Filters: actor (user ID or username), action (exact, or prefix with trailing '*'), from/to (ISO date or datetime;
+// a date alone as `to` includes that whole day), before (event ID), limit
+export async function handleAuditList(env, query) {
+	const { actor, action, from, to, before, limit = 100 } = query;
+	const conditions = [];
+	const bindings = [];
+
+	if (actor) {
+		if (/^\d+$/.test(actor)) {
+			conditions.push('actor_user_id = ?');
+			bindings.push(parseInt(actor));
+		} else {
+			conditions.push('actor_username = ?');
+			bindings.push(actor);
+		}
+	}
+
+	if (action) {
+		if (action.endsWith('*')) {
+			conditions.push('action LIKE ?');
+			bindings.push(`${action.slice(0, -1)}%`);
+		} else {
+			conditions.push('action = ?');
+			bindings.push(action);
+		}
+	}
+
+	const range = dateRangeConditions('created_at', { from, to });
+	conditions.push(...range.conditions);
+	bindings.push(...range.bindings);
+
+	if (before) {
+		conditions.push('id < ?');
+		bindings.push(before);
+	}
+
+	const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+	const result = await env.DB.prepare(`
+        SELECT * FROM audit_events
+        ${where}
+        ORDER BY id DESC
+        LIMIT ?
+      `)
+		.bind(...bindings, limit)
+		.all();
+
+	const events = result.results.map((event) => ({
+		...event,
+		details: event.details ? JSON.parse(event.details) : null,
+	}));
+
+	return jsonResponse({
+		success: true,
+		events,
+		// Pass as ?before= to fetch the next (older) page
+		nextBefore: events.length === limit ? events[events.length - 1].id : null,
+	});
+}
+
+// POST /sql/approvals - record the user's decision on a statement prepared for them by prepare_sql_for_user.
+// Each statement is decided once, and the audit event holds the stored SQL.
+export async function handleSqlApproval(env, request, body, auth) {
+	const { statementId, decision } = body;
+
+	const prepared = await env.DB.prepare(`
+        UPDATE prepared_sql_statements SET decision = ?, decided_at = datetime('now')
+        WHERE id = ? AND user_id = ? AND decision IS NULL
+        RETURNING conversation_id, statement
+      `)
+		.bind(decision, statementId, auth.user.id)
+		.first();
+
+	if (!prepared) {
+		const existing = await env.DB.prepare('SELECT decision FROM prepared_sql_statements WHERE id = ? AND user_id = ?')
+			.bind(statementId, auth.user.id)
+			.first();
+		if (existing) {
+			throw new AIError(`Statement was already ${existing.decision}`, AI_CONFIG.ERROR_CODES.CONFLICT, { statementId });
+		}
+		throw new AIError('Prepared statement not found', AI_CONFIG.ERROR_CODES.NOT_FOUND, { statementId });
+	}
+
+	await recordAuditEvent(env, request, auth, {
+		action: `sql.${decision === 'approved' ? 'approve' : 'reject'}`,
+		targetType: 'conversation',
+		targetId: prepared.conversation_id,
+		details: { statementId, statement: prepared.statement },
+	});
+
+	return jsonResponse({ success: true, decision });
+}
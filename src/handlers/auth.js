@@ -0,0 +1,163 @@
+import DatabaseManager from '../db/index.js';
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from '../utils/errors.js';
+import { createSession, buildSessionCookie, requireOwnerOrAdmin, resolveTargetUserId } from '../utils/auth.js';
+import { hashPassword, verifyPassword, sha256Hex } from '../utils/password.js';
+import { jsonResponse } from '../utils/response.js';
+import { recordAuditEvent, createAuditor } from '../utils/audit.js';
+
+// Hash used for unknown usernames so a failed lookup takes as long as a wrong password
+let dummyHash = null;
+
+// POST /auth/login - verify credentials and issue a session
+export async function handleLogin(env, request, body) {
+	const { username, password } = body;
+	const db = new DatabaseManager(env.DB, null, env);
+	const user = await db.getUserByUsername(username);
+
+	const loginFailed = async (reason) => {
+		await recordAuditEvent(env, request, null, {
+			action: 'auth.login_failed',
+			targetType: 'user',
+			targetId: user?.id ?? null,
+			details: { username, reason },
+		});
+	};
+
+	if (!user) {
+		dummyHash = dummyHash || (await hashPassword(crypto.randomUUID()));
+		await verifyPassword(password, dummyHash);
+		await loginFailed('unknown_user');
+		throw new AIError('Invalid username or password', AI_CONFIG.ERROR_CODES.INVALID_CREDENTIALS);
+	}
+
+	if (!(await verifyPassword(password, user.hashed_password))) {
+		await loginFailed('wrong_password');
+		throw new AIError('Invalid username or password', AI_CONFIG.ERROR_CODES.INVALID_CREDENTIALS);
+	}
+
+	if (user.is_disabled) {
+		await loginFailed('account_disabled');
+		throw new AIError('Account is disabled', AI_CONFIG.ERROR_CODES.FORBIDDEN);
+	}
+
+	const sessionToken = await createSession(env, user, request);
+	await recordAuditEvent(env, request, { user, apiKeyId: null }, { action: 'auth.login', targetType: 'user', targetId: user.id });
+
+	return jsonResponse(
+		{
+			success: true,
+			sessionToken,
+			expiresInHours: AI_CONFIG.AUTH.SESSION_TTL_HOURS,
+			user: { id: user.id, username: user.username, role: user.role },
+		},
+		200,
+		{ 'Set-Cookie': buildSessionCookie(sessionToken) }
+	);
+}
+
+// POST /auth/logout - deactivate the current session
+export async function handleLogout(env, request, auth) {
+	const db = new DatabaseManager(env.DB, null, env);
+	await db.deactivateSession(auth.sessionId);
+	await recordAuditEvent(env, request, auth, { action: 'auth.logout', targetType: 'session', targetId: auth.sessionId });
+
+	return jsonResponse({ success: true, message: 'Logged out' }, 200, { 'Set-Cookie': buildSessionCookie(null) });
+}
+
+// GET /auth/me - return the authenticated user
+export async function handleMe(env, auth) {
+	return jsonResponse({
+		success: true,
+		user: auth.user,
+	});
+}
+
+// POST /auth/password - change the caller's own password
+export async function handlePasswordChange(env, request, body, auth) {
+	const { currentPassword, newPassword } = body;
+	const db = new DatabaseManager(env.DB, null, env);
+	const user = await db.getUserById(auth.user.id);
+
+	if (!user || !(await verifyPassword(currentPassword, user.hashed_password))) {
+		throw new AIError('Current password is incorrect', AI_CONFIG.ERROR_CODES.INVALID_CREDENTIALS);
+	}
+
+	await db.setUserPassword(user.id, await hashPassword(newPassword));
+	// Sign out every other device that knew the old password
+	await db.deactivateUserSessions(user.id, auth.sessionId);
+	await recordAuditEvent(env, request, auth, { action: 'auth.password_change', targetType: 'user', targetId: user.id });
+
+	return jsonResponse({ success: true, message: 'Password changed' });
+}
+
+// POST /auth/reset-password - set a new password with an admin-issued reset token
+export async function handlePasswordReset(env, request, body) {
+	const { token, newPassword } = body;
+	const db = new DatabaseManager(env.DB, null, env);
+	const resetToken = await db.consumePasswordResetToken(await sha256Hex(token));
+
+	if (!resetToken) {
+		throw new AIError('Reset token is invalid or expired', AI_CONFIG.ERROR_CODES.INVALID_CREDENTIALS);
+	}
+
+	await db.setUserPassword(resetToken.user_id, await hashPassword(newPassword));
+	await db.deactivateUserSessions(resetToken.user_id);
+	await recordAuditEvent(env, request, null, {
+		action: 'auth.password_reset',
+		targetType: 'user',
+		targetId: resetToken.user_id,
+		details: { resetTokenId: resetToken.id, issuedBy: resetToken.created_by },
+	});
+
+	return jsonResponse({ success: true, message: 'Password reset' });
+}
+
+// lastSeenAt is only as fresh as the last sliding extension (see DatabaseManager.extendSession), so it can
+// lag the session's real last request by up to SESSION_REFRESH_MINUTES
+function toPublicSession(session, auth) {
+	return {
+		id: session.id,
+		current: session.id === auth.sessionId,
+		userAgent: session.user_agent,
+		ipAddress: session.ip_address,
+		createdAt: session.created_at,
+		lastSeenAt: session.updated_at,
+		expiresAt: session.expires_at,
+	};
+}
+
+// GET /auth/sessions - list active sessions (admins may pass ?userId=)
+export async function handleSessionsList(env, query, auth) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const userId = resolveTargetUserId(auth, query.userId);
+	const sessions = await db.getActiveSessionsForUser(userId);
+	return jsonResponse({ success: true, userId, sessions: sessions.map((session) => toPublicSession(session, auth)) });
+}
+
+// DELETE /auth/sessions/:id - revoke one session
+export async function handleSessionRevoke(env, request, sessionId, auth) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const audit = createAuditor(env, request, auth);
+	const session = await db.getActiveSession(sessionId);
+	if (!session) {
+		throw new AIError('Session not found', AI_CONFIG.ERROR_CODES.NOT_FOUND, { sessionId });
+	}
+	requireOwnerOrAdmin(auth, session.user_id, 'session');
+
+	await db.deactivateSession(session.id);
+	await audit({ action: 'session.revoke', targetType: 'session', targetId: session.id, details: { ownerId: session.user_id } });
+
+	return jsonResponse({ success: true, message: 'Session revoked' });
+}
+
+// DELETE /auth/sessions - revoke every session except the current one (admins may pass ?userId=)
+export async function handleSessionsRevokeAll(env, request, query, auth) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const audit = createAuditor(env, request, auth);
+	const userId = resolveTargetUserId(auth, query.userId);
+	const revoked = await db.deactivateUserSessions(userId, auth.sessionId);
+	await audit({ action: 'session.revoke_all', targetType: 'user', targetId: userId, details: { revoked } });
+
+	return jsonResponse({ success: true, revoked });
+}
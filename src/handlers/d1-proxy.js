@@ -1,49 +1,49 @@
-// D1 proxy configuration
-const D1_PROXY_API_KEY = 'secret123';
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from '../utils/errors.js';
+import { requireScope } from '../utils/auth.js';
+import { recordAuditEvent, prepareAuditEvent } from '../utils/audit.js';
 
-export async function handleD1Proxy(env, request) {
-	// Check API key authentication
-	const apiKey = request.headers.get('x-api-key');
-	if (!apiKey || apiKey !== D1_PROXY_API_KEY) {
-		return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-			status: 401,
-			headers: { 'Content-Type': 'application/json' },
-		});
-	}
-
-	const { query, params = [] } = await request.json();
-
-	if (!query) {
-		return new Response(JSON.stringify({ error: 'Missing query' }), {
-			status: 400,
-			headers: { 'Content-Type': 'application/json' },
-		});
-	}
+export async function handleD1Proxy(env, request, body, auth, log) {
+	const { query, params } = body;
 
 	// Check if it's a command (INSERT, UPDATE, DELETE) or query (SELECT)
 	const isCommand = query.startsWith('COMMAND:');
 	const actualQuery = isCommand ? query.substring(8) : query;
 
+	// API keys need d1:command for writes and d1:query for reads
+	requireScope(auth, isCommand ? 'd1:command' : 'd1:query');
+
+	const auditEvent = {
+		action: isCommand ? 'd1.command' : 'd1.query',
+		targetType: 'd1',
+		details: { statement: actualQuery, isCommand, paramCount: params.length },
+	};
+
 	try {
-		const stmt = env.DB.prepare(actualQuery);
+		const stmt = params.length > 0 ? env.DB.prepare(actualQuery).bind(...params) : env.DB.prepare(actualQuery);
 		let result;
 
 		if (isCommand) {
-			// Use run() for commands
-			result = params.length > 0 ? await stmt.bind(...params).run() : await stmt.run();
+			// The batch is one transaction: a write that cannot be audited is rolled back and fails the request
+			const audit = prepareAuditEvent(env, request, auth, { ...auditEvent, details: { ...auditEvent.details, success: true } });
+			[result] = await env.DB.batch([stmt, audit]);
 		} else {
-			// Use all() for queries
-			result = params.length > 0 ? await stmt.bind(...params).all() : await stmt.all();
+			result = await stmt.all();
+			await recordAuditEvent(env, request, auth, {
+				...auditEvent,
+				details: { ...auditEvent.details, success: true, changes: result.meta?.changes ?? null },
+			});
 		}
 
 		return new Response(JSON.stringify(result), {
 			headers: { 'Content-Type': 'application/json' },
 		});
 	} catch (dbError) {
-		console.error('D1 proxy database error:', dbError);
-		return new Response(JSON.stringify({ error: `Database error: ${dbError.message}` }), {
-			status: 500,
-			headers: { 'Content-Type': 'application/json' },
+		log.error('d1_proxy.query_error', { isCommand, error: dbError });
+		await recordAuditEvent(env, request, auth, {
+			...auditEvent,
+			details: { ...auditEvent.details, success: false, error: dbError.message },
 		});
+		throw new AIError(`Database error: ${dbError.message}`, AI_CONFIG.ERROR_CODES.SQL_SYNTAX_ERROR);
 	}
 }
\ No newline at end of file
@@ -0,0 +1,86 @@
+import { buildOpenApiDocument } from '../openapi.js';
+import { jsonResponse } from '../utils/response.js';
+
+// GET /openapi.json - OpenAPI document generated from the route table
+export async function handleOpenApi(env, url, routes) {
+	return jsonResponse(buildOpenApiDocument(routes, env, url.origin));
+}
+
+// GET /docs - self-contained viewer for /openapi.json (no third-party scripts on this origin)
+export async function handleDocs() {
+	return new Response(DOCS_HTML, {
+		headers: { 'Content-Type': 'text/html; charset=utf-8' },
+	});
+}
+
+const DOCS_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Rodeo AI Agent API</title>
+<style>
+	body { font: 14px/1.5 system-ui, sans-serif; margin: 0 auto; max-width: 960px; padding: 24px; color: #1f2328; }
+	h2 { border-bottom: 1px solid #d0d7de; margin-top: 32px; text-transform: capitalize; }
+	details { border: 1px solid #d0d7de; border-radius: 6px; margin: 8px 0; }
+	summary { cursor: pointer; padding: 8px 12px; }
+	.method { display: inline-block; width: 64px; font-weight: 600; font-family: ui-monospace, monospace; }
+	.get { color: #0969da; } .post { color: #1a7f37; } .patch { color: #9a6700; } .delete { color: #cf222e; }
+	.path { font-family: ui-monospace, monospace; }
+	.body { padding: 0 12px 12px; }
+	pre { background: #f6f8fa; border-radius: 6px; overflow: auto; padding: 8px; }
+</style>
+</head>
+<body>
+<h1>Rodeo AI Agent API</h1>
+<p>Generated from <a href="/openapi.json">/openapi.json</a>.</p>
+<div id="operations">Loading…</div>
+<script>
+	const escapeHtml = (text) => String(text ?? '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+	const json = (value) => '<pre>' + escapeHtml(JSON.stringify(value, null, 2)) + '</pre>';
+
+	function resolve(spec, node) {
+		if (!node || typeof node !== 'object') return node;
+		if (node.$ref) return resolve(spec, node.$ref.slice(2).split('/').reduce((obj, key) => obj[key], spec));
+		if (Array.isArray(node)) return node.map((item) => resolve(spec, item));
+		return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, resolve(spec, value)]));
+	}
+
+	function renderOperation(spec, method, path, op) {
+		let html = '<details><summary><span class="method ' + method + '">' + method.toUpperCase() + '</span> ';
+		html += '<span class="path">' + escapeHtml(path) + '</span> ' + escapeHtml(op.summary) + '</summary><div class="body">';
+		html += '<p>' + escapeHtml(op.description) + '</p>';
+		if (op.parameters) {
+			html += '<h4>Parameters</h4><ul>' + op.parameters.map((p) =>
+				'<li><code>' + escapeHtml(p.name) + '</code> (' + p.in + (p.required ? ', required' : '') + ') ' + escapeHtml(p.description) + '</li>').join('') + '</ul>';
+		}
+		if (op.requestBody) {
+			for (const [type, media] of Object.entries(op.requestBody.content)) {
+				html += '<h4>Request body (' + escapeHtml(type) + ')</h4>' + json(resolve(spec, media.schema));
+			}
+		}
+		for (const [status, response] of Object.entries(op.responses)) {
+			const resolved = resolve(spec, response);
+			html += '<h4>' + escapeHtml(status) + ' ' + escapeHtml(resolved.description) + '</h4>';
+			for (const [type, media] of Object.entries(resolved.content || {})) {
+				html += media.schema ? json(resolve(spec, media.schema)) : '<p>' + escapeHtml(type) + '</p>';
+			}
+		}
+		return html + '</div></details>';
+	}
+
+	fetch('/openapi.json').then((response) => response.json()).then((spec) => {
+		const byTag = {};
+		for (const [path, methods] of Object.entries(spec.paths)) {
+			for (const [method, op] of Object.entries(methods)) {
+				(byTag[op.tags[0]] = byTag[op.tags[0]] || []).push(renderOperation(spec, method, path, op));
+			}
+		}
+		document.getElementById('operations').innerHTML = Object.entries(byTag)
+			.map(([tag, ops]) => '<h2>' + escapeHtml(tag) + '</h2>' + ops.join(''))
+			.join('');
+	});
+</script>
+</body>
+</html>
+`;
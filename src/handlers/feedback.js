@@ -0,0 +1,168 @@
+import { AI_CONFIG } from '../ai-config.js';
+import { gradeSolution } from '../ai.js';
+import { AIError } from '../utils/errors.js';
+import { jsonResponse } from '../utils/response.js';
+import { getOwnedConversation, getBranchMessages } from '../utils/conversation.js';
+import { buildCompactionTranscript } from '../utils/compaction.js';
+import { dateRangeConditions } from '../utils/date-range.js';
+
+// Thumbs up/down on assistant messages. Negative feedback is graded in the background: the turn's user
+// message is the task and the assistant's replies and tool calls up to the rated message are the solution,
+// so graded failures can be collected from GET /admin/feedback.
+
+const FEEDBACK_SELECT = `
+        SELECT f.*, u.username, c.title AS conversation_title, m.content AS message_content
+        FROM message_feedback f
+        LEFT JOIN users u ON u.id = f.user_id
+        LEFT JOIN conversations c ON c.id = f.conversation_id
+        LEFT JOIN conversation_messages m ON m.id = f.message_id
+      `;
+
+function toPublicFeedback(row) {
+	return {
+		id: row.id,
+		conversationId: row.conversation_id,
+		conversationTitle: row.conversation_title,
+		messageId: row.message_id,
+		messageContent: row.message_content,
+		userId: row.user_id,
+		username: row.username,
+		rating: row.rating,
+		reason: row.reason,
+		comment: row.comment,
+		gradeStatus: row.grade_status,
+		gradeScore: row.grade_score,
+		grade: row.grade ? JSON.parse(row.grade) : null,
+		gradeError: row.grade_error,
+		gradedAt: row.graded_at,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+async function getFeedback(env, feedbackId) {
+	return toPublicFeedback(await env.DB.prepare(`${FEEDBACK_SELECT} WHERE f.id = ?`).bind(feedbackId).first());
+}
+
+// Grade the turn that ends at the rated message and store the result on the feedback row.
+// owner ({ userId, conversationId }) is charged for the grading call.
+async function gradeFeedback(env, feedbackId, messageId, owner, log) {
+	try {
+		const branch = await getBranchMessages(env, messageId);
+		const userIndex = branch.map((message) => message.role).lastIndexOf('user');
+		const task = branch[userIndex]?.content || '';
+		const output = buildCompactionTranscript(branch.slice(userIndex + 1));
+		const grade = await gradeSolution(env, task, output, owner, log);
+
+		await env.DB.prepare(`
+        UPDATE message_feedback SET grade_status = 'graded', grade = ?, grade_score = ?, grade_error = NULL, graded_at = datetime('now')
+        WHERE id = ?
+      `)
+			.bind(JSON.stringify(grade), typeof grade.score === 'number' ? grade.score : null, feedbackId)
+			.run();
+		log.info('feedback.graded', { feedbackId, score: grade.score });
+	} catch (error) {
+		log.error('feedback.grade_failed', { feedbackId, error });
+		await env.DB.prepare("UPDATE message_feedback SET grade_status = 'failed', grade_error = ?, graded_at = datetime('now') WHERE id = ?")
+			.bind(error.message, feedbackId)
+			.run();
+	}
+}
+
+// POST /conversations/:id/messages/:mid/feedback - rate an assistant message in your conversation.
+// Submitting again replaces your rating; a thumbs-down is graded once (again only if grading failed).
+export async function handleFeedbackSubmit(env, ctx, conversationId, messageId, body, auth, log) {
+	await getOwnedConversation(env, conversationId, auth.user.id);
+	const { rating, reason = null, comment = null } = body;
+
+	const message = await env.DB.prepare('SELECT id, role FROM conversation_messages WHERE id = ? AND conversation_id = ?')
+		.bind(messageId, conversationId)
+		.first();
+	if (!message) {
+		throw new AIError('Message not found in this conversation', AI_CONFIG.ERROR_CODES.NOT_FOUND, { conversationId, messageId });
+	}
+	if (message.role !== 'assistant') {
+		throw new AIError('Only assistant messages can be rated', AI_CONFIG.ERROR_CODES.VALIDATION_ERROR, {
+			location: 'path',
+			fields: [{ field: 'mid', message: 'Choose an assistant message' }],
+		});
+	}
+
+	const { id: feedbackId } = await env.DB.prepare(`
+      INSERT INTO message_feedback (conversation_id, message_id, user_id, rating, reason, comment, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      ON CONFLICT (message_id, user_id) DO UPDATE SET
+        rating = excluded.rating, reason = excluded.reason, comment = excluded.comment, updated_at = datetime('now')
+      RETURNING id
+    `)
+		.bind(conversationId, messageId, auth.user.id, rating, reason, comment)
+		.first();
+
+	if (rating === 'down' && AI_CONFIG.FEEDBACK.AUTO_GRADE_NEGATIVE && env.ANTHROPIC_API_KEY) {
+		// Claiming the row first keeps concurrent submissions from grading the same turn twice
+		const claimed = await env.DB.prepare(`
+        UPDATE message_feedback SET grade_status = 'pending', grade_error = NULL
+        WHERE id = ? AND (grade_status IS NULL OR grade_status = 'failed')
+      `)
+			.bind(feedbackId)
+			.run();
+		if (claimed.meta?.changes > 0) {
+			ctx.waitUntil(gradeFeedback(env, feedbackId, messageId, { userId: auth.user.id, conversationId }, log));
+		}
+	}
+
+	return jsonResponse({ success: true, feedback: await getFeedback(env, feedbackId) });
+}
+
+// GET /admin/feedback - feedback from every user, newest first.
+// Filters: rating, reason, userId, conversationId, gradeStatus ('none' for ungraded), maxScore (graded at or
+// below), from/to (ISO date or datetime; a date alone as `to` includes that whole day), before (feedback ID), limit
+export async function handleFeedbackList(env, query) {
+	const { rating, reason, userId, conversationId, gradeStatus, maxScore, from, to, before, limit = 100 } = query;
+	const conditions = [];
+	const bindings = [];
+
+	const filters = [
+		[rating, 'f.rating = ?'],
+		[reason, 'f.reason = ?'],
+		[userId, 'f.user_id = ?'],
+		[conversationId, 'f.conversation_id = ?'],
+		[maxScore, 'f.grade_score <= ?'],
+		[before, 'f.id < ?'],
+	];
+	for (const [value, condition] of filters) {
+		if (value !== undefined) {
+			conditions.push(condition);
+			bindings.push(value);
+		}
+	}
+
+	const range = dateRangeConditions('f.created_at', { from, to });
+	conditions.push(...range.conditions);
+	bindings.push(...range.bindings);
+
+	if (gradeStatus === 'none') {
+		conditions.push('f.grade_status IS NULL');
+	} else if (gradeStatus) {
+		conditions.push('f.grade_status = ?');
+		bindings.push(gradeStatus);
+	}
+
+	const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+	const result = await env.DB.prepare(`
+        ${FEEDBACK_SELECT}
+        ${where}
+        ORDER BY f.id DESC
+        LIMIT ?
+      `)
+		.bind(...bindings, limit)
+		.all();
+
+	const feedback = result.results.map(toPublicFeedback);
+	return jsonResponse({
+		success: true,
+		feedback,
+		// Pass as ?before= to fetch the next (older) page
+		nextBefore: feedback.length === limit ? feedback[feedback.length - 1].id : null,
+	});
+}
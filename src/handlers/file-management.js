@@ -1,23 +1,17 @@
-// File upload handler
-export async function handleFileUpload(env, request) {
-	const formData = await request.formData();
-	const file = formData.get('file');
-	const userId = formData.get('userId');
-
-	if (!file || !userId) {
-		return new Response(JSON.stringify({ error: 'Missing file or userId' }), {
-			status: 400,
-			headers: { 'Content-Type': 'application/json' },
-		});
-	}
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from '../utils/errors.js';
+import { requireOwnerOrAdmin, resolveTargetUserId } from '../utils/auth.js';
+import { recordAuditEvent } from '../utils/audit.js';
 
+// Put a file in R2 under the user's prefix and register it in the files table
+export async function storeFile(env, userId, originalFilename, body, mimeType, size) {
 	// Generate unique R2 key
 	const timestamp = Date.now();
-	const sanitizedFilename = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
+	const sanitizedFilename = originalFilename.replace(/[^a-zA-Z0-9.-]/g, '_');
 	const r2Key = `user-${userId}/${timestamp}-${sanitizedFilename}`;
 
 	// Upload to R2
-	await env.R2.put(r2Key, file);
+	await env.R2.put(r2Key, body, { httpMetadata: { contentType: mimeType } });
 
 	// Store metadata in D1
 	const stmt = env.DB.prepare(`
@@ -25,21 +19,34 @@ export async function handleFileUpload(env, request) {
         VALUES (?, ?, ?, ?, ?, ?)
       `);
 
-	const result = await stmt
-		.bind(parseInt(userId), sanitizedFilename, file.name, file.size, file.type || 'application/octet-stream', r2Key)
-		.run();
+	const result = await stmt.bind(parseInt(userId), sanitizedFilename, originalFilename, size, mimeType, r2Key).run();
+
+	return {
+		id: result.meta.last_row_id,
+		filename: sanitizedFilename,
+		originalFilename,
+		size,
+		mimeType,
+		r2Key,
+	};
+}
+
+// File upload handler (files are always owned by the caller)
+export async function handleFileUpload(env, request, form, auth) {
+	const { file } = form;
+	const stored = await storeFile(env, auth.user.id, file.name, file, file.type || 'application/octet-stream', file.size);
+
+	await recordAuditEvent(env, request, auth, {
+		action: 'file.upload',
+		targetType: 'file',
+		targetId: stored.id,
+		details: { filename: file.name, size: file.size, r2Key: stored.r2Key },
+	});
 
 	return new Response(
 		JSON.stringify({
 			success: true,
-			file: {
-				id: result.meta.last_row_id,
-				filename: sanitizedFilename,
-				originalFilename: file.name,
-				size: file.size,
-				mimeType: file.type,
-				r2Key: r2Key,
-			},
+			file: { ...stored, mimeType: file.type },
 		}),
 		{
 			headers: { 'Content-Type': 'application/json' },
@@ -47,15 +54,9 @@ export async function handleFileUpload(env, request) {
 	);
 }
 
-// File list handler
-export async function handleFilesList(env, url) {
-	const userId = url.searchParams.get('userId');
-	if (!userId) {
-		return new Response(JSON.stringify({ error: 'Missing userId' }), {
-			status: 400,
-			headers: { 'Content-Type': 'application/json' },
-		});
-	}
+// File list handler (admins may list another user's files with ?userId=)
+export async function handleFilesList(env, query, auth) {
+	const userId = resolveTargetUserId(auth, query.userId);
 
 	const stmt = env.DB.prepare(`
         SELECT id, filename, original_filename, size, mime_type, r2_key, upload_time, last_accessed
@@ -78,9 +79,8 @@ export async function handleFilesList(env, url) {
 }
 
 // File get handler
-export async function handleFileGet(env, url) {
-	const fileId = url.pathname.split('/')[2];
-	const action = url.searchParams.get('action');
+export async function handleFileGet(env, query, fileId, auth) {
+	const { action } = query;
 
 	// Get file metadata from D1
 	const stmt = env.DB.prepare(`
@@ -89,12 +89,11 @@ export async function handleFileGet(env, url) {
 	const result = await stmt.bind(parseInt(fileId)).first();
 
 	if (!result) {
-		return new Response(JSON.stringify({ error: 'File not found' }), {
-			status: 404,
-			headers: { 'Content-Type': 'application/json' },
-		});
+		throw new AIError('File not found', AI_CONFIG.ERROR_CODES.NOT_FOUND, { fileId });
 	}
 
+	requireOwnerOrAdmin(auth, result.user_id, 'file');
+
 	// Update last accessed time
 	await env.DB.prepare(
 		`
@@ -108,10 +107,7 @@ export async function handleFileGet(env, url) {
 		// Get file from R2 and return it
 		const object = await env.R2.get(result.r2_key);
 		if (!object) {
-			return new Response(JSON.stringify({ error: 'File not found in storage' }), {
-				status: 404,
-				headers: { 'Content-Type': 'application/json' },
-			});
+			throw new AIError('File not found in storage', AI_CONFIG.ERROR_CODES.NOT_FOUND, { fileId });
 		}
 
 		return new Response(object.body, {
@@ -140,22 +136,20 @@ export async function handleFileGet(env, url) {
 }
 
 // File delete handler
-export async function handleFileDelete(env, url) {
-	const fileId = url.pathname.split('/')[2];
+export async function handleFileDelete(env, request, fileId, auth) {
 
 	// Get file metadata from D1
 	const stmt = env.DB.prepare(`
-        SELECT r2_key FROM files WHERE id = ?
+        SELECT r2_key, user_id, original_filename FROM files WHERE id = ?
       `);
 	const result = await stmt.bind(parseInt(fileId)).first();
 
 	if (!result) {
-		return new Response(JSON.stringify({ error: 'File not found' }), {
-			status: 404,
-			headers: { 'Content-Type': 'application/json' },
-		});
+		throw new AIError('File not found', AI_CONFIG.ERROR_CODES.NOT_FOUND, { fileId });
 	}
 
+	requireOwnerOrAdmin(auth, result.user_id, 'file');
+
 	// Delete from R2
 	await env.R2.delete(result.r2_key);
 
@@ -168,6 +162,13 @@ export async function handleFileDelete(env, url) {
 		.bind(parseInt(fileId))
 		.run();
 
+	await recordAuditEvent(env, request, auth, {
+		action: 'file.delete',
+		targetType: 'file',
+		targetId: fileId,
+		details: { filename: result.original_filename, ownerId: result.user_id, r2Key: result.r2_key },
+	});
+
 	return new Response(
 		JSON.stringify({
 			success: true,
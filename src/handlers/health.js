@@ -0,0 +1,75 @@
+import DatabaseManager from '../db/index.js';
+import { AI_CONFIG } from '../ai-config.js';
+import { jsonResponse } from '../utils/response.js';
+
+// Worker version metadata (version_metadata binding in wrangler.jsonc); absent in local dev
+function getBuildInfo(env) {
+	const metadata = env.CF_VERSION_METADATA;
+	return {
+		versionId: metadata?.id || null,
+		versionTag: metadata?.tag || null,
+		deployedAt: metadata?.timestamp || null,
+	};
+}
+
+// GET / - service status and build information
+export async function handleStatus(env) {
+	return jsonResponse({
+		status: 'ok',
+		message: AI_CONFIG.SERVICE.NAME,
+		version: AI_CONFIG.SERVICE.VERSION,
+		build: getBuildInfo(env),
+		endpoints: { health: '/health', docs: '/docs', openapi: '/openapi.json' },
+	});
+}
+
+// Run one dependency check with a time limit, recording its latency
+async function runCheck(check) {
+	const startTime = Date.now();
+	let timer;
+	try {
+		await Promise.race([
+			check(),
+			new Promise((_, reject) => {
+				timer = setTimeout(() => reject(new Error(`Timed out after ${AI_CONFIG.HEALTH.CHECK_TIMEOUT_MS}ms`)), AI_CONFIG.HEALTH.CHECK_TIMEOUT_MS);
+			}),
+		]);
+		return { status: 'ok', latencyMs: Date.now() - startTime };
+	} catch (error) {
+		return { status: 'error', latencyMs: Date.now() - startTime, error: error.message };
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+// GET /health - check each dependency; 503 when any of them is failing
+export async function handleHealth(env) {
+	const db = new DatabaseManager(env.DB, null, env);
+
+	const [d1, r2, duckdb] = await Promise.all([
+		runCheck(() => env.DB.prepare('SELECT 1').first()),
+		runCheck(() => env.R2.head('health-check')),
+		runCheck(() => db.executeDuckDBQuery('SELECT 1')),
+	]);
+
+	// Provider keys are reported but do not affect the overall status
+	const providers = {};
+	for (const [provider, keyName] of Object.entries(AI_CONFIG.HEALTH.PROVIDER_KEYS)) {
+		providers[provider] = { status: env[keyName] ? 'configured' : 'missing' };
+	}
+
+	const checks = { d1, r2, duckdb };
+	const healthy = Object.values(checks).every((check) => check.status === 'ok');
+
+	return jsonResponse(
+		{
+			status: healthy ? 'ok' : 'degraded',
+			version: AI_CONFIG.SERVICE.VERSION,
+			build: getBuildInfo(env),
+			checks,
+			providers,
+		},
+		healthy ? 200 : 503,
+		{ 'Cache-Control': 'no-store' }
+	);
+}
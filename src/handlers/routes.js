@@ -1,16 +1,24 @@
-import { createOrGetConversation, saveMessage } from '../utils/conversation.js';
-import { handleD1Proxy } from './d1-proxy.js';
-import { handleFileUpload, handleFilesList, handleFileGet, handleFileDelete } from './file-management.js';
-
-// Authentication helper
-function checkApiAuth(request) {
-	const apiKey = request.headers.get('x-api-key');
-	return apiKey && apiKey === 'secret123';
-}
-
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from '../utils/errors.js';
+import {
+	getOwnedConversation,
+	normalizeTitle,
+	buildSearchQuery,
+	getBranchMessages,
+	getBranchPage,
+	getMessageTree,
+	saveMessages,
+} from '../utils/conversation.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { requireScope } from '../utils/auth.js';
+import { EXPORT_FORMATS, renderConversationExport } from '../utils/conversation-export.js';
+import { escapeHtml } from '../utils/html.js';
+import { decodeCursor, paginate } from '../utils/pagination.js';
+import { dateRangeConditions } from '../utils/date-range.js';
+import { storeFile } from './file-management.js';
 
 // Test fetch endpoint
-export async function handleTestFetch() {
+export async function handleTestFetch(log) {
 	try {
 		const testResponse = await fetch('https://httpbin.org/get');
 		const testData = await testResponse.text();
@@ -25,7 +33,7 @@ export async function handleTestFetch() {
 			}
 		);
 	} catch (error) {
-		console.error('[TEST] Fetch failed:', error.message);
+		log.error('test_fetch.failed', { error });
 		return new Response(
 			JSON.stringify({
 				success: false,
@@ -39,24 +47,107 @@ export async function handleTestFetch() {
 }
 
 
-// Get conversation history
-export async function handleConversationsList(env, url) {
-	const userId = url.searchParams.get('userId') || '1';
-	const limit = parseInt(url.searchParams.get('limit') || '50');
+const PREVIEW_LENGTH = 120;
+
+// The messages of the conversation's active branch, newest first (depth 0 is active_message_id)
+const ACTIVE_BRANCH_CTE = `
+          WITH RECURSIVE branch(id, depth) AS (
+            SELECT c.active_message_id, 0
+            UNION ALL
+            SELECT m.parent_id, b.depth + 1
+            FROM branch b JOIN conversation_messages m ON m.id = b.id
+            WHERE m.parent_id IS NOT NULL
+          )`;
+
+// Conversation columns plus message count and a preview of the latest message on the active branch, for sidebars
+const CONVERSATION_SUMMARY_SELECT = `
+        SELECT c.id, c.title, c.model, c.archived, c.active_message_id, c.forked_from_conversation_id, c.forked_from_message_id,
+          c.created_at, c.updated_at,
+          (${ACTIVE_BRANCH_CTE}
+            SELECT COUNT(*) FROM branch b JOIN conversation_messages m ON m.id = b.id
+            WHERE m.role IN ('user', 'assistant')) AS message_count,
+          (${ACTIVE_BRANCH_CTE}
+            SELECT substr(m.content, 1, ${PREVIEW_LENGTH}) FROM branch b JOIN conversation_messages m ON m.id = b.id
+            WHERE m.role IN ('user', 'assistant') AND m.content != ''
+            ORDER BY b.depth LIMIT 1) AS last_message_preview
+        FROM conversations c
+      `;
+
+async function getConversationSummary(env, conversationId) {
+	const conversation = await env.DB.prepare(`${CONVERSATION_SUMMARY_SELECT} WHERE c.id = ?`).bind(conversationId).first();
+	return toConversationSummary(conversation);
+}
+
+// 404 unless the message belongs to this conversation
+function requireMessageInTree(tree, messageId, conversationId) {
+	if (!tree.ids.has(messageId)) {
+		throw new AIError('Message not found in this conversation', AI_CONFIG.ERROR_CODES.NOT_FOUND, { conversationId, messageId });
+	}
+}
+
+// The newest leaf below a message, following the most recent child at each branch point
+function newestLeaf(tree, messageId) {
+	let leafId = messageId;
+	while (tree.children.get(leafId)?.length) {
+		const children = tree.children.get(leafId);
+		leafId = children[children.length - 1];
+	}
+	return leafId;
+}
+
+function toConversationSummary(row) {
+	return { ...row, archived: Boolean(row.archived) };
+}
+
+// List the caller's conversations, most recently active first, one page at a time.
+// Filters: archived (default false), model, from/to (ISO date or datetime, on updated_at); keep them the
+// same while paging. Pages are keyed on (updated_at, id), so ties and new activity never repeat a row on a page.
+export async function handleConversationsList(env, query, auth) {
+	const { limit = 50, archived = 'false', model, from, to } = query;
+	const cursor = decodeCursor(query.cursor, { updatedAt: 'string', id: 'string' });
+	const direction = cursor?.direction || 'next';
+	const conditions = ['c.user_id = ?'];
+	const bindings = [auth.user.id];
 
+	if (archived !== 'all') {
+		conditions.push('c.archived = ?');
+		bindings.push(archived === 'true' ? 1 : 0);
+	}
+	if (model) {
+		conditions.push('c.model = ?');
+		bindings.push(model);
+	}
+	const range = dateRangeConditions('c.updated_at', { from, to });
+	conditions.push(...range.conditions);
+	bindings.push(...range.bindings);
+	if (cursor) {
+		// 'next' continues towards older conversations, 'prev' back towards newer ones
+		const op = direction === 'next' ? '<' : '>';
+		conditions.push(`(c.updated_at ${op} ? OR (c.updated_at = ? AND c.id ${op} ?))`);
+		bindings.push(cursor.key.updatedAt, cursor.key.updatedAt, cursor.key.id);
+	}
+
+	const order = direction === 'next' ? 'DESC' : 'ASC';
 	const stmt = env.DB.prepare(`
-        SELECT id, model, created_at, updated_at
-        FROM conversations 
-        WHERE user_id = ? 
-        ORDER BY updated_at DESC 
+        ${CONVERSATION_SUMMARY_SELECT}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY c.updated_at ${order}, c.id ${order}
         LIMIT ?
       `);
-	const conversations = await stmt.bind(userId, limit).all();
+	const { results } = await stmt.bind(...bindings, limit + 1).all();
+	const page = paginate(results, {
+		limit,
+		direction,
+		fromCursor: Boolean(cursor),
+		keyOf: (row) => ({ updatedAt: row.updated_at, id: row.id }),
+	});
 
 	return new Response(
 		JSON.stringify({
 			success: true,
-			conversations: conversations.results,
+			conversations: page.items.map(toConversationSummary),
+			nextCursor: page.nextCursor,
+			prevCursor: page.prevCursor,
 		}),
 		{
 			headers: { 'Content-Type': 'application/json' },
@@ -64,27 +155,44 @@ export async function handleConversationsList(env, url) {
 	);
 }
 
-// Get specific conversation messages
-export async function handleConversationMessages(env, url) {
-	const conversationId = url.pathname.split('/')[2];
+// Snippet markers that cannot occur in stored text; swapped for <mark> after escaping
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Search the caller's messages (content, tool results and tool inputs), best matches first
+export async function handleConversationSearch(env, query, auth) {
+	const { q, limit = 20 } = query;
+	const match = buildSearchQuery(q);
+	if (!match) {
+		throw new AIError('Search query has no words', AI_CONFIG.ERROR_CODES.VALIDATION_ERROR, {
+			location: 'query',
+			fields: [{ field: 'q', message: 'Enter at least one word' }],
+		});
+	}
 
 	const stmt = env.DB.prepare(`
-        SELECT role, content, tool_calls, created_at
-        FROM conversation_messages 
-        WHERE conversation_id = ? 
-        ORDER BY created_at ASC
+        SELECT m.conversation_id, c.title AS conversation_title, c.archived, m.id AS message_id, m.role, m.tool_name, m.created_at,
+          snippet(conversation_messages_fts, -1, ?, ?, '…', 16) AS snippet,
+          bm25(conversation_messages_fts) AS rank
+        FROM conversation_messages_fts
+        JOIN conversation_messages m ON m.id = conversation_messages_fts.rowid
+        JOIN conversations c ON c.id = m.conversation_id
+        WHERE conversation_messages_fts MATCH ? AND c.user_id = ?
+        ORDER BY rank
+        LIMIT ?
       `);
-	const messages = await stmt.bind(conversationId).all();
+	const { results } = await stmt.bind(MATCH_START, MATCH_END, match, auth.user.id, limit).all();
 
 	return new Response(
 		JSON.stringify({
 			success: true,
-			conversationId,
-			messages:
-				messages.results?.map((msg) => ({
-					...msg,
-					tool_calls: msg.tool_calls ? JSON.parse(msg.tool_calls) : null,
-				})) || [],
+			query: q,
+			results: results.map((hit) => ({
+				...hit,
+				archived: Boolean(hit.archived),
+				// HTML-safe: the stored text is escaped and only the <mark> tags are markup
+				snippet: escapeHtml(hit.snippet).replaceAll(MATCH_START, '<mark>').replaceAll(MATCH_END, '</mark>'),
+			})),
 		}),
 		{
 			headers: { 'Content-Type': 'application/json' },
@@ -92,44 +200,210 @@ export async function handleConversationMessages(env, url) {
 	);
 }
 
-// Route file operations with auth
-export async function handleFileOperations(env, request, url) {
-	if (!checkApiAuth(request)) {
-		return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-			status: 401,
-			headers: { 'Content-Type': 'application/json' },
-		});
+// Get the messages of one branch of a conversation (owner only; others must use a share link), a page at a time.
+// Defaults to the active branch; ?messageId= shows the newest branch through that message. The first page is
+// the newest messages; prevCursor pages back to older ones. A cursor stays on the branch it was issued for.
+// Each message lists its siblings (alternatives with the same parent), so clients can offer the other branches.
+export async function handleConversationMessages(env, conversationId, query, auth) {
+	const { limit = 100 } = query;
+	const conversation = await getOwnedConversation(env, conversationId, auth.user.id);
+	const tree = await getMessageTree(env, conversationId);
+	const cursor = decodeCursor(query.cursor, { leafId: 'number', id: 'number' });
+
+	let leafId = conversation.active_message_id;
+	if (cursor) {
+		requireMessageInTree(tree, cursor.key.leafId, conversationId);
+		leafId = cursor.key.leafId;
+	} else if (query.messageId) {
+		requireMessageInTree(tree, query.messageId, conversationId);
+		leafId = newestLeaf(tree, query.messageId);
 	}
 
-	try {
-		if (url.pathname === '/files/upload' && request.method === 'POST') {
-			return await handleFileUpload(env, request);
-		} else if (url.pathname === '/files' && request.method === 'GET') {
-			return await handleFilesList(env, url);
-		} else if (url.pathname.startsWith('/files/') && request.method === 'GET') {
-			return await handleFileGet(env, url);
-		} else if (url.pathname.startsWith('/files/') && request.method === 'DELETE') {
-			return await handleFileDelete(env, url);
-		}
-	} catch (error) {
-		console.error('File operation error:', error);
-		return new Response(JSON.stringify({ error: error.message }), {
-			status: 500,
+	// Without a cursor, start from the newest message and page towards older ones
+	const direction = cursor?.direction || 'prev';
+	const messages = await getBranchPage(env, leafId, {
+		afterId: direction === 'next' ? cursor.key.id : null,
+		beforeId: direction === 'prev' ? (cursor?.key.id ?? null) : null,
+		order: direction === 'next' ? 'ASC' : 'DESC',
+		limit: limit + 1,
+	});
+	const page = paginate(messages, {
+		limit,
+		direction,
+		fromCursor: Boolean(cursor),
+		keyOf: (msg) => ({ leafId, id: msg.id }),
+	});
+
+	return new Response(
+		JSON.stringify({
+			success: true,
+			conversationId,
+			activeMessageId: conversation.active_message_id,
+			leafMessageId: leafId,
+			messages: page.items.map((msg) => ({
+				...msg,
+				tool_calls: msg.tool_calls ? JSON.parse(msg.tool_calls) : null,
+				tool_input: msg.tool_input ? JSON.parse(msg.tool_input) : null,
+				siblings: tree.children.get(msg.parent_id ?? null) || [msg.id],
+			})),
+			nextCursor: page.nextCursor,
+			prevCursor: page.prevCursor,
+		}),
+		{
 			headers: { 'Content-Type': 'application/json' },
-		});
+		}
+	);
+}
+
+// Rename, archive or switch the active branch of a conversation (owner only)
+export async function handleConversationUpdate(env, conversationId, body, auth) {
+	await getOwnedConversation(env, conversationId, auth.user.id);
+
+	const updates = [];
+	const values = [];
+	if (body.activeMessageId !== undefined) {
+		// Switch the branch that chat continues: the newest leaf below the chosen message
+		const tree = await getMessageTree(env, conversationId);
+		requireMessageInTree(tree, body.activeMessageId, conversationId);
+		updates.push('active_message_id = ?');
+		values.push(newestLeaf(tree, body.activeMessageId));
+	}
+	if (body.title !== undefined) {
+		updates.push('title = ?');
+		values.push(body.title === null ? null : normalizeTitle(body.title));
 	}
+	if (body.archived !== undefined) {
+		updates.push('archived = ?');
+		values.push(body.archived ? 1 : 0);
+	}
+
+	await env.DB.prepare(`UPDATE conversations SET ${updates.join(', ')} WHERE id = ?`)
+		.bind(...values, conversationId)
+		.run();
+
+	return new Response(
+		JSON.stringify({
+			success: true,
+			conversation: await getConversationSummary(env, conversationId),
+		}),
+		{
+			headers: { 'Content-Type': 'application/json' },
+		}
+	);
 }
 
-// Route D1 proxy with auth
-export async function handleD1ProxyRoute(env, request) {
-	try {
-		return await handleD1Proxy(env, request);
-	} catch (error) {
-		console.error('D1 proxy error:', error);
-		return new Response(JSON.stringify({ error: error.message }), {
-			status: 500,
+// Delete a conversation and all of its messages (owner only)
+export async function handleConversationDelete(env, request, conversationId, auth) {
+	await getOwnedConversation(env, conversationId, auth.user.id);
+
+	// Messages are counted up front: meta.changes on their delete also counts cascaded replies and search index writes
+	const [messages] = await env.DB.batch([
+		env.DB.prepare('SELECT COUNT(*) AS count FROM conversation_messages WHERE conversation_id = ?').bind(conversationId),
+		env.DB.prepare('DELETE FROM message_feedback WHERE conversation_id = ?').bind(conversationId),
+		env.DB.prepare('DELETE FROM prepared_sql_statements WHERE conversation_id = ?').bind(conversationId),
+		env.DB.prepare('DELETE FROM conversation_summaries WHERE conversation_id = ?').bind(conversationId),
+		env.DB.prepare('DELETE FROM conversation_messages WHERE conversation_id = ?').bind(conversationId),
+		env.DB.prepare('DELETE FROM conversation_shares WHERE conversation_id = ?').bind(conversationId),
+		env.DB.prepare('DELETE FROM conversations WHERE id = ?').bind(conversationId),
+	]);
+
+	await recordAuditEvent(env, request, auth, {
+		action: 'conversation.delete',
+		targetType: 'conversation',
+		targetId: conversationId,
+		details: { messagesDeleted: messages.results[0].count },
+	});
+
+	return new Response(
+		JSON.stringify({
+			success: true,
+			message: 'Conversation deleted successfully',
+		}),
+		{
 			headers: { 'Content-Type': 'application/json' },
+		}
+	);
+}
+
+// Export a conversation as Markdown, JSON or HTML (owner only); with ?save=true it is stored as one of the caller's files
+export async function handleConversationExport(env, request, conversationId, query, auth) {
+	const { id, title, model, archived, active_message_id, created_at, updated_at } = await getOwnedConversation(env, conversationId, auth.user.id);
+	const { format = 'md', save = 'false' } = query;
+
+	// The active branch, as the conversation reads in the app
+	const messages = await getBranchMessages(env, active_message_id);
+	const content = renderConversationExport(format, { id, title, model, archived: Boolean(archived), created_at, updated_at }, messages);
+	const { contentType, extension } = EXPORT_FORMATS[format];
+	const filename = `${(title || `conversation-${id}`).replace(/[^a-zA-Z0-9.-]+/g, '_')}.${extension}`;
+
+	if (save !== 'true') {
+		return new Response(content, {
+			headers: {
+				'Content-Type': contentType,
+				'Content-Disposition': `attachment; filename="${filename}"`,
+			},
 		});
 	}
+
+	requireScope(auth, 'files:write');
+	const body = new TextEncoder().encode(content);
+	const file = await storeFile(env, auth.user.id, filename, body, contentType, body.byteLength);
+
+	await recordAuditEvent(env, request, auth, {
+		action: 'conversation.export',
+		targetType: 'conversation',
+		targetId: conversationId,
+		details: { format, fileId: file.id, r2Key: file.r2Key },
+	});
+
+	return new Response(JSON.stringify({ success: true, file }), {
+		status: 201,
+		headers: { 'Content-Type': 'application/json' },
+	});
 }
 
+// Copy a branch of a conversation, up to and including one message, into a new conversation (owner only)
+export async function handleConversationFork(env, conversationId, body, auth) {
+	const source = await getOwnedConversation(env, conversationId, auth.user.id);
+	const tree = await getMessageTree(env, conversationId);
+
+	const messageId = body.messageId ?? source.active_message_id;
+	requireMessageInTree(tree, messageId, conversationId);
+	const branch = await getBranchMessages(env, messageId);
+
+	const forkId = crypto.randomUUID();
+	await env.DB.prepare(`
+        INSERT INTO conversations (id, user_id, model, title, forked_from_conversation_id, forked_from_message_id, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `)
+		.bind(forkId, auth.user.id, source.model, normalizeTitle(`${source.title || 'Untitled'} (fork)`), conversationId, messageId)
+		.run();
+
+	// Messages are appended in order, so the copy is a single branch ending at the fork point
+	await saveMessages(
+		env,
+		forkId,
+		branch.map((message) => ({
+			role: message.role,
+			content: message.content,
+			toolCalls: message.tool_calls ? JSON.parse(message.tool_calls) : null,
+			iteration: message.iteration,
+			toolCallId: message.tool_call_id,
+			toolName: message.tool_name,
+			toolInput: message.tool_input ? JSON.parse(message.tool_input) : null,
+			durationMs: message.duration_ms,
+			error: message.error,
+		}))
+	);
+
+	return new Response(
+		JSON.stringify({
+			success: true,
+			conversation: await getConversationSummary(env, forkId),
+		}),
+		{
+			status: 201,
+			headers: { 'Content-Type': 'application/json' },
+		}
+	);
+}
@@ -0,0 +1,23 @@
+import DatabaseManager from '../db/index.js';
+import { cleanupStaleStreams } from '../utils/rate-limit.js';
+import { createLogger } from '../utils/logger.js';
+
+// Periodic maintenance run by the cron trigger
+export async function handleScheduled(env, event) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const log = createLogger(env, { cron: event.cron });
+
+	try {
+		const expiredSessions = await db.deactivateExpiredSessions();
+		log.info('scheduled.sessions_cleaned', { count: expiredSessions });
+	} catch (error) {
+		log.error('scheduled.sessions_cleanup_failed', { error });
+	}
+
+	try {
+		const staleStreams = await cleanupStaleStreams(env);
+		log.info('scheduled.streams_cleaned', { count: staleStreams });
+	} catch (error) {
+		log.error('scheduled.streams_cleanup_failed', { error });
+	}
+}
@@ -0,0 +1,164 @@
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from '../utils/errors.js';
+import { jsonResponse } from '../utils/response.js';
+import { createAuditor, recordAuditEvent } from '../utils/audit.js';
+import { getOwnedConversation, getBranchMessages } from '../utils/conversation.js';
+import { signToken, verifyToken } from '../utils/signing.js';
+import { EXPORT_FORMATS, renderConversationExport, redactToolPayloads } from '../utils/conversation-export.js';
+
+// Read-only share links. A share row freezes the branch ending at message_id; the link carries a token
+// signed with SHARE_TOKEN_SECRET holding the share ID and expiry. The token is returned once and never
+// stored, and a link stops working when the share expires, is revoked or its conversation is deleted.
+
+const SHARE_SELECT = `
+        SELECT s.*, c.title AS conversation_title,
+          (s.revoked_at IS NULL AND s.expires_at > datetime('now')) AS active
+        FROM conversation_shares s
+        JOIN conversations c ON c.id = s.conversation_id
+      `;
+
+function getShareSecret(env) {
+	if (!env.SHARE_TOKEN_SECRET) {
+		throw new AIError('Share links are not configured: set the SHARE_TOKEN_SECRET secret', AI_CONFIG.ERROR_CODES.INTERNAL_ERROR);
+	}
+	return env.SHARE_TOKEN_SECRET;
+}
+
+function toPublicShare(row) {
+	return {
+		id: row.id,
+		conversationId: row.conversation_id,
+		conversationTitle: row.conversation_title,
+		messageId: row.message_id,
+		redactToolPayloads: Boolean(row.redact_tool_payloads),
+		createdAt: row.created_at,
+		expiresAt: row.expires_at,
+		revokedAt: row.revoked_at,
+		active: Boolean(row.active),
+	};
+}
+
+// Shares are only visible to the user who created them
+async function getOwnedShare(env, shareId, userId) {
+	const share = await env.DB.prepare(`${SHARE_SELECT} WHERE s.id = ? AND s.user_id = ?`).bind(shareId, userId).first();
+	if (!share) {
+		throw new AIError('Share not found', AI_CONFIG.ERROR_CODES.NOT_FOUND, { shareId });
+	}
+	return share;
+}
+
+// POST /conversations/:id/share - link to the conversation's active branch as it is now
+export async function handleShareCreate(env, request, conversationId, body, auth, url) {
+	const secret = getShareSecret(env);
+	const conversation = await getOwnedConversation(env, conversationId, auth.user.id);
+	const { expiresInDays = AI_CONFIG.SHARES.DEFAULT_EXPIRES_IN_DAYS, redactToolPayloads = false } = body;
+
+	if (!conversation.active_message_id) {
+		throw new AIError('Conversation has no messages to share', AI_CONFIG.ERROR_CODES.VALIDATION_ERROR, {
+			location: 'path',
+			fields: [{ field: 'id', message: 'Conversation has no messages' }],
+		});
+	}
+
+	const shareId = crypto.randomUUID();
+	await env.DB.prepare(`
+      INSERT INTO conversation_shares (id, conversation_id, user_id, message_id, redact_tool_payloads, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now', ?))
+    `)
+		.bind(shareId, conversationId, auth.user.id, conversation.active_message_id, redactToolPayloads ? 1 : 0, `+${expiresInDays} days`)
+		.run();
+
+	const share = await getOwnedShare(env, shareId, auth.user.id);
+	const expiresAtSeconds = Math.floor(new Date(`${share.expires_at.replace(' ', 'T')}Z`).getTime() / 1000);
+	const token = await signToken(secret, { sid: shareId, exp: expiresAtSeconds });
+
+	await createAuditor(env, request, auth)({
+		action: 'conversation.share',
+		targetType: 'conversation_share',
+		targetId: shareId,
+		details: { conversationId, messageId: share.message_id, expiresInDays, redactToolPayloads },
+	});
+
+	return jsonResponse({ success: true, token, url: `${url.origin}/shared/${token}`, share: toPublicShare(share) }, 201);
+}
+
+// GET /shares - the caller's share links, newest first (?conversationId= for one conversation)
+export async function handleSharesList(env, query, auth) {
+	const conditions = ['s.user_id = ?'];
+	const bindings = [auth.user.id];
+	if (query.conversationId) {
+		conditions.push('s.conversation_id = ?');
+		bindings.push(query.conversationId);
+	}
+
+	const { results } = await env.DB.prepare(`${SHARE_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY s.created_at DESC, s.id`)
+		.bind(...bindings)
+		.all();
+	return jsonResponse({ success: true, shares: results.map(toPublicShare) });
+}
+
+// DELETE /shares/:id - revoke a share link
+export async function handleShareRevoke(env, request, shareId, auth) {
+	const share = await getOwnedShare(env, shareId, auth.user.id);
+	await env.DB.prepare("UPDATE conversation_shares SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL").bind(share.id).run();
+
+	await createAuditor(env, request, auth)({
+		action: 'conversation.share_revoke',
+		targetType: 'conversation_share',
+		targetId: share.id,
+		details: { conversationId: share.conversation_id },
+	});
+
+	return jsonResponse({ success: true, share: toPublicShare(await getOwnedShare(env, share.id, auth.user.id)) });
+}
+
+// GET /shared/:token - public, read-only view of a shared conversation as HTML (default) or JSON.
+// Invalid, expired and revoked links all get the same 404. Every view is written to the audit trail.
+export async function handleSharedView(env, request, token, query) {
+	const { format = 'html' } = query;
+	const payload = await verifyToken(getShareSecret(env), token);
+
+	let share = null;
+	if (payload?.sid && payload.exp * 1000 > Date.now()) {
+		share = await env.DB.prepare(`
+        SELECT s.*, c.title, c.model, c.created_at AS conversation_created_at, c.updated_at AS conversation_updated_at
+        FROM conversation_shares s
+        JOIN conversations c ON c.id = s.conversation_id
+        WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > datetime('now')
+      `)
+			.bind(payload.sid)
+			.first();
+	}
+	if (!share) {
+		throw new AIError('Share link not found or no longer valid', AI_CONFIG.ERROR_CODES.NOT_FOUND);
+	}
+
+	const branch = await getBranchMessages(env, share.message_id);
+	const messages = share.redact_tool_payloads ? redactToolPayloads(branch) : branch;
+	const conversation = {
+		id: share.conversation_id,
+		title: share.title,
+		model: share.model,
+		created_at: share.conversation_created_at,
+		updated_at: share.conversation_updated_at,
+	};
+	const content = renderConversationExport(format, conversation, messages);
+
+	await recordAuditEvent(env, request, null, {
+		action: 'conversation.share_view',
+		targetType: 'conversation_share',
+		targetId: share.id,
+		details: { conversationId: share.conversation_id, format },
+	});
+
+	return new Response(content, {
+		headers: {
+			'Content-Type': EXPORT_FORMATS[format].contentType,
+			'Cache-Control': 'private, no-store',
+			// The token is in the URL: keep it out of Referer headers and search indexes
+			'Referrer-Policy': 'no-referrer',
+			'X-Robots-Tag': 'noindex',
+			'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'",
+		},
+	});
+}
@@ -0,0 +1,101 @@
+import { requireRole, resolveTargetUserId } from '../utils/auth.js';
+import { jsonResponse } from '../utils/response.js';
+import { dateRangeConditions } from '../utils/date-range.js';
+
+// Rollup dimensions for GET /usage: the columns to group on, and how a group is labelled
+const USAGE_GROUPS = {
+	user: {
+		select: 'r.user_id, u.username',
+		join: 'LEFT JOIN users u ON u.id = r.user_id',
+		groupBy: 'r.user_id',
+		label: (row) => ({ userId: row.user_id, username: row.username }),
+	},
+	model: {
+		select: 'r.provider, r.model',
+		join: '',
+		groupBy: 'r.provider, r.model',
+		label: (row) => ({ provider: row.provider, model: row.model }),
+	},
+	conversation: {
+		select: 'r.conversation_id, c.title, c.id AS current_id',
+		join: 'LEFT JOIN conversations c ON c.id = r.conversation_id',
+		groupBy: 'r.conversation_id',
+		// Usage outlives deleted conversations
+		label: (row) => ({ conversationId: row.conversation_id, title: row.title, deleted: row.current_id === null }),
+	},
+	day: {
+		select: 'date(r.created_at) AS day',
+		join: '',
+		groupBy: 'date(r.created_at)',
+		label: (row) => ({ day: row.day }),
+	},
+};
+
+const USAGE_TOTALS = `
+          COUNT(*) AS requests,
+          COALESCE(SUM(r.input_tokens), 0) AS input_tokens,
+          COALESCE(SUM(r.output_tokens), 0) AS output_tokens,
+          COALESCE(SUM(r.cache_read_tokens), 0) AS cache_read_tokens,
+          COALESCE(SUM(r.cache_write_tokens), 0) AS cache_write_tokens,
+          COALESCE(SUM(r.cost_usd), 0) AS cost_usd,
+          COALESCE(SUM(r.cost_usd IS NULL), 0) AS unpriced_requests`;
+
+function toUsageTotals(row) {
+	return {
+		requests: row.requests,
+		inputTokens: row.input_tokens,
+		outputTokens: row.output_tokens,
+		cacheReadTokens: row.cache_read_tokens,
+		cacheWriteTokens: row.cache_write_tokens,
+		// Rounded to micro-dollars to hide floating point noise from summing
+		costUsd: Math.round(row.cost_usd * 1e6) / 1e6,
+		unpricedRequests: row.unpriced_requests,
+	};
+}
+
+// GET /usage - LLM token usage and cost, in total and grouped, for charging spend back.
+// Filters: userId (admins only: another user, or 'all' for everyone), from/to (ISO date or datetime; a date
+// alone as `to` includes that whole day); groupBy user, model (default), conversation or day. One request is
+// one LLM call: an agent loop iteration, or a title, summary or grading call.
+export async function handleUsage(env, query, auth) {
+	const { from, to, groupBy = 'model' } = query;
+	const conditions = [];
+	const bindings = [];
+
+	let userId = null;
+	if (query.userId === 'all') {
+		requireRole(auth, 'admin');
+	} else {
+		userId = resolveTargetUserId(auth, query.userId);
+		conditions.push('r.user_id = ?');
+		bindings.push(userId);
+	}
+
+	const range = dateRangeConditions('r.created_at', { from, to });
+	conditions.push(...range.conditions);
+	bindings.push(...range.bindings);
+
+	const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+	const group = USAGE_GROUPS[groupBy];
+
+	const [totals, groups] = await env.DB.batch([
+		env.DB.prepare(`SELECT ${USAGE_TOTALS} FROM usage_records r ${where}`).bind(...bindings),
+		env.DB.prepare(`
+        SELECT ${group.select}, ${USAGE_TOTALS}
+        FROM usage_records r ${group.join}
+        ${where}
+        GROUP BY ${group.groupBy}
+        ORDER BY ${groupBy === 'day' ? 'day' : 'cost_usd DESC, requests DESC'}
+      `).bind(...bindings),
+	]);
+
+	return jsonResponse({
+		success: true,
+		userId,
+		from: from || null,
+		to: to || null,
+		groupBy,
+		totals: toUsageTotals(totals.results[0]),
+		groups: groups.results.map((row) => ({ ...group.label(row), ...toUsageTotals(row) })),
+	});
+}
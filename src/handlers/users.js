@@ -0,0 +1,139 @@
+import DatabaseManager from '../db/index.js';
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from '../utils/errors.js';
+import { hashPassword, generateToken, sha256Hex } from '../utils/password.js';
+import { jsonResponse } from '../utils/response.js';
+import { createAuditor } from '../utils/audit.js';
+
+// Strip secrets before returning a user row
+function toPublicUser(user) {
+	return {
+		id: user.id,
+		username: user.username,
+		role: user.role,
+		disabled: !!user.is_disabled,
+		passwordChangedAt: user.password_changed_at,
+		createdAt: user.created_at,
+	};
+}
+
+async function getUserOr404(db, userId) {
+	const user = await db.getUserById(userId);
+	if (!user) {
+		throw new AIError('User not found', AI_CONFIG.ERROR_CODES.NOT_FOUND, { userId });
+	}
+	return user;
+}
+
+// GET /admin/users
+export async function handleUsersList(env) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const users = await db.getUsers();
+	return jsonResponse({ success: true, users: users.map(toPublicUser) });
+}
+
+// POST /admin/users
+export async function handleUserCreate(env, request, body, auth) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const audit = createAuditor(env, request, auth);
+	const { username, password, role } = body;
+
+	if (await db.getUserByUsername(username)) {
+		throw new AIError('Username already exists', AI_CONFIG.ERROR_CODES.CONFLICT, { username });
+	}
+
+	const result = await db.createUser(username, await hashPassword(password), role);
+	const user = await db.getUserById(result.meta.last_row_id);
+
+	await audit({ action: 'user.create', targetType: 'user', targetId: user.id, details: { username, role } });
+
+	return jsonResponse({ success: true, user: toPublicUser(user) }, 201);
+}
+
+// GET /admin/users/:id
+export async function handleUserGet(env, userId) {
+	const db = new DatabaseManager(env.DB, null, env);
+	return jsonResponse({ success: true, user: toPublicUser(await getUserOr404(db, userId)) });
+}
+
+// PATCH /admin/users/:id - rename, change role, or disable/enable an account
+export async function handleUserUpdate(env, request, userId, body, auth) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const audit = createAuditor(env, request, auth);
+	const user = await getUserOr404(db, userId);
+	const { username, role, disabled } = body;
+	const updates = {};
+
+	if (username !== undefined) {
+		const existing = await db.getUserByUsername(username);
+		if (existing && existing.id !== user.id) {
+			throw new AIError('Username already exists', AI_CONFIG.ERROR_CODES.CONFLICT, { username });
+		}
+		updates.username = username;
+	}
+
+	if (role !== undefined) {
+		updates.role = role;
+	}
+
+	if (disabled !== undefined) {
+		updates.is_disabled = disabled ? 1 : 0;
+	}
+
+	if (Object.keys(updates).length === 0) {
+		throw new AIError('Nothing to update', AI_CONFIG.ERROR_CODES.MISSING_INPUT, { allowedFields: ['username', 'role', 'disabled'] });
+	}
+
+	// Admins cannot lock themselves out
+	if (user.id === auth.user.id && (updates.is_disabled || (updates.role && updates.role !== 'admin'))) {
+		throw new AIError('You cannot disable or demote your own account', AI_CONFIG.ERROR_CODES.FORBIDDEN);
+	}
+
+	await db.updateUser(user.id, updates);
+
+	await audit({
+		action: updates.role && updates.role !== user.role ? 'user.role_change' : 'user.update',
+		targetType: 'user',
+		targetId: user.id,
+		details: { before: { username: user.username, role: user.role, is_disabled: !!user.is_disabled }, changes: updates },
+	});
+
+	// Sessions cache username and role, so force a fresh login after any change
+	await db.deactivateUserSessions(user.id);
+
+	const updated = await db.getUserById(user.id);
+	return jsonResponse({ success: true, user: toPublicUser(updated) });
+}
+
+// DELETE /admin/users/:id
+export async function handleUserDelete(env, request, userId, auth) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const audit = createAuditor(env, request, auth);
+	const user = await getUserOr404(db, userId);
+
+	if (user.id === auth.user.id) {
+		throw new AIError('You cannot delete your own account', AI_CONFIG.ERROR_CODES.FORBIDDEN);
+	}
+
+	await db.deleteUser(user.id);
+	await audit({ action: 'user.delete', targetType: 'user', targetId: user.id, details: { username: user.username, role: user.role } });
+	return jsonResponse({ success: true, message: 'User deleted' });
+}
+
+// POST /admin/users/:id/reset-password - issue a one-time reset token
+export async function handleUserResetPassword(env, request, userId, auth) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const audit = createAuditor(env, request, auth);
+	const user = await getUserOr404(db, userId);
+	const token = generateToken();
+
+	await db.createPasswordResetToken(user.id, await sha256Hex(token), AI_CONFIG.AUTH.RESET_TOKEN_TTL_HOURS, auth.user.id);
+	await audit({ action: 'user.password_reset_issued', targetType: 'user', targetId: user.id, details: { username: user.username } });
+
+	return jsonResponse({
+		success: true,
+		resetToken: token,
+		expiresInHours: AI_CONFIG.AUTH.RESET_TOKEN_TTL_HOURS,
+		message: 'Share this token with the user; it can be used once at POST /auth/reset-password',
+	});
+}
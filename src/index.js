@@ -1,79 +1,549 @@
+import { createRouter } from './router.js';
 import {
 	handleTestFetch,
 	handleConversationsList,
 	handleConversationMessages,
-	handleFileOperations,
-	handleD1ProxyRoute
+	handleConversationUpdate,
+	handleConversationDelete,
+	handleConversationExport,
+	handleConversationSearch,
+	handleConversationFork,
 } from './handlers/routes.js';
+import { handleChat, handleGrader, handleRegenerate } from './ai.js';
+import { handleToolsList, handleToolExecution } from './handlers/tools.js';
 import {
-	handleChat,
-	handleGrader
-} from './ai.js';
+	handleLogin,
+	handleLogout,
+	handleMe,
+	handlePasswordChange,
+	handlePasswordReset,
+	handleSessionsList,
+	handleSessionRevoke,
+	handleSessionsRevokeAll,
+} from './handlers/auth.js';
 import {
-	handleToolsList,
-	handleToolExecution
-} from './handlers/tools.js';
+	handleUsersList,
+	handleUserCreate,
+	handleUserGet,
+	handleUserUpdate,
+	handleUserDelete,
+	handleUserResetPassword,
+} from './handlers/users.js';
+import { handleApiKeysList, handleApiKeyCreate, handleApiKeyRotate, handleApiKeyRevoke } from './handlers/api-keys.js';
+import { handleAuditList, handleSqlApproval } from './handlers/audit.js';
+import { handleShareCreate, handleSharesList, handleShareRevoke, handleSharedView } from './handlers/shares.js';
+import { handleUsage } from './handlers/usage.js';
+import { handleFeedbackSubmit, handleFeedbackList } from './handlers/feedback.js';
+import { handleD1Proxy } from './handlers/d1-proxy.js';
+import { handleFileUpload, handleFilesList, handleFileGet, handleFileDelete } from './handlers/file-management.js';
+import { rateLimit, concurrencyLimit } from './utils/rate-limit.js';
+import { handleScheduled } from './handlers/scheduled.js';
+import { handleOpenApi, handleDocs } from './handlers/docs.js';
+import { handleStatus, handleHealth } from './handlers/health.js';
+import { createTools } from './tools.js';
+import * as schemas from './schemas.js';
+
+// Routes are authenticated by default; see src/router.js and src/openapi.js for the route options
+export const routes = [
+	// API documentation
+	{
+		method: 'GET',
+		path: '/openapi.json',
+		auth: false,
+		summary: 'OpenAPI 3.1 document for this API',
+		handler: (env, request, { url }) => handleOpenApi(env, url, routes),
+	},
+	{
+		method: 'GET',
+		path: '/docs',
+		auth: false,
+		summary: 'HTML API reference',
+		responses: { 200: { contentType: 'text/html' } },
+		handler: () => handleDocs(),
+	},
+
+	// Status endpoints
+	{
+		method: 'GET',
+		path: '/',
+		auth: false,
+		summary: 'Service status and build information',
+		responses: { 200: schemas.StatusResponse },
+		handler: (env) => handleStatus(env),
+	},
+	{
+		method: 'GET',
+		path: '/health',
+		auth: false,
+		summary: 'Check D1, R2, DuckDB and provider configuration (503 when a dependency fails)',
+		responses: { 200: schemas.HealthResponse, 503: schemas.HealthResponse },
+		handler: (env) => handleHealth(env),
+	},
+
+	// Public endpoints
+	{
+		method: 'GET',
+		path: '/test-fetch',
+		auth: false,
+		summary: 'Check outbound fetch from the Worker',
+		responses: { 200: schemas.TestFetchResponse },
+		handler: (env, request, { log }) => handleTestFetch(log),
+	},
+	{
+		method: 'POST',
+		path: '/auth/login',
+		auth: false,
+		summary: 'Log in and start a session',
+		body: schemas.LoginRequest,
+		responses: { 200: schemas.LoginResponse },
+		handler: (env, request, { body }) => handleLogin(env, request, body),
+	},
+	{
+		method: 'POST',
+		path: '/auth/reset-password',
+		auth: false,
+		summary: 'Set a new password with an admin-issued reset token',
+		body: schemas.PasswordResetRequest,
+		responses: { 200: schemas.MessageResponse },
+		handler: (env, request, { body }) => handlePasswordReset(env, request, body),
+	},
+
+	// Session endpoints
+	{
+		method: 'POST',
+		path: '/auth/logout',
+		session: true,
+		summary: 'End the current session',
+		responses: { 200: schemas.MessageResponse },
+		handler: (env, request, { auth }) => handleLogout(env, request, auth),
+	},
+	{
+		method: 'GET',
+		path: '/auth/me',
+		summary: 'The authenticated user',
+		responses: { 200: schemas.MeResponse },
+		handler: (env, request, { auth }) => handleMe(env, auth),
+	},
+	{
+		method: 'POST',
+		path: '/auth/password',
+		session: true,
+		summary: 'Change your password and sign out other sessions',
+		body: schemas.PasswordChangeRequest,
+		responses: { 200: schemas.MessageResponse },
+		handler: (env, request, { body, auth }) => handlePasswordChange(env, request, body, auth),
+	},
+	{
+		method: 'GET',
+		path: '/auth/sessions',
+		session: true,
+		summary: 'List active sessions',
+		query: schemas.UserIdQuery,
+		responses: { 200: schemas.SessionsListResponse },
+		handler: (env, request, { query, auth }) => handleSessionsList(env, query, auth),
+	},
+	{
+		method: 'DELETE',
+		path: '/auth/sessions',
+		session: true,
+		summary: 'Revoke every session except the current one',
+		query: schemas.UserIdQuery,
+		responses: { 200: schemas.SessionsRevokeAllResponse },
+		handler: (env, request, { query, auth }) => handleSessionsRevokeAll(env, request, query, auth),
+	},
+	{
+		method: 'DELETE',
+		path: '/auth/sessions/:id',
+		session: true,
+		summary: 'Revoke one session',
+		responses: { 200: schemas.MessageResponse },
+		handler: (env, request, { params, auth }) => handleSessionRevoke(env, request, params.id, auth),
+	},
+
+	// API key management endpoints
+	{
+		method: 'GET',
+		path: '/api-keys',
+		session: true,
+		summary: 'List API keys',
+		query: schemas.UserIdQuery,
+		responses: { 200: schemas.ApiKeysListResponse },
+		handler: (env, request, { query, auth }) => handleApiKeysList(env, query, auth),
+	},
+	{
+		method: 'POST',
+		path: '/api-keys',
+		session: true,
+		summary: 'Create a scoped API key',
+		body: schemas.ApiKeyCreateRequest,
+		responses: { 201: schemas.ApiKeyIssuedResponse },
+		handler: (env, request, { body, auth }) => handleApiKeyCreate(env, request, body, auth),
+	},
+	{
+		method: 'POST',
+		path: '/api-keys/:id/rotate',
+		params: schemas.IdParams,
+		session: true,
+		summary: 'Replace an API key with a new secret',
+		responses: { 201: schemas.ApiKeyIssuedResponse },
+		handler: (env, request, { params, auth }) => handleApiKeyRotate(env, request, params.id, auth),
+	},
+	{
+		method: 'DELETE',
+		path: '/api-keys/:id',
+		params: schemas.IdParams,
+		session: true,
+		summary: 'Revoke an API key',
+		responses: { 200: schemas.MessageResponse },
+		handler: (env, request, { params, auth }) => handleApiKeyRevoke(env, request, params.id, auth),
+	},
+
+	// Admin user management endpoints
+	{
+		method: 'GET',
+		path: '/admin/users',
+		session: true,
+		role: 'admin',
+		summary: 'List users',
+		responses: { 200: schemas.UsersListResponse },
+		handler: (env) => handleUsersList(env),
+	},
+	{
+		method: 'POST',
+		path: '/admin/users',
+		session: true,
+		role: 'admin',
+		summary: 'Create a user',
+		body: schemas.UserCreateRequest,
+		responses: { 201: schemas.UserResponse },
+		handler: (env, request, { body, auth }) => handleUserCreate(env, request, body, auth),
+	},
+	{
+		method: 'GET',
+		path: '/admin/users/:id',
+		params: schemas.IdParams,
+		session: true,
+		role: 'admin',
+		summary: 'Get a user',
+		responses: { 200: schemas.UserResponse },
+		handler: (env, request, { params }) => handleUserGet(env, params.id),
+	},
+	{
+		method: 'PATCH',
+		path: '/admin/users/:id',
+		params: schemas.IdParams,
+		session: true,
+		role: 'admin',
+		summary: 'Rename, change the role of, or disable a user',
+		body: schemas.UserUpdateRequest,
+		responses: { 200: schemas.UserResponse },
+		handler: (env, request, { params, body, auth }) => handleUserUpdate(env, request, params.id, body, auth),
+	},
+	{
+		method: 'DELETE',
+		path: '/admin/users/:id',
+		params: schemas.IdParams,
+		session: true,
+		role: 'admin',
+		summary: 'Delete a user',
+		responses: { 200: schemas.MessageResponse },
+		handler: (env, request, { params, auth }) => handleUserDelete(env, request, params.id, auth),
+	},
+	{
+		method: 'POST',
+		path: '/admin/users/:id/reset-password',
+		params: schemas.IdParams,
+		session: true,
+		role: 'admin',
+		summary: 'Issue a one-time password reset token',
+		responses: { 200: schemas.ResetTokenResponse },
+		handler: (env, request, { params, auth }) => handleUserResetPassword(env, request, params.id, auth),
+	},
+
+	// Audit log endpoint
+	{
+		method: 'GET',
+		path: '/admin/audit',
+		session: true,
+		role: 'admin',
+		summary: 'Query the audit log, newest first',
+		query: schemas.AuditQuery,
+		responses: { 200: schemas.AuditListResponse },
+		handler: (env, request, { query }) => handleAuditList(env, query),
+	},
+
+	// Feedback review
+	{
+		method: 'GET',
+		path: '/admin/feedback',
+		session: true,
+		role: 'admin',
+		summary: 'Review feedback on assistant messages, with grades of thumbs-down turns, newest first',
+		query: schemas.FeedbackQuery,
+		responses: { 200: schemas.FeedbackListResponse },
+		handler: (env, request, { query }) => handleFeedbackList(env, query),
+	},
+
+	// Usage and cost
+	{
+		method: 'GET',
+		path: '/usage',
+		scope: 'chat',
+		summary: 'LLM token usage and cost, in total and grouped by user, model, conversation or day',
+		query: schemas.UsageQuery,
+		responses: { 200: schemas.UsageResponse },
+		handler: (env, request, { query, auth }) => handleUsage(env, query, auth),
+	},
+
+	// D1 proxy endpoint (scope depends on query vs COMMAND:)
+	{
+		method: 'POST',
+		path: '/d1-proxy',
+		role: 'admin',
+		summary: 'Run a SQL statement against D1 (needs d1:query, or d1:command for COMMAND: writes)',
+		body: schemas.D1ProxyRequest,
+		responses: { 200: schemas.D1ProxyResponse },
+		handler: (env, request, { body, auth, log }) => handleD1Proxy(env, request, body, auth, log),
+	},
+
+	// File operations endpoints
+	{
+		method: 'POST',
+		path: '/files/upload',
+		scope: 'files:write',
+		summary: 'Upload a file',
+		form: schemas.FileUploadForm,
+		responses: { 200: schemas.FileUploadResponse },
+		handler: (env, request, { body, auth }) => handleFileUpload(env, request, body, auth),
+	},
+	{
+		method: 'GET',
+		path: '/files',
+		scope: 'files:read',
+		summary: 'List files',
+		query: schemas.UserIdQuery,
+		responses: { 200: schemas.FilesListResponse },
+		handler: (env, request, { query, auth }) => handleFilesList(env, query, auth),
+	},
+	{
+		method: 'GET',
+		path: '/files/:id',
+		params: schemas.IdParams,
+		scope: 'files:read',
+		summary: 'Get file metadata, or the contents with ?action=download',
+		query: schemas.FileGetQuery,
+		responses: { 200: schemas.FileGetResponse },
+		handler: (env, request, { query, params, auth }) => handleFileGet(env, query, params.id, auth),
+	},
+	{
+		method: 'DELETE',
+		path: '/files/:id',
+		params: schemas.IdParams,
+		scope: 'files:write',
+		summary: 'Delete a file',
+		responses: { 200: schemas.MessageResponse },
+		handler: (env, request, { params, auth }) => handleFileDelete(env, request, params.id, auth),
+	},
+
+	// Chat endpoint
+	{
+		method: 'POST',
+		path: '/chat',
+		scope: 'chat',
+		summary: 'Chat with the agent; streams server-sent events',
+		body: schemas.ChatRequest,
+		responses: { 200: { contentType: 'text/event-stream', description: 'One JSON ChatEvent per "data:" line', schema: schemas.ChatEvent } },
+		middleware: [rateLimit('chat'), concurrencyLimit('chat')],
+		handler: (env, request, { body, auth, log }) => handleChat(env, body, auth, log),
+	},
+
+	// Grader endpoint
+	{
+		method: 'POST',
+		path: '/grader',
+		scope: 'chat',
+		summary: 'Grade a solution against its task',
+		body: schemas.GraderRequest,
+		responses: { 200: schemas.GraderResponse },
+		middleware: [rateLimit('chat')],
+		handler: (env, request, { body, auth, log }) => handleGrader(env, body, auth, log),
+	},
+
+	// Tools endpoints
+	{
+		method: 'GET',
+		path: '/tools',
+		scope: 'tools',
+		summary: 'List tools and their input schemas',
+		responses: { 200: schemas.ToolsListResponse },
+		handler: (env) => handleToolsList(env),
+	},
+	{
+		method: 'POST',
+		path: '/tools',
+		scope: 'tools',
+		summary: 'Execute one tool',
+		body: (env) => schemas.toolExecutionRequestSchema(createTools(env)),
+		responses: { 200: schemas.ToolExecutionResponse },
+		middleware: [rateLimit('tools')],
+		handler: (env, request, { body, auth, log }) => handleToolExecution(env, body, auth, log),
+	},
+
+	// Approval decisions for queries prepared by prepare_sql_for_user
+	{
+		method: 'POST',
+		path: '/sql/approvals',
+		scope: 'tools',
+		summary: 'Record an approve/reject decision for a prepared SQL statement',
+		body: schemas.SqlApprovalRequest,
+		responses: { 200: schemas.SqlApprovalResponse },
+		handler: (env, request, { body, auth }) => handleSqlApproval(env, request, body, auth),
+	},
+
+	// Conversation endpoints
+	{
+		method: 'GET',
+		path: '/conversations',
+		scope: 'chat',
+		summary: 'List your conversations, most recently active first, a page at a time',
+		query: schemas.ConversationsQuery,
+		responses: { 200: schemas.ConversationsListResponse },
+		handler: (env, request, { query, auth }) => handleConversationsList(env, query, auth),
+	},
+	{
+		method: 'GET',
+		path: '/conversations/search',
+		scope: 'chat',
+		summary: 'Full-text search over your conversation history',
+		query: schemas.ConversationSearchQuery,
+		responses: { 200: schemas.ConversationSearchResponse },
+		handler: (env, request, { query, auth }) => handleConversationSearch(env, query, auth),
+	},
+	{
+		method: 'GET',
+		path: '/conversations/:id',
+		scope: 'chat',
+		summary: 'Messages on one branch of your conversation, a page at a time, with the alternatives at each point',
+		params: schemas.ConversationIdParams,
+		query: schemas.ConversationMessagesQuery,
+		responses: { 200: schemas.ConversationMessagesResponse },
+		handler: (env, request, { params, query, auth }) => handleConversationMessages(env, params.id, query, auth),
+	},
+	{
+		method: 'PATCH',
+		path: '/conversations/:id',
+		scope: 'chat',
+		summary: 'Rename, archive or switch the active branch of one of your conversations',
+		params: schemas.ConversationIdParams,
+		body: schemas.ConversationUpdateRequest,
+		responses: { 200: schemas.ConversationResponse },
+		handler: (env, request, { params, body, auth }) => handleConversationUpdate(env, params.id, body, auth),
+	},
+	{
+		method: 'DELETE',
+		path: '/conversations/:id',
+		scope: 'chat',
+		summary: 'Delete one of your conversations and its messages',
+		params: schemas.ConversationIdParams,
+		responses: { 200: schemas.MessageResponse },
+		handler: (env, request, { params, auth }) => handleConversationDelete(env, request, params.id, auth),
+	},
+	{
+		method: 'GET',
+		path: '/conversations/:id/export',
+		scope: 'chat',
+		summary: 'Export one of your conversations as Markdown, JSON or HTML, or save the export as a file',
+		params: schemas.ConversationIdParams,
+		query: schemas.ConversationExportQuery,
+		responses: {
+			200: { contentType: 'text/markdown', description: 'The export as an attachment (text/markdown, application/json or text/html, by format)' },
+			201: schemas.FileUploadResponse,
+		},
+		handler: (env, request, { params, query, auth }) => handleConversationExport(env, request, params.id, query, auth),
+	},
+	{
+		method: 'POST',
+		path: '/conversations/:id/fork',
+		scope: 'chat',
+		summary: 'Copy a branch of your conversation, up to a message, into a new conversation',
+		params: schemas.ConversationIdParams,
+		body: schemas.ConversationForkRequest,
+		responses: { 201: schemas.ConversationResponse },
+		handler: (env, request, { params, body, auth }) => handleConversationFork(env, params.id, body, auth),
+	},
+	{
+		method: 'POST',
+		path: '/conversations/:id/messages/:mid/regenerate',
+		scope: 'chat',
+		summary: 'Rerun the agent from a user message, optionally edited, as a new branch; streams server-sent events',
+		params: schemas.ConversationMessageParams,
+		body: schemas.RegenerateRequest,
+		responses: { 200: { contentType: 'text/event-stream', description: 'One JSON ChatEvent per "data:" line', schema: schemas.ChatEvent } },
+		middleware: [rateLimit('chat'), concurrencyLimit('chat')],
+		handler: (env, request, { params, body, auth, log }) => handleRegenerate(env, params.id, params.mid, body, auth, log),
+	},
+	{
+		method: 'POST',
+		path: '/conversations/:id/messages/:mid/feedback',
+		scope: 'chat',
+		summary: 'Rate an assistant message up or down; thumbs-down turns are graded in the background',
+		params: schemas.ConversationMessageParams,
+		body: schemas.FeedbackRequest,
+		responses: { 200: schemas.FeedbackResponse },
+		handler: (env, request, { params, body, auth, ctx, log }) => handleFeedbackSubmit(env, ctx, params.id, params.mid, body, auth, log),
+	},
+
+	// Share links
+	{
+		method: 'POST',
+		path: '/conversations/:id/share',
+		scope: 'chat',
+		summary: 'Create a read-only, expiring link to the active branch of your conversation',
+		params: schemas.ConversationIdParams,
+		body: schemas.ShareCreateRequest,
+		responses: { 201: schemas.ShareIssuedResponse },
+		handler: (env, request, { url, params, body, auth }) => handleShareCreate(env, request, params.id, body, auth, url),
+	},
+	{
+		method: 'GET',
+		path: '/shares',
+		scope: 'chat',
+		summary: 'List the share links you created',
+		query: schemas.SharesQuery,
+		responses: { 200: schemas.SharesListResponse },
+		handler: (env, request, { query, auth }) => handleSharesList(env, query, auth),
+	},
+	{
+		method: 'DELETE',
+		path: '/shares/:id',
+		scope: 'chat',
+		summary: 'Revoke a share link',
+		params: schemas.ShareIdParams,
+		responses: { 200: schemas.ShareResponse },
+		handler: (env, request, { params, auth }) => handleShareRevoke(env, request, params.id, auth),
+	},
+	{
+		method: 'GET',
+		path: '/shared/:token',
+		auth: false,
+		secretPath: true,
+		summary: 'View a shared conversation (no login; the token is the credential)',
+		params: schemas.SharedViewParams,
+		query: schemas.SharedViewQuery,
+		responses: { 200: { contentType: 'text/html', description: 'The conversation as HTML, or JSON with ?format=json' } },
+		handler: (env, request, { params, query }) => handleSharedView(env, request, params.token, query),
+	},
+];
+
+const router = createRouter(routes);
 
 export default {
-	async fetch(request, env) {
-		const url = new URL(request.url);
-
-		try {
-			// Test fetch endpoint
-			if (url.pathname === '/test-fetch' && request.method === 'GET') {
-				return await handleTestFetch();
-			}
-
-			// D1 proxy endpoint
-			if (url.pathname === '/d1-proxy' && request.method === 'POST') {
-				return await handleD1ProxyRoute(env, request);
-			}
-
-			// File operations endpoints
-			if (url.pathname.startsWith('/files')) {
-				return await handleFileOperations(env, request, url);
-			}
-
-			// Chat endpoint
-			if (url.pathname === '/chat' && request.method === 'POST') {
-				return await handleChat(env, request);
-			}
-
-			// Grader endpoint
-			if (url.pathname === '/grader' && request.method === 'POST') {
-				return await handleGrader(env, request);
-			}
-
-
-			// Tools endpoints
-			if (url.pathname === '/tools' && request.method === 'GET') {
-				return await handleToolsList(env);
-			}
-
-			if (url.pathname === '/tools' && request.method === 'POST') {
-				return await handleToolExecution(env, request);
-			}
-
-			// Conversation endpoints
-			if (url.pathname === '/conversations' && request.method === 'GET') {
-				return await handleConversationsList(env, url);
-			}
-
-			if (url.pathname.startsWith('/conversations/') && request.method === 'GET') {
-				return await handleConversationMessages(env, url);
-			}
-
-			// 404 for unmatched routes
-			return new Response(JSON.stringify({ error: 'Not found' }), {
-				status: 404,
-				headers: { 'Content-Type': 'application/json' },
-			});
-		} catch (error) {
-			console.error('Request handling error:', error);
-			return new Response(JSON.stringify({ error: 'Internal server error' }), {
-				status: 500,
-				headers: { 'Content-Type': 'application/json' },
-			});
-		}
-	},
-};
\ No newline at end of file
+	async fetch(request, env, ctx) {
+		return await router.handle(request, env, ctx);
+	},
+
+	// Cron trigger (see triggers.crons in wrangler.jsonc)
+	async scheduled(event, env, ctx) {
+		ctx.waitUntil(handleScheduled(env, event));
+	},
+};
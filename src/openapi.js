@@ -0,0 +1,202 @@
+import { AI_CONFIG } from './ai-config.js';
+import { zodToJsonSchema } from './utils/json-schema.js';
+import * as schemas from './schemas.js';
+
+/**
+ * Builds an OpenAPI 3.1 document from the router's route table.
+ *
+ * Route fields used here (see src/router.js for the rest):
+ *   summary   - one line description
+ *   body      - zod schema for the request body, or (env) => schema when it depends on the environment
+ *   form      - zod schema for a multipart/form-data body
+ *   query     - zod object schema for query parameters
+ *   params    - zod object schema for path params (defaults to strings)
+ *   responses - { [status]: zod schema | { contentType, description } }
+ */
+
+// Named schemas are emitted once under components.schemas and referenced from operations
+const schemaNames = new Map(
+	Object.entries(schemas)
+		.filter(([, value]) => value && value._def)
+		.map(([name, value]) => [value, name])
+);
+
+const ERROR_DESCRIPTIONS = {
+	400: 'Invalid request',
+	401: 'Missing or invalid session or API key',
+	403: 'Not allowed for this user, role or API key scope',
+	404: 'Not found',
+	429: 'Rate limited; see the Retry-After header',
+};
+
+function toOpenApiPath(path) {
+	return path.replace(/:([A-Za-z_]+)/g, '{$1}');
+}
+
+function getPathParams(path) {
+	return [...path.matchAll(/:([A-Za-z_]+)/g)].map((match) => match[1]);
+}
+
+function getTag(path) {
+	return path.split('/')[1] || 'default';
+}
+
+function createSchemaRegistry() {
+	const components = {};
+
+	function toSchema(zodSchema) {
+		const name = schemaNames.get(zodSchema);
+		if (!name) {
+			return zodToJsonSchema(zodSchema);
+		}
+		if (!components[name]) {
+			components[name] = zodToJsonSchema(zodSchema);
+		}
+		return { $ref: `#/components/schemas/${name}` };
+	}
+
+	return { components, toSchema };
+}
+
+function getSecurity(route) {
+	if (route.auth === false) return [];
+	const security = [{ bearerAuth: [] }, { cookieAuth: [] }];
+	if (!route.session) {
+		security.push({ apiKeyAuth: [] });
+	}
+	return security;
+}
+
+function describeAccess(route) {
+	if (route.auth === false) return 'Public.';
+
+	const notes = [route.session ? 'Requires a login session (API keys are rejected).' : 'Requires a login session or an API key.'];
+	if (route.role) notes.push(`Requires the ${route.role} role.`);
+	if (route.scope) notes.push(`API keys need the \`${route.scope}\` scope.`);
+	return notes.join(' ');
+}
+
+function buildParameters(route, toSchema) {
+	const parameters = getPathParams(route.path).map((name) => ({
+		name,
+		in: 'path',
+		required: true,
+		schema: route.params ? toSchema(route.params.shape[name]) : { type: 'string' },
+	}));
+
+	if (route.query) {
+		for (const [name, value] of Object.entries(route.query.shape)) {
+			const schema = toSchema(value);
+			const { description, ...rest } = schema;
+			parameters.push({ name, in: 'query', required: !value.isOptional(), description, schema: rest });
+		}
+	}
+
+	return parameters;
+}
+
+function buildRequestBody(route, env, toSchema) {
+	if (route.form) {
+		const schema = zodToJsonSchema(route.form);
+		// File fields have no JSON type; describe them as binary uploads
+		for (const property of Object.values(schema.properties || {})) {
+			if (!property.type) {
+				Object.assign(property, { type: 'string', format: 'binary' });
+			}
+		}
+		return { required: true, content: { 'multipart/form-data': { schema } } };
+	}
+
+	if (route.body) {
+		const body = typeof route.body === 'function' ? route.body(env) : route.body;
+		return { required: true, content: { 'application/json': { schema: toSchema(body) } } };
+	}
+
+	return undefined;
+}
+
+function buildResponses(route, toSchema) {
+	const responses = {};
+
+	for (const [status, response] of Object.entries(route.responses || { 200: null })) {
+		if (!response) {
+			responses[status] = { description: 'Success' };
+		} else if (response._def) {
+			responses[status] = { description: 'Success', content: { 'application/json': { schema: toSchema(response) } } };
+		} else {
+			const content = { [response.contentType]: response.schema ? { schema: toSchema(response.schema) } : {} };
+			responses[status] = { description: response.description || 'Success', content };
+		}
+	}
+
+	const errorStatuses = [];
+	if (route.body || route.form || route.query || route.params) errorStatuses.push(400);
+	if (route.auth !== false) errorStatuses.push(401, 403);
+	if (route.path.includes(':')) errorStatuses.push(404);
+	if ((route.middleware || []).length > 0) errorStatuses.push(429);
+
+	for (const status of errorStatuses) {
+		responses[status] = { $ref: `#/components/responses/Error${status}` };
+	}
+	responses.default = { $ref: '#/components/responses/Error' };
+
+	return responses;
+}
+
+function errorResponse(description, toSchema) {
+	return { description, content: { 'application/json': { schema: toSchema(schemas.ErrorResponse) } } };
+}
+
+export function buildOpenApiDocument(routes, env, origin) {
+	const { components, toSchema } = createSchemaRegistry();
+	const paths = {};
+
+	for (const route of routes) {
+		const operation = {
+			tags: [getTag(route.path)],
+			summary: route.summary,
+			description: describeAccess(route),
+			operationId: `${route.method.toLowerCase()}${toOpenApiPath(route.path).replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : '')) || 'Root'}`,
+			security: getSecurity(route),
+		};
+
+		const parameters = buildParameters(route, toSchema);
+		if (parameters.length > 0) operation.parameters = parameters;
+
+		const requestBody = buildRequestBody(route, env, toSchema);
+		if (requestBody) operation.requestBody = requestBody;
+
+		operation.responses = buildResponses(route, toSchema);
+		if (route.role) operation['x-required-role'] = route.role;
+		if (route.scope) operation['x-required-scope'] = route.scope;
+
+		const path = toOpenApiPath(route.path);
+		paths[path] = paths[path] || {};
+		paths[path][route.method.toLowerCase()] = operation;
+	}
+
+	const errorResponses = { Error: errorResponse('Error', toSchema) };
+	for (const [status, description] of Object.entries(ERROR_DESCRIPTIONS)) {
+		errorResponses[`Error${status}`] = errorResponse(description, toSchema);
+	}
+
+	return {
+		openapi: '3.1.0',
+		info: {
+			title: `${AI_CONFIG.SERVICE.NAME} API`,
+			version: AI_CONFIG.SERVICE.VERSION,
+			description: 'Chat, tool execution, file storage and account management for the Rodeo AI agent.',
+		},
+		servers: [{ url: origin }],
+		paths,
+		components: {
+			schemas: components,
+			responses: errorResponses,
+			securitySchemes: {
+				bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token from POST /auth/login' },
+				cookieAuth: { type: 'apiKey', in: 'cookie', name: AI_CONFIG.AUTH.SESSION_COOKIE_NAME },
+				apiKeyAuth: { type: 'apiKey', in: 'header', name: AI_CONFIG.AUTH.API_KEY_HEADER, description: 'Scoped API key from POST /api-keys' },
+			},
+		},
+	};
+}
@@ -1,3 +1,6 @@
+import { logger } from '../utils/logger.js';
+import { emptyUsage, applyStreamUsage } from '../utils/usage.js';
+
 // Model name mapping for Anthropic
 function anthropicModelId(name) {
 	if (!name) return 'claude-3-5-haiku-latest'; // default to haiku
@@ -40,7 +43,7 @@ export async function streamAnthropicResponse(env, messages, systemPrompt, model
 
 	if (!response.ok) {
 		const errorText = await response.text();
-		console.error('[API] Anthropic API error response:', errorText);
+		logger.error('provider.api_error', { provider: 'anthropic', upstreamStatus: response.status, body: errorText.substring(0, 500) });
 		throw new Error(`Anthropic API error: ${response.status} ${response.statusText} - ${errorText}`);
 	}
 
@@ -80,7 +83,7 @@ export async function streamGroqResponse(env, messages, systemPrompt, modelName,
 
 	if (!response.ok) {
 		const errorText = await response.text();
-		console.error('❌ Groq API Error:', errorText);
+		logger.error('provider.api_error', { provider: 'groq', upstreamStatus: response.status, body: errorText.substring(0, 500) });
 		throw new Error(`Groq API error: ${response.status} ${response.statusText}`);
 	}
 
@@ -92,6 +95,7 @@ export async function streamOpenAIResponse(env, messages, systemPrompt, modelNam
 		model: modelName || env.OPENAI_MODEL || 'gpt-4o-mini',
 		messages: [{ role: 'system', content: systemPrompt }, ...messages],
 		stream: true,
+		stream_options: { include_usage: true }, // final chunk reports token usage
 	};
 
 	// Add tools if provided (OpenAI format)
@@ -120,4 +124,51 @@ export async function streamOpenAIResponse(env, messages, systemPrompt, modelNam
 	}
 
 	return response.body;
-}
\ No newline at end of file
+}
+
+// Non-streaming completions for short utility calls such as conversation titles.
+// Both resolve to { text, usage } with usage shaped like emptyUsage().
+export async function completeAnthropicText(env, prompt, modelName, maxTokens) {
+	const response = await fetch('https://api.anthropic.com/v1/messages', {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json',
+			'x-api-key': env.ANTHROPIC_API_KEY,
+			'anthropic-version': '2023-06-01',
+		},
+		body: JSON.stringify({
+			model: anthropicModelId(modelName),
+			max_tokens: maxTokens,
+			messages: [{ role: 'user', content: prompt }],
+		}),
+	});
+
+	if (!response.ok) {
+		throw new Error(`Anthropic API error: ${response.status} ${response.statusText}`);
+	}
+
+	const data = await response.json();
+	return { text: data.content?.[0]?.text || '', usage: applyStreamUsage(emptyUsage(anthropicModelId(modelName)), data) };
+}
+
+export async function completeGroqText(env, prompt, modelName, maxTokens) {
+	const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json',
+			Authorization: `Bearer ${env.GROQ_API_KEY}`,
+		},
+		body: JSON.stringify({
+			model: modelName,
+			max_tokens: maxTokens,
+			messages: [{ role: 'user', content: prompt }],
+		}),
+	});
+
+	if (!response.ok) {
+		throw new Error(`Groq API error: ${response.status} ${response.statusText}`);
+	}
+
+	const data = await response.json();
+	return { text: data.choices?.[0]?.message?.content || '', usage: applyStreamUsage(emptyUsage(modelName), data) };
+}
@@ -0,0 +1,115 @@
+import { streamAnthropicResponse } from './ai-providers.js';
+import { readJsonPayloads } from './stream-events.js';
+import { emptyUsage, applyStreamUsage } from '../utils/usage.js';
+
+// Anthropic Messages API adapter (also serves the rerouted 'gemini' provider). Every system section and the
+// most recent messages get a cache breakpoint, within Anthropic's limit of 4.
+
+// Helper function to add cache control to messages for Anthropic
+function addCacheControlToMessages(messages, cacheFromIndex = 0) {
+	if (!messages || messages.length === 0) return messages;
+	
+	// Clone messages to avoid mutation
+	const cachedMessages = messages.map((msg, index) => {
+		// Cache messages starting from cacheFromIndex, but not the very last message
+		// (the current user input shouldn't be cached yet)
+		if (index >= cacheFromIndex && index < messages.length - 1) {
+			return {
+				...msg,
+				content: Array.isArray(msg.content) 
+					? msg.content.map((block, blockIndex) => 
+						// Add cache_control to the last content block of this message
+						blockIndex === msg.content.length - 1 
+							? { ...block, cache_control: { type: "ephemeral" } }
+							: block
+					)
+					: [{ 
+						type: "text", 
+						text: msg.content, 
+						cache_control: { type: "ephemeral" } 
+					}]
+			};
+		}
+		
+		// For non-cached messages, ensure content is in array format for Anthropic
+		return {
+			...msg,
+			content: Array.isArray(msg.content) 
+				? msg.content 
+				: [{ type: "text", text: msg.content }]
+		};
+	});
+	
+	return cachedMessages;
+}
+
+// Smart message caching that respects 4 breakpoint limit
+function smartCacheMessages(messages, systemBreakpoints = 1) {
+	if (!messages || messages.length === 0) return messages;
+	
+	// Calculate available breakpoints for messages (4 total - system breakpoints)  
+	const availableBreakpoints = 4 - systemBreakpoints;
+	
+	// For short conversations, cache recent messages directly
+	if (messages.length <= availableBreakpoints) {
+		return addCacheControlToMessages(messages, 0);
+	}
+	
+	// For longer conversations, only cache the most recent messages
+	// Leave the last message uncached (current user input)
+	const recentMessages = messages.slice(-availableBreakpoints);
+	const olderMessages = messages.slice(0, -availableBreakpoints);
+	
+	// Format older messages for Anthropic (no caching)
+	const formattedOlderMessages = olderMessages.map(msg => ({
+		...msg,
+		content: Array.isArray(msg.content) 
+			? msg.content 
+			: [{ type: "text", text: msg.content }]
+	}));
+	
+	// Cache recent messages (except the very last one)
+	const cachedRecentMessages = addCacheControlToMessages(recentMessages, 0);
+	
+	return [...formattedOlderMessages, ...cachedRecentMessages];
+}
+
+// Normalised events from an Anthropic message stream. Tool calls are content blocks; their block index
+// is mapped to the call's position among the response's tool calls.
+async function* anthropicEvents(body, model, log) {
+	let usage = emptyUsage(model);
+	const toolIndexes = new Map();
+
+	for await (const data of readJsonPayloads(body, log)) {
+		// message_start carries the input and cache counts, message_delta the output count so far
+		if (data.type === 'message_start' || data.type === 'message_delta') {
+			usage = applyStreamUsage(usage, data);
+			yield { type: 'usage', usage };
+		}
+
+		if (data.type === 'content_block_start' && data.content_block?.type === 'tool_use') {
+			const index = toolIndexes.size;
+			toolIndexes.set(data.index, index);
+			yield { type: 'tool_call_start', index, id: data.content_block.id, name: data.content_block.name };
+		} else if (data.type === 'content_block_delta' && data.delta?.type === 'input_json_delta') {
+			yield { type: 'tool_call_delta', index: toolIndexes.get(data.index), input: data.delta.partial_json };
+		} else if (data.type === 'content_block_delta' && data.delta?.text) {
+			yield { type: 'text_delta', text: data.delta.text };
+		} else if (data.type === 'content_block_stop' && toolIndexes.has(data.index)) {
+			yield { type: 'tool_call_end', index: toolIndexes.get(data.index) };
+		} else if (data.type === 'message_delta' && data.delta?.stop_reason) {
+			yield { type: 'stop', reason: data.delta.stop_reason };
+		} else if (data.type === 'error') {
+			yield { type: 'error', message: data.error?.message || 'Anthropic stream error' };
+		}
+	}
+}
+
+export const anthropicAdapter = {
+	apiKey: 'ANTHROPIC_API_KEY',
+	async stream(env, { model, system, messages, tools }, log) {
+		const systemBlocks = system.map((text) => ({ type: 'text', text, cache_control: { type: 'ephemeral' } }));
+		const body = await streamAnthropicResponse(env, smartCacheMessages(messages, systemBlocks.length), systemBlocks, model, tools);
+		return anthropicEvents(body, model, log);
+	},
+};
@@ -0,0 +1,17 @@
+import { anthropicAdapter } from './anthropic.js';
+import { groqAdapter, openaiAdapter } from './openai-compatible.js';
+
+// Chat providers by the name clients pass as `provider`; see stream-events.js for the adapter interface.
+// Adding a provider means writing its adapter and listing it here.
+const PROVIDER_ADAPTERS = {
+	anthropic: anthropicAdapter,
+	claude: anthropicAdapter,
+	gemini: anthropicAdapter, // Rerouted to Claude Haiku (see AI_CONFIG.DEFAULT_MODELS.gemini)
+	groq: groqAdapter,
+	openai: openaiAdapter,
+};
+
+// The adapter for a provider name, or null when there is none
+export function getProviderAdapter(provider) {
+	return Object.hasOwn(PROVIDER_ADAPTERS, provider) ? PROVIDER_ADAPTERS[provider] : null;
+}
@@ -0,0 +1,72 @@
+import { streamGroqResponse, streamOpenAIResponse } from './ai-providers.js';
+import { readJsonPayloads } from './stream-events.js';
+import { emptyUsage, applyStreamUsage } from '../utils/usage.js';
+
+// Adapters for OpenAI-style chat completion streams (Groq and OpenAI). The system sections are joined into
+// one system message; both APIs cache a repeated prompt prefix on their own.
+
+const STOP_REASONS = { stop: 'end_turn', tool_calls: 'tool_use', length: 'max_tokens' };
+
+// Normalised events from a chat completion stream. Tool calls arrive as deltas keyed by index and are
+// ended by the chunk with a finish_reason; usage comes in the final chunk (OpenAI) or x_groq (Groq).
+async function* openAICompatibleEvents(body, model, log) {
+	let usage = emptyUsage(model);
+	const openCalls = new Set();
+
+	for await (const data of readJsonPayloads(body, log)) {
+		const nextUsage = applyStreamUsage(usage, data);
+		if (nextUsage !== usage) {
+			usage = nextUsage;
+			yield { type: 'usage', usage };
+		}
+
+		if (data.error) {
+			yield { type: 'error', message: data.error.message || String(data.error) };
+			continue;
+		}
+
+		const choice = data.choices?.[0];
+		for (const call of choice?.delta?.tool_calls || []) {
+			const index = call.index || 0;
+			if (!openCalls.has(index)) {
+				openCalls.add(index);
+				yield { type: 'tool_call_start', index, id: call.id || '', name: call.function?.name || '' };
+			}
+			// Groq sends 'null' for calls without arguments
+			const input = call.function?.arguments;
+			if (input && input !== 'null') {
+				yield { type: 'tool_call_delta', index, input };
+			}
+		}
+
+		if (choice?.delta?.content) {
+			yield { type: 'text_delta', text: choice.delta.content };
+		}
+
+		if (choice?.finish_reason) {
+			for (const index of openCalls) {
+				yield { type: 'tool_call_end', index };
+			}
+			openCalls.clear();
+			yield { type: 'stop', reason: STOP_REASONS[choice.finish_reason] || choice.finish_reason };
+		}
+	}
+
+	// A stream cut short never sends its finish_reason
+	for (const index of openCalls) {
+		yield { type: 'tool_call_end', index };
+	}
+}
+
+function createOpenAICompatibleAdapter(apiKey, streamResponse) {
+	return {
+		apiKey,
+		async stream(env, { model, system, messages, tools }, log) {
+			const body = await streamResponse(env, messages, system.join('\n\n'), model, tools);
+			return openAICompatibleEvents(body, model, log);
+		},
+	};
+}
+
+export const groqAdapter = createOpenAICompatibleAdapter('GROQ_API_KEY', streamGroqResponse);
+export const openaiAdapter = createOpenAICompatibleAdapter('OPENAI_API_KEY', streamOpenAIResponse);
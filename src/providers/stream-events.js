@@ -0,0 +1,76 @@
+// Normalised stream events. Each provider adapter turns its API's streamed response into these, so the
+// chat loop never sees a provider's wire format:
+//   { type: 'text_delta', text }
+//   { type: 'tool_call_start', index, id, name }  index is the call's position among the response's tool calls
+//   { type: 'tool_call_delta', index, input }     the next fragment of the call's JSON arguments
+//   { type: 'tool_call_end', index }
+//   { type: 'usage', usage }                      token counts so far, shaped like emptyUsage(); the latest wins
+//   { type: 'stop', reason }                      'end_turn', 'tool_use', 'max_tokens', or the provider's own reason
+//   { type: 'error', message }                    the provider reported an error after the stream started
+//
+// An adapter is { apiKey, stream(env, { model, system, messages, tools }, log) }. apiKey names the secret it
+// needs; system is a list of prompt sections, most stable first; tools use the Anthropic tool format.
+// stream() sends the request, throws if it is rejected, and resolves to an async iterable of events.
+
+// The JSON text of one stream line; null for blank lines, comments, other SSE fields and [DONE]
+function linePayload(line) {
+	const text = line.trim();
+	if (text.startsWith('data:')) {
+		const data = text.slice(5).trim();
+		return data === '[DONE]' ? null : data;
+	}
+	if (!text || text.startsWith(':') || /^(event|id|retry):/.test(text)) {
+		return null;
+	}
+	// Bare JSON lines, as some OpenAI-compatible APIs send them
+	return text;
+}
+
+function tryParse(text) {
+	try {
+		return JSON.parse(text);
+	} catch {
+		return undefined;
+	}
+}
+
+// The parsed JSON payloads of a streamed response body, from SSE data lines or bare JSON lines
+export async function* readJsonPayloads(body, log) {
+	const reader = body.getReader();
+	const decoder = new TextDecoder();
+	let buffer = '';
+
+	try {
+		while (true) {
+			const { done, value } = await reader.read();
+			buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+			const lines = buffer.split('\n');
+			buffer = done ? '' : lines.pop();
+
+			for (const line of lines) {
+				const payload = linePayload(line);
+				if (payload === null) continue;
+
+				const data = tryParse(payload);
+				if (data === undefined) {
+					log.warn('chat.stream_parse_error', { length: payload.length });
+				} else {
+					yield data;
+				}
+			}
+			if (done) break;
+
+			// A chunk may also be one whole JSON object without a trailing newline
+			if (buffer.trim().startsWith('{')) {
+				const data = tryParse(buffer.trim());
+				if (data !== undefined) {
+					buffer = '';
+					yield data;
+				}
+			}
+		}
+	} finally {
+		// Also stops the upstream response when the consumer leaves early
+		await reader.cancel().catch(() => {});
+	}
+}
@@ -0,0 +1,220 @@
+import { AI_CONFIG } from './ai-config.js';
+import { AIError } from './utils/errors.js';
+import { requireAuth, requireRole, requireScope, requireSession } from './utils/auth.js';
+import { validate, validateJsonBody, validateFormBody } from './utils/validation.js';
+import { createLogger } from './utils/logger.js';
+
+/**
+ * Small declarative router for the Worker.
+ *
+ * Each route is { method, path, handler } plus optional:
+ *   auth       - false for public routes (default: session or API key required)
+ *   session    - true to reject API keys (account and key management)
+ *   role       - required user role, e.g. 'admin'
+ *   scope      - API key scope required, e.g. 'chat'
+ *   middleware - array of (env, request, context, next) => Response, run in order around the handler
+ *   params     - zod schema for path params
+ *   query      - zod schema for query parameters
+ *   body       - zod schema for a JSON body, or (env) => schema
+ *   form       - zod schema for a multipart/form-data body
+ *   secretPath - true when a path param is a credential (e.g. a share token): logs show the route's path pattern
+ *
+ * Input is validated after authentication and before middleware; invalid input is a 400.
+ * Handlers are called as handler(env, request, context) where context holds
+ * { url, route, params, query, body, auth, ctx, router, requestId, log }. Path params use the ':name' syntax, e.g. '/files/:id'.
+ */
+
+// Reuse the caller's X-Request-Id when it looks like an ID, so logs can be joined across services
+function getRequestId(request) {
+	const incoming = request.headers.get('X-Request-Id');
+	return incoming && /^[A-Za-z0-9._-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+function compilePath(path) {
+	const paramNames = [];
+	const pattern = path.replace(/\/:([A-Za-z_]+)/g, (_, name) => {
+		paramNames.push(name);
+		return '/([^/]+)';
+	});
+	return { regex: new RegExp(`^${pattern}/?$`), paramNames };
+}
+
+function matchPath(route, pathname) {
+	const match = route.regex.exec(pathname);
+	if (!match) return null;
+
+	const params = {};
+	route.paramNames.forEach((name, index) => {
+		try {
+			params[name] = decodeURIComponent(match[index + 1]);
+		} catch {
+			throw new AIError('Invalid path parameter', AI_CONFIG.ERROR_CODES.VALIDATION_ERROR, {
+				location: 'path',
+				fields: [{ field: name, message: 'Malformed percent-encoding' }],
+			});
+		}
+	});
+	return params;
+}
+
+// Allowed origins come from the CORS_ALLOWED_ORIGINS env var (comma separated) or AI_CONFIG.CORS
+function getAllowedOrigins(env) {
+	if (env.CORS_ALLOWED_ORIGINS) {
+		return env.CORS_ALLOWED_ORIGINS.split(',').map((origin) => origin.trim()).filter(Boolean);
+	}
+	return AI_CONFIG.CORS.ALLOWED_ORIGINS;
+}
+
+function getCorsHeaders(env, request) {
+	const origin = request.headers.get('Origin');
+	if (!origin) return {};
+
+	const allowedOrigins = getAllowedOrigins(env);
+	if (allowedOrigins.includes('*')) {
+		return { 'Access-Control-Allow-Origin': '*' };
+	}
+	if (allowedOrigins.includes(origin)) {
+		// Explicit origins may send the session cookie
+		return {
+			'Access-Control-Allow-Origin': origin,
+			'Access-Control-Allow-Credentials': 'true',
+			Vary: 'Origin',
+		};
+	}
+	return {};
+}
+
+function withHeaders(response, headers) {
+	if (Object.keys(headers).length === 0) return response;
+
+	const wrapped = new Response(response.body, response);
+	for (const [name, value] of Object.entries(headers)) {
+		wrapped.headers.set(name, value);
+	}
+	return wrapped;
+}
+
+// Built-in checks declared on the route, run before any custom middleware
+async function authorize(env, request, route) {
+	if (route.auth === false) return null;
+
+	const auth = await requireAuth(env, request);
+	if (route.session) requireSession(auth);
+	if (route.role) requireRole(auth, route.role);
+	if (route.scope) requireScope(auth, route.scope);
+	return auth;
+}
+
+export function createRouter(routes) {
+	const compiled = routes.map((route) => ({ ...route, ...compilePath(route.path) }));
+
+	// Static segments win over parameters: /conversations/search never reaches /conversations/:id
+	function findRoutes(pathname) {
+		const matches = compiled.map((route) => ({ route, params: matchPath(route, pathname) })).filter(({ params }) => params !== null);
+		const fewestParams = Math.min(...matches.map(({ route }) => route.paramNames.length));
+		return matches.filter(({ route }) => route.paramNames.length === fewestParams);
+	}
+
+	function allowedMethods(matches) {
+		return [...new Set(matches.map(({ route }) => route.method)), 'OPTIONS'].join(', ');
+	}
+
+	async function dispatch(request, env, context) {
+		const { url } = context;
+		const matches = findRoutes(url.pathname);
+
+		if (matches.length === 0) {
+			throw new AIError('Not found', AI_CONFIG.ERROR_CODES.NOT_FOUND, { path: url.pathname });
+		}
+
+		// CORS preflight
+		if (request.method === 'OPTIONS') {
+			return new Response(null, {
+				status: 204,
+				headers: {
+					'Access-Control-Allow-Methods': allowedMethods(matches),
+					'Access-Control-Allow-Headers': AI_CONFIG.CORS.ALLOWED_HEADERS.join(', '),
+					'Access-Control-Max-Age': String(AI_CONFIG.CORS.MAX_AGE_SECONDS),
+				},
+			});
+		}
+
+		const matched = matches.find(({ route }) => route.method === request.method);
+		if (!matched) {
+			const allow = allowedMethods(matches);
+			throw new AIError(`Method ${request.method} not allowed`, AI_CONFIG.ERROR_CODES.METHOD_NOT_ALLOWED, { allow });
+		}
+
+		const { route, params } = matched;
+		context.route = route;
+		context.params = params;
+		context.auth = await authorize(env, request, route);
+		if (context.auth) {
+			context.log = context.log.child({ userId: context.auth.user.id });
+		}
+
+		if (route.params) context.params = validate(route.params, params, 'path');
+		if (route.query) context.query = validate(route.query, Object.fromEntries(url.searchParams), 'query');
+		if (route.form) {
+			context.body = await validateFormBody(request, route.form);
+		} else if (route.body) {
+			context.body = await validateJsonBody(request, typeof route.body === 'function' ? route.body(env) : route.body);
+		}
+
+		// Run middleware in declaration order, ending with the handler
+		const chain = [...(route.middleware || [])];
+		const next = async () => {
+			const middleware = chain.shift();
+			return middleware ? await middleware(env, request, context, next) : await route.handler(env, request, context);
+		};
+		return await next();
+	}
+
+	async function handle(request, env, ctx) {
+		const startTime = Date.now();
+		const requestId = getRequestId(request);
+		const url = new URL(request.url);
+		const context = {
+			url,
+			route: null,
+			params: {},
+			query: {},
+			body: null,
+			auth: null,
+			ctx,
+			router,
+			requestId,
+			log: createLogger(env, { requestId }),
+		};
+
+		let response;
+		try {
+			response = await dispatch(request, env, context);
+		} catch (error) {
+			if (error instanceof AIError) {
+				response = error.toResponse(requestId);
+				if (error.code === AI_CONFIG.ERROR_CODES.METHOD_NOT_ALLOWED) {
+					response = withHeaders(response, { Allow: error.details.allow });
+				}
+				if (response.status >= 500) {
+					context.log.error('request.error', { error });
+				}
+			} else {
+				// Unexpected errors are logged in full but only reported to the client by request ID
+				context.log.error('request.error', { error });
+				response = new AIError('Internal server error', AI_CONFIG.ERROR_CODES.INTERNAL_ERROR).toResponse(requestId);
+			}
+		}
+
+		context.log.info('request.completed', {
+			method: request.method,
+			path: context.route?.secretPath ? context.route.path : url.pathname,
+			status: response.status,
+			durationMs: Date.now() - startTime,
+		});
+		return withHeaders(response, { ...getCorsHeaders(env, request), 'X-Request-Id': requestId });
+	}
+
+	const router = { routes, handle };
+	return router;
+}
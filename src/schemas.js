@@ -0,0 +1,685 @@
+import { z } from 'zod';
+import { AI_CONFIG } from './ai-config.js';
+
+/**
+ * Request and response schemas for the HTTP API.
+ *
+ * Routes in src/index.js reference these as `body`, `query` and `responses`;
+ * the OpenAPI document at GET /openapi.json is generated from them.
+ */
+
+// Shared pieces
+
+const id = z.number().int().describe('Numeric ID');
+const timestamp = z.string().describe('SQLite datetime (UTC)');
+const queryUserId = z.coerce.number().int().positive().optional().describe('Admins only: act on another user');
+
+// An ISO date or datetime (UTC unless it has an offset), also in SQLite's 'YYYY-MM-DD HH:MM:SS' form.
+// See utils/date-range.js: a date alone as `to` covers the whole day.
+const DATE_OR_DATETIME = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])([T ]([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)?)?$/;
+const dateTimeFilter = (description) =>
+	z.string().regex(DATE_OR_DATETIME, 'Use an ISO date (YYYY-MM-DD) or datetime (YYYY-MM-DDTHH:MM:SSZ)').optional().describe(description);
+
+export const ErrorResponse = z.object({
+	error: z.string().describe('Human readable message'),
+	code: z.enum(Object.values(AI_CONFIG.ERROR_CODES)).describe('Stable error code'),
+	details: z.record(z.string(), z.any()).describe('For validation errors: { location, fields: [{ field, message }] }'),
+	requestId: z.string().nullable().describe('Quote this when reporting a problem'),
+});
+
+export const IdParams = z.object({
+	id: z.coerce.number().int().positive(),
+});
+
+export const MessageResponse = z.object({
+	success: z.literal(true),
+	message: z.string(),
+});
+
+export const AuthUser = z.object({
+	id,
+	username: z.string(),
+	role: z.enum(AI_CONFIG.AUTH.ROLES),
+});
+
+export const PublicUser = AuthUser.extend({
+	disabled: z.boolean(),
+	passwordChangedAt: timestamp.nullable(),
+	createdAt: timestamp,
+});
+
+// Auth and sessions
+
+export const LoginRequest = z.object({
+	username: z.string().min(1),
+	password: z.string().min(1),
+});
+
+export const LoginResponse = z.object({
+	success: z.literal(true),
+	sessionToken: z.string().describe('Send as "Authorization: Bearer <token>"; also set as a cookie'),
+	expiresInHours: z.number(),
+	user: AuthUser,
+});
+
+export const MeResponse = z.object({
+	success: z.literal(true),
+	user: AuthUser,
+});
+
+export const PasswordChangeRequest = z.object({
+	currentPassword: z.string().min(1),
+	newPassword: z.string().min(AI_CONFIG.AUTH.MIN_PASSWORD_LENGTH),
+});
+
+export const PasswordResetRequest = z.object({
+	token: z.string().min(1).describe('Reset token issued by an admin'),
+	newPassword: z.string().min(AI_CONFIG.AUTH.MIN_PASSWORD_LENGTH),
+});
+
+export const UserIdQuery = z.object({
+	userId: queryUserId,
+});
+
+export const Session = z.object({
+	id: z.string(),
+	current: z.boolean().describe('True for the session making the request'),
+	userAgent: z.string().nullable(),
+	ipAddress: z.string().nullable(),
+	createdAt: timestamp,
+	lastSeenAt: timestamp.describe(`Coarse: moves only when the session is extended, after ${AI_CONFIG.AUTH.SESSION_REFRESH_MINUTES} idle minutes`),
+	expiresAt: timestamp,
+});
+
+export const SessionsListResponse = z.object({
+	success: z.literal(true),
+	userId: id,
+	sessions: z.array(Session),
+});
+
+export const SessionsRevokeAllResponse = z.object({
+	success: z.literal(true),
+	revoked: z.number().int(),
+});
+
+// API keys
+
+export const ApiKey = z.object({
+	id,
+	userId: id,
+	name: z.string(),
+	prefix: z.string().describe('First characters of the key, for identification'),
+	scopes: z.array(z.enum(AI_CONFIG.AUTH.API_KEY_SCOPES)),
+	createdAt: timestamp,
+	expiresAt: timestamp.nullable(),
+	lastUsedAt: timestamp.nullable(),
+	revokedAt: timestamp.nullable(),
+});
+
+export const ApiKeyCreateRequest = z.object({
+	name: z.string().min(1),
+	scopes: z.array(z.enum(AI_CONFIG.AUTH.API_KEY_SCOPES)).min(1),
+	expiresInDays: z.number().int().positive().nullable().optional().describe('Omit for a key that never expires'),
+	userId: id.optional().describe('Admins only: create the key for another user'),
+});
+
+export const ApiKeysListResponse = z.object({
+	success: z.literal(true),
+	keys: z.array(ApiKey),
+});
+
+export const ApiKeyIssuedResponse = z.object({
+	success: z.literal(true),
+	apiKey: z.string().describe('The plaintext key; shown only once. Send as the x-api-key header'),
+	key: ApiKey,
+	rotatedFrom: id.optional(),
+});
+
+// Admin
+
+export const UserCreateRequest = z.object({
+	username: z.string().min(1),
+	password: z.string().min(AI_CONFIG.AUTH.MIN_PASSWORD_LENGTH),
+	role: z.enum(AI_CONFIG.AUTH.ROLES).default('user'),
+});
+
+export const UserUpdateRequest = z.object({
+	username: z.string().min(1).optional(),
+	role: z.enum(AI_CONFIG.AUTH.ROLES).optional(),
+	disabled: z.boolean().optional(),
+});
+
+export const UserResponse = z.object({
+	success: z.literal(true),
+	user: PublicUser,
+});
+
+export const UsersListResponse = z.object({
+	success: z.literal(true),
+	users: z.array(PublicUser),
+});
+
+export const ResetTokenResponse = z.object({
+	success: z.literal(true),
+	resetToken: z.string().describe('One-time token for POST /auth/reset-password'),
+	expiresInHours: z.number(),
+	message: z.string(),
+});
+
+export const AuditQuery = z.object({
+	actor: z.string().optional().describe('User ID or username'),
+	action: z.string().optional().describe('Exact action, or a prefix ending in "*" (e.g. "auth.*")'),
+	from: dateTimeFilter('At or after (ISO date or datetime)'),
+	to: dateTimeFilter('At or before (ISO date or datetime; a date includes the whole day)'),
+	before: z.coerce.number().int().optional().describe('Only events with a smaller ID (use nextBefore to page)'),
+	limit: z.coerce.number().int().min(1).max(500).optional(),
+});
+
+export const AuditEvent = z.object({
+	id,
+	actor_user_id: id.nullable(),
+	actor_username: z.string().nullable(),
+	api_key_id: id.nullable(),
+	action: z.string(),
+	target_type: z.string().nullable(),
+	target_id: z.string().nullable(),
+	details: z.record(z.string(), z.any()).nullable(),
+	ip_address: z.string().nullable(),
+	user_agent: z.string().nullable(),
+	created_at: timestamp,
+});
+
+export const AuditListResponse = z.object({
+	success: z.literal(true),
+	events: z.array(AuditEvent),
+	nextBefore: id.nullable(),
+});
+
+export const D1ProxyRequest = z.object({
+	query: z.string().min(1).describe('SQL statement; prefix with "COMMAND:" to run a write'),
+	params: z.array(z.any()).default([]),
+});
+
+export const D1ProxyResponse = z.record(z.string(), z.any()).describe('D1 result object (results, meta, success)');
+
+// Files
+
+export const FileUploadForm = z.object({
+	file: z.instanceof(File).describe('The file to upload'),
+});
+
+export const FileRecord = z.object({
+	id,
+	filename: z.string(),
+	original_filename: z.string(),
+	size: z.number().int(),
+	mime_type: z.string(),
+	r2_key: z.string(),
+	upload_time: timestamp,
+	last_accessed: timestamp.nullable(),
+});
+
+export const FileUploadResponse = z.object({
+	success: z.literal(true),
+	file: z.object({
+		id,
+		filename: z.string(),
+		originalFilename: z.string(),
+		size: z.number().int(),
+		mimeType: z.string(),
+		r2Key: z.string(),
+	}),
+});
+
+export const FilesListResponse = z.object({
+	success: z.literal(true),
+	files: z.array(FileRecord),
+});
+
+export const FileGetQuery = z.object({
+	action: z.enum(['download']).optional().describe('Return the file contents instead of metadata'),
+});
+
+export const FileGetResponse = z.object({
+	success: z.literal(true),
+	file: FileRecord,
+	signedUrl: z.string(),
+});
+
+// Chat, grader and tools
+
+export const ChatMessage = z.object({
+	role: z.enum(['user', 'assistant']),
+	content: z.any().describe('Text, or provider content blocks'),
+});
+
+export const ChatRequest = z.object({
+	prompt: z.string().optional().describe('Single user message; use messages for multi-turn history'),
+	messages: z.array(ChatMessage).optional(),
+	provider: z.string().optional().describe('groq (default), anthropic, claude, openai or gemini'),
+	model: z.string().optional(),
+	conversationId: z
+		.string()
+		.nullish()
+		.describe('Continue an existing conversation: its stored history is used and only the last message (the new user turn) is read from the request'),
+	enableLoop: z.boolean().optional().describe('Let the model call tools over several iterations'),
+	maxIterations: z.number().int().min(1).max(AI_CONFIG.CHAT_LOOP.MAX_ITERATIONS).optional(),
+});
+
+const TokenCounts = {
+	inputTokens: z.number().int().describe('Uncached input tokens'),
+	outputTokens: z.number().int(),
+	cacheReadTokens: z.number().int(),
+	cacheWriteTokens: z.number().int(),
+};
+
+export const ChatEvent = z.object({
+	type: z.enum(['conversation_id', 'iteration', 'text', 'tool_result', 'tool_error', 'title', 'usage', 'error', 'done']),
+	content: z.any().optional(),
+	conversationId: z.string().optional(),
+	title: z.string().optional().describe('Sent once, when a new conversation is named'),
+	usage: z
+		.object({ ...TokenCounts, costUsd: z.number().describe('Models without a price in AI_CONFIG.PRICING count as 0') })
+		.optional()
+		.describe('Sent before done: totals for the run'),
+	iterations: z
+		.array(z.object({ iteration: z.number().int(), model: z.string(), ...TokenCounts, costUsd: z.number().nullable() }))
+		.optional()
+		.describe('Sent with usage: one entry per agent loop iteration'),
+});
+
+export const GraderRequest = z.object({
+	task: z.string().min(1),
+	output: z.string().min(1),
+});
+
+export const GraderResponse = z.object({
+	success: z.literal(true),
+	grade: z.object({
+		strengths: z.array(z.string()),
+		weaknesses: z.array(z.string()),
+		reasoning: z.string(),
+		score: z.number(),
+	}),
+	task: z.string(),
+	output: z.string(),
+});
+
+// POST /tools body, one variant per tool so arguments are checked against that tool's schema
+export function toolExecutionRequestSchema(tools) {
+	const variants = Object.entries(tools).map(([name, tool]) =>
+		z
+			.object({
+				tool: z.literal(name),
+				arguments: tool.inputSchema,
+			})
+			.describe(tool.description)
+	);
+	return z.discriminatedUnion('tool', variants);
+}
+
+export const ToolsListResponse = z.object({
+	success: z.literal(true),
+	tools: z.record(
+		z.string(),
+		z.object({
+			name: z.string(),
+			description: z.string(),
+			inputSchema: z.record(z.string(), z.any()).describe('JSON Schema'),
+		})
+	),
+	totalTools: z.number().int(),
+	usage: z.record(z.string(), z.string()),
+});
+
+export const ToolExecutionResponse = z.object({
+	success: z.literal(true),
+	tool: z.string(),
+	arguments: z.record(z.string(), z.any()),
+	result: z.any(),
+	executionTime: z.string(),
+});
+
+export const SqlApprovalRequest = z.object({
+	statementId: z.string().min(1).describe('The statementId returned by prepare_sql_for_user'),
+	decision: z.enum(['approved', 'rejected']),
+});
+
+export const SqlApprovalResponse = z.object({
+	success: z.literal(true),
+	decision: z.enum(['approved', 'rejected']),
+});
+
+// Conversations
+
+export const ConversationIdParams = z.object({
+	id: z.string().min(1),
+});
+
+export const ConversationMessageParams = z.object({
+	id: z.string().min(1),
+	mid: z.coerce.number().int().positive().describe('Message ID'),
+});
+
+const pageCursor = z.string().max(512).optional().describe('nextCursor or prevCursor from the previous page');
+
+export const ConversationsQuery = z.object({
+	limit: z.coerce.number().int().min(1).max(200).optional().describe('Default 50'),
+	cursor: pageCursor,
+	archived: z.enum(['true', 'false', 'all']).optional().describe('Default false: archived conversations are hidden'),
+	model: z.string().optional().describe('Only conversations started with this provider'),
+	from: dateTimeFilter('Last active at or after (ISO date or datetime)'),
+	to: dateTimeFilter('Last active at or before (ISO date or datetime; a date includes the whole day)'),
+});
+
+export const ConversationSummary = z.object({
+	id: z.string(),
+	title: z.string().nullable(),
+	model: z.string(),
+	archived: z.boolean(),
+	active_message_id: z.number().int().nullable().describe('Last message of the branch that chat continues'),
+	forked_from_conversation_id: z.string().nullable(),
+	forked_from_message_id: z.number().int().nullable(),
+	message_count: z.number().int(),
+	last_message_preview: z.string().nullable(),
+	created_at: timestamp,
+	updated_at: timestamp,
+});
+
+export const ConversationsListResponse = z.object({
+	success: z.literal(true),
+	conversations: z.array(ConversationSummary).describe('Most recently active first'),
+	nextCursor: z.string().nullable().describe('Next page (older conversations)'),
+	prevCursor: z.string().nullable().describe('Previous page (more recently active conversations)'),
+});
+
+export const ConversationUpdateRequest = z
+	.object({
+		title: z.string().trim().min(1).max(AI_CONFIG.TITLES.MAX_LENGTH).nullable().optional().describe('null clears the title'),
+		archived: z.boolean().optional(),
+		activeMessageId: z.number().int().positive().optional().describe('Continue the newest branch through this message'),
+	})
+	.refine((data) => data.title !== undefined || data.archived !== undefined || data.activeMessageId !== undefined, {
+		message: 'Provide title, archived or activeMessageId',
+	});
+
+export const ConversationResponse = z.object({
+	success: z.literal(true),
+	conversation: ConversationSummary,
+});
+
+export const ConversationMessagesQuery = z.object({
+	messageId: z.coerce.number().int().positive().optional().describe('Show the newest branch through this message instead of the active one'),
+	limit: z.coerce.number().int().min(1).max(500).optional().describe('Default 100'),
+	cursor: pageCursor.describe('nextCursor or prevCursor from the previous page; it keeps to the branch it came from'),
+});
+
+export const ConversationMessagesResponse = z.object({
+	success: z.literal(true),
+	conversationId: z.string(),
+	activeMessageId: z.number().int().nullable(),
+	leafMessageId: z.number().int().nullable().describe('Last message of the branch returned'),
+	messages: z
+		.array(
+			z.object({
+				id,
+				parent_id: z.number().int().nullable(),
+				siblings: z.array(z.number().int()).describe('IDs of the alternatives at this point, this message included, oldest first'),
+				role: z.enum(['user', 'assistant', 'system', 'tool']),
+				content: z.string().describe('Message text; for tool rows, the JSON result'),
+				tool_calls: z.any().nullable().describe('Assistant rows: [{ id, name, input }]'),
+				iteration: z.number().int().nullable().describe('Agent loop iteration, from 1'),
+				tool_call_id: z.string().nullable(),
+				tool_name: z.string().nullable(),
+				tool_input: z.any().nullable(),
+				duration_ms: z.number().int().nullable(),
+				error: z.string().nullable(),
+				model: z.string().nullable().describe('Assistant rows: the model that answered'),
+				input_tokens: z.number().int().nullable(),
+				output_tokens: z.number().int().nullable(),
+				cache_read_tokens: z.number().int().nullable(),
+				cache_write_tokens: z.number().int().nullable(),
+				cost_usd: z.number().nullable().describe('Null for other rows and for models without a price'),
+				created_at: timestamp,
+			})
+		)
+		.describe('Oldest first; without a cursor, the newest messages of the branch'),
+	nextCursor: z.string().nullable().describe('Newer messages'),
+	prevCursor: z.string().nullable().describe('Older messages'),
+});
+
+export const ConversationForkRequest = z.object({
+	messageId: z.number().int().positive().optional().describe('Last message to copy; defaults to the end of the active branch'),
+});
+
+export const RegenerateRequest = z.object({
+	content: z.string().min(1).optional().describe('Edited text for the user message; omit to rerun it unchanged'),
+	provider: z.string().optional().describe('Defaults to the provider the conversation started with'),
+	model: z.string().optional(),
+	enableLoop: z.boolean().optional(),
+	maxIterations: z.number().int().min(1).max(AI_CONFIG.CHAT_LOOP.MAX_ITERATIONS).optional(),
+});
+
+export const ConversationSearchQuery = z.object({
+	q: z.string().trim().min(1).max(200).describe('Words to find; the last one also matches as a prefix'),
+	limit: z.coerce.number().int().min(1).max(50).optional().describe('Default 20'),
+});
+
+export const ConversationSearchResponse = z.object({
+	success: z.literal(true),
+	query: z.string(),
+	results: z.array(
+		z.object({
+			conversation_id: z.string(),
+			conversation_title: z.string().nullable(),
+			archived: z.boolean(),
+			message_id: id,
+			role: z.enum(['user', 'assistant', 'system', 'tool']),
+			tool_name: z.string().nullable(),
+			created_at: timestamp,
+			snippet: z.string().describe('HTML-escaped text with matches wrapped in <mark>'),
+			rank: z.number().describe('bm25 score; lower is better'),
+		})
+	),
+});
+
+export const ConversationExportQuery = z.object({
+	format: z.enum(['md', 'json', 'html']).optional().describe('Default md'),
+	save: z.enum(['true', 'false']).optional().describe('Store the export in R2 as one of your files (needs files:write) instead of downloading it'),
+});
+
+// Share links
+
+export const ShareCreateRequest = z.object({
+	expiresInDays: z
+		.number()
+		.int()
+		.min(1)
+		.max(AI_CONFIG.SHARES.MAX_EXPIRES_IN_DAYS)
+		.optional()
+		.describe(`Default ${AI_CONFIG.SHARES.DEFAULT_EXPIRES_IN_DAYS}`),
+	redactToolPayloads: z.boolean().optional().describe('Hide tool inputs, results and errors (SQL and query rows); tool names stay'),
+});
+
+export const Share = z.object({
+	id: z.string(),
+	conversationId: z.string(),
+	conversationTitle: z.string().nullable(),
+	messageId: id.describe('Last message shown; later messages are not shared'),
+	redactToolPayloads: z.boolean(),
+	createdAt: timestamp,
+	expiresAt: timestamp,
+	revokedAt: timestamp.nullable(),
+	active: z.boolean().describe('Not expired or revoked'),
+});
+
+export const ShareIssuedResponse = z.object({
+	success: z.literal(true),
+	token: z.string().describe('Signed share token; shown only once'),
+	url: z.string().describe('Public read-only link: GET /shared/:token'),
+	share: Share,
+});
+
+export const ShareResponse = z.object({
+	success: z.literal(true),
+	share: Share,
+});
+
+export const SharesQuery = z.object({
+	conversationId: z.string().optional(),
+});
+
+export const SharesListResponse = z.object({
+	success: z.literal(true),
+	shares: z.array(Share),
+});
+
+export const ShareIdParams = z.object({
+	id: z.string().min(1),
+});
+
+export const SharedViewParams = z.object({
+	token: z.string().min(1).max(1024),
+});
+
+export const SharedViewQuery = z.object({
+	format: z.enum(['html', 'json']).optional().describe('Default html'),
+});
+
+// Message feedback
+
+const feedbackReason = z.enum(AI_CONFIG.FEEDBACK.REASONS);
+const gradeStatus = z.enum(['pending', 'graded', 'failed']);
+
+export const FeedbackRequest = z
+	.object({
+		rating: z.enum(['up', 'down']),
+		reason: feedbackReason.optional().describe('What was wrong; only with a "down" rating'),
+		comment: z.string().trim().min(1).max(AI_CONFIG.FEEDBACK.COMMENT_MAX_LENGTH).optional(),
+	})
+	.refine((data) => data.rating === 'down' || data.reason === undefined, {
+		message: 'A reason can only be given with a "down" rating',
+	});
+
+export const Feedback = z.object({
+	id,
+	conversationId: z.string(),
+	conversationTitle: z.string().nullable(),
+	messageId: id,
+	messageContent: z.string().nullable().describe('The rated assistant message'),
+	userId: id,
+	username: z.string().nullable(),
+	rating: z.enum(['up', 'down']),
+	reason: feedbackReason.nullable(),
+	comment: z.string().nullable(),
+	gradeStatus: gradeStatus.nullable().describe('Grading of a "down" rated turn; null when not graded'),
+	gradeScore: z.number().nullable().describe('1-10'),
+	grade: GraderResponse.shape.grade.nullable(),
+	gradeError: z.string().nullable(),
+	gradedAt: timestamp.nullable(),
+	createdAt: timestamp,
+	updatedAt: timestamp,
+});
+
+export const FeedbackResponse = z.object({
+	success: z.literal(true),
+	feedback: Feedback,
+});
+
+export const FeedbackQuery = z.object({
+	rating: z.enum(['up', 'down']).optional(),
+	reason: feedbackReason.optional(),
+	userId: z.coerce.number().int().positive().optional(),
+	conversationId: z.string().optional(),
+	gradeStatus: z.union([gradeStatus, z.literal('none')]).optional().describe('"none" for feedback that was not graded'),
+	maxScore: z.coerce.number().min(1).max(10).optional().describe('Only turns graded at or below this score'),
+	from: dateTimeFilter('Submitted at or after (ISO date or datetime)'),
+	to: dateTimeFilter('Submitted at or before (ISO date or datetime; a date includes the whole day)'),
+	before: z.coerce.number().int().optional().describe('Only feedback with a smaller ID (use nextBefore to page)'),
+	limit: z.coerce.number().int().min(1).max(500).optional(),
+});
+
+export const FeedbackListResponse = z.object({
+	success: z.literal(true),
+	feedback: z.array(Feedback),
+	nextBefore: id.nullable(),
+});
+
+// Usage
+
+export const UsageQuery = z.object({
+	userId: z
+		.union([z.literal('all'), z.coerce.number().int().positive()])
+		.optional()
+		.describe('Admins only: another user, or "all" for everyone'),
+	from: dateTimeFilter('Recorded at or after (ISO date or datetime)'),
+	to: dateTimeFilter('Recorded at or before (ISO date or datetime; a date includes the whole day)'),
+	groupBy: z.enum(['user', 'model', 'conversation', 'day']).optional().describe('Default model'),
+});
+
+const UsageTotals = z.object({
+	requests: z.number().int().describe('Agent loop iterations (one LLM call each)'),
+	...TokenCounts,
+	costUsd: z.number(),
+	unpricedRequests: z.number().int().describe('Requests to models without a price, not included in costUsd'),
+});
+
+export const UsageResponse = z.object({
+	success: z.literal(true),
+	userId: id.nullable().describe('Null for userId=all'),
+	from: z.string().nullable(),
+	to: z.string().nullable(),
+	groupBy: z.enum(['user', 'model', 'conversation', 'day']),
+	totals: UsageTotals,
+	groups: z
+		.array(
+			UsageTotals.extend({
+				userId: id.optional(),
+				username: z.string().nullable().optional(),
+				provider: z.string().optional(),
+				model: z.string().optional(),
+				conversationId: z.string().nullable().optional(),
+				title: z.string().nullable().optional(),
+				deleted: z.boolean().optional().describe('The conversation has since been deleted'),
+				day: z.string().optional(),
+			})
+		)
+		.describe('Highest cost first; by date for groupBy=day'),
+});
+
+// Status and health
+
+const BuildInfo = z.object({
+	versionId: z.string().nullable(),
+	versionTag: z.string().nullable(),
+	deployedAt: z.string().nullable(),
+});
+
+export const StatusResponse = z.object({
+	status: z.literal('ok'),
+	message: z.string(),
+	version: z.string(),
+	build: BuildInfo,
+	endpoints: z.record(z.string(), z.string()),
+});
+
+const DependencyCheck = z.object({
+	status: z.enum(['ok', 'error']),
+	latencyMs: z.number().int(),
+	error: z.string().optional(),
+});
+
+export const HealthResponse = z.object({
+	status: z.enum(['ok', 'degraded']),
+	version: z.string(),
+	build: BuildInfo,
+	checks: z.object({ d1: DependencyCheck, r2: DependencyCheck, duckdb: DependencyCheck }),
+	providers: z.record(z.string(), z.object({ status: z.enum(['configured', 'missing']) })),
+});
+
+export const TestFetchResponse = z.object({
+	success: z.boolean(),
+	status: z.number().int().optional(),
+	data: z.string().optional(),
+	error: z.string().optional(),
+});
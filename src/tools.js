@@ -2,6 +2,7 @@ import { evaluate, mean, variance } from "mathjs";
 import { z } from "zod";
 import DatabaseManager from "./db/index.js";
 import { AI_CONFIG, withTimeout } from "./ai-config.js";
+import { logger } from "./utils/logger.js";
 
 // Load knowledge base data
 import knowledgeBaseData from './knowledge-base-data.js';
@@ -10,41 +11,6 @@ function loadKnowledgeBase() {
   return knowledgeBaseData;
 }
 
-// HTML table creation helper
-function createHtmlTable(data, columns) {
-  if (!data || data.length === 0) {
-    return '<div class="no-data">No data available</div>';
-  }
-  
-  let html = '<table class="data-table" style="border-collapse: collapse; width: 100%; margin: 10px 0;">';
-  
-  // Header row
-  html += '<thead><tr style="background-color: #f5f5f5;">';
-  columns.forEach(col => {
-    html += `<th style="border: 1px solid #ddd; padding: 8px; text-align: left; font-weight: bold;">${col}</th>`;
-  });
-  html += '</tr></thead>';
-  
-  // Data rows
-  html += '<tbody>';
-  data.forEach((row, index) => {
-    const bgColor = index % 2 === 0 ? '#ffffff' : '#f9f9f9';
-    html += `<tr style="background-color: ${bgColor};">`;
-    columns.forEach(col => {
-      const value = row[col] !== null && row[col] !== undefined ? row[col] : '';
-      html += `<td style="border: 1px solid #ddd; padding: 8px;">${value}</td>`;
-    });
-    html += '</tr>';
-  });
-  html += '</tbody>';
-  
-  html += '</table>';
-  return html;
-}
-
-
-
-
 // Enhanced SQL Query validation helper with suggestions
 function validateSqlQuery(query) {
   if (!query || typeof query !== 'string') {
@@ -418,9 +384,13 @@ async function executeSqlQuery(query, env = null) {
   }
 }
 
-// Prepare SQL query for user approval
-async function prepareSqlForUser(query, env = null) {
-  
+// Prepare SQL query for user approval. The statement is stored for owner ({ userId, conversationId }) and
+// approved or rejected by its ID, so the decision is recorded against the SQL prepared here.
+async function prepareSqlForUser(query, env = null, owner = null) {
+  if (!owner?.userId || !env?.DB) {
+    return { error: 'Preparing queries for approval needs a signed-in user' };
+  }
+
   try {
     // Validate that this is a modification query
     const trimmedQuery = query.trim().toUpperCase();
@@ -459,15 +429,23 @@ async function prepareSqlForUser(query, env = null) {
       verificationInfo = `\nWarning: Could not verify query - ${verifyErr.message}`;
     }
     
+    const statementId = crypto.randomUUID();
+    await env.DB.prepare('INSERT INTO prepared_sql_statements (id, user_id, conversation_id, statement) VALUES (?, ?, ?, ?)')
+      .bind(statementId, owner.userId, owner.conversationId ?? null, query)
+      .run();
+
     // Return the query for user approval without executing it
     return {
       success: true,
       requiresApproval: true,
       query: query,
+      statementId,
       message: `Query prepared for approval. Click the button below to execute it.${verificationInfo}`,
       approvalButton: {
         text: 'Execute Query',
-        query: query
+        query: query,
+        statementId,
+        recordDecision: 'POST /sql/approvals' // Audit trail for the user's approve/reject decision, by statementId
       }
     };
     
@@ -618,8 +596,9 @@ function formatEntryContent(entry, truncate = false) {
 
 
 
-// Tool factory function to create tools with environment access
-export function createTools(env = null, allowedTools = null) {
+// Tool factory function to create tools with environment access. owner ({ userId, conversationId }) is who
+// the tools run for; prepare_sql_for_user needs it to store the statements it prepares.
+export function createTools(env = null, allowedTools = null, owner = null) {
   const allTools = {
     evaluate_expression: {
       description: "Evaluate a numeric arithmetic expression",
@@ -673,7 +652,7 @@ export function createTools(env = null, allowedTools = null) {
       inputSchema: z.object({
         query: z.string().describe("SQL query to prepare for user approval")
       }),
-      execute: async ({ query }) => await prepareSqlForUser(query, env)
+      execute: async ({ query }) => await prepareSqlForUser(query, env, owner)
     },
     lookup_knowledge_base: {
       description: "Search First Rate Performance knowledge base for definitions, procedures, and technical documentation. Accepts both 'query' and 'search_query' parameters. Use detailed=true for complete content. Perfect for batch_tool parallel searches.",
@@ -803,7 +782,7 @@ export function createTools(env = null, allowedTools = null) {
             message: `Available knowledge base categories: ${categories.map(c => c.displayName).join(', ')}`
           };
         } catch (error) {
-          console.error('Knowledge base categories error:', error);
+          logger.error('kb.categories_error', { error });
           return { error: `Failed to get categories: ${error.message}` };
         }
       }
@@ -864,7 +843,7 @@ export function createTools(env = null, allowedTools = null) {
           };
 
         } catch (error) {
-          console.error('Knowledge base category browse error:', error);
+          logger.error('kb.browse_error', { category, error });
           return { error: `Failed to browse category: ${error.message}` };
         }
       }
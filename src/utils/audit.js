@@ -0,0 +1,37 @@
+// Audit trail for privileged and data-changing operations (append-only audit_events table)
+
+import { logger } from './logger.js';
+
+// The INSERT for one audit event, for callers that must commit it in the same batch as the audited write
+export function prepareAuditEvent(env, request, auth, { action, targetType = null, targetId = null, details = null }) {
+	return env.DB.prepare(`
+      INSERT INTO audit_events (actor_user_id, actor_username, api_key_id, action, target_type, target_id, details, ip_address, user_agent)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+		auth?.user.id ?? null,
+		auth?.user.username ?? null,
+		auth?.apiKeyId ?? null,
+		action,
+		targetType,
+		targetId === null ? null : String(targetId),
+		details ? JSON.stringify(details) : null,
+		request?.headers.get('CF-Connecting-IP') ?? null,
+		request?.headers.get('User-Agent') ?? null
+	);
+}
+
+// Record one audit event. Failures are logged rather than thrown so auditing never
+// turns a completed operation into an error response.
+export async function recordAuditEvent(env, request, auth, event) {
+	const { action } = event;
+	try {
+		await prepareAuditEvent(env, request, auth, event).run();
+	} catch (error) {
+		logger.error('audit.record_failed', { action, error });
+	}
+}
+
+// Bind the request and caller once so handlers can write audit(event)
+export function createAuditor(env, request, auth) {
+	return (event) => recordAuditEvent(env, request, auth, event);
+}
@@ -0,0 +1,135 @@
+import DatabaseManager from '../db/index.js';
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from './errors.js';
+import { generateToken, sha256Hex } from './password.js';
+
+// Read the session token from an Authorization bearer token or the session cookie
+export function getSessionTokenFromRequest(request) {
+	const authHeader = request.headers.get('Authorization');
+	if (authHeader && authHeader.startsWith('Bearer ')) {
+		return authHeader.slice(7).trim() || null;
+	}
+
+	const cookieHeader = request.headers.get('Cookie') || '';
+	for (const cookie of cookieHeader.split(';')) {
+		const [name, ...rest] = cookie.trim().split('=');
+		if (name === AI_CONFIG.AUTH.SESSION_COOKIE_NAME) {
+			return rest.join('=') || null;
+		}
+	}
+
+	return null;
+}
+
+// Build the Set-Cookie header value for a session (pass null to clear it).
+// The cookie has no Max-Age because sliding expiration is tracked server-side.
+export function buildSessionCookie(sessionToken) {
+	const cookie = `${AI_CONFIG.AUTH.SESSION_COOKIE_NAME}=${sessionToken || ''}; Path=/; HttpOnly; Secure; SameSite=Strict`;
+	return sessionToken ? cookie : `${cookie}; Max-Age=0`;
+}
+
+// Create a session row for a verified user and return the token for the client.
+// Only the token's SHA-256 hash is stored, so session listings never expose a usable token.
+export async function createSession(env, user, request) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const sessionToken = generateToken();
+	await db.createSession(
+		await sha256Hex(sessionToken),
+		user,
+		AI_CONFIG.AUTH.SESSION_TTL_HOURS,
+		request.headers.get('User-Agent'),
+		request.headers.get('CF-Connecting-IP')
+	);
+	return sessionToken;
+}
+
+// Resolve an x-api-key header to its owner and scopes
+async function authenticateApiKey(env, apiKey) {
+	const db = new DatabaseManager(env.DB, null, env);
+	const key = await db.getActiveApiKeyByHash(await sha256Hex(apiKey));
+	if (!key || key.is_disabled) return null;
+
+	await db.touchApiKey(key.id);
+
+	return {
+		user: { id: key.user_id, username: key.username, role: key.role },
+		sessionId: null,
+		apiKeyId: key.id,
+		scopes: JSON.parse(key.scopes),
+	};
+}
+
+// Resolve the caller's identity, or null if the request carries no valid session or API key.
+// Sessions carry every scope (scopes: null); API keys only carry the scopes they were issued with.
+export async function authenticateRequest(env, request) {
+	const apiKey = request.headers.get(AI_CONFIG.AUTH.API_KEY_HEADER);
+	if (apiKey) {
+		return await authenticateApiKey(env, apiKey);
+	}
+
+	const sessionToken = getSessionTokenFromRequest(request);
+	if (!sessionToken) return null;
+
+	const db = new DatabaseManager(env.DB, null, env);
+	const session = await db.getActiveSession(await sha256Hex(sessionToken));
+	if (!session) return null;
+
+	await db.extendSession(session.id, AI_CONFIG.AUTH.SESSION_TTL_HOURS, AI_CONFIG.AUTH.SESSION_REFRESH_MINUTES);
+
+	return {
+		user: JSON.parse(session.user_data),
+		sessionId: session.id,
+		apiKeyId: null,
+		scopes: null,
+	};
+}
+
+// Shared middleware: resolve the caller or fail with 401
+export async function requireAuth(env, request) {
+	const auth = await authenticateRequest(env, request);
+	if (!auth) {
+		throw new AIError('Authentication required', AI_CONFIG.ERROR_CODES.UNAUTHORIZED);
+	}
+	return auth;
+}
+
+// Fail with 403 unless the caller has the given role
+export function requireRole(auth, role) {
+	if (auth.user.role !== role) {
+		throw new AIError(`This action requires the ${role} role`, AI_CONFIG.ERROR_CODES.FORBIDDEN, { requiredRole: role });
+	}
+	return auth;
+}
+
+// Fail with 403 if an API key was used without the given scope
+export function requireScope(auth, scope) {
+	if (auth.scopes && !auth.scopes.includes(scope)) {
+		throw new AIError(`API key is missing the ${scope} scope`, AI_CONFIG.ERROR_CODES.FORBIDDEN, { requiredScope: scope });
+	}
+	return auth;
+}
+
+// Fail with 403 unless the caller logged in interactively (account and key management)
+export function requireSession(auth) {
+	if (!auth.sessionId) {
+		throw new AIError('This action requires a login session, not an API key', AI_CONFIG.ERROR_CODES.FORBIDDEN);
+	}
+	return auth;
+}
+
+// Fail with 403 unless the caller owns the resource or is an admin
+export function requireOwnerOrAdmin(auth, ownerId, resource = 'resource') {
+	if (auth.user.role !== 'admin' && Number(ownerId) !== Number(auth.user.id)) {
+		throw new AIError(`You do not have access to this ${resource}`, AI_CONFIG.ERROR_CODES.FORBIDDEN, { resource });
+	}
+	return auth;
+}
+
+// Resolve which user's data to act on: the caller, or (admins only) an explicit ?userId=
+export function resolveTargetUserId(auth, requestedUserId) {
+	if (!requestedUserId || parseInt(requestedUserId) === auth.user.id) {
+		return auth.user.id;
+	}
+	requireRole(auth, 'admin');
+	return parseInt(requestedUserId);
+}
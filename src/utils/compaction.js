@@ -0,0 +1,130 @@
+import { AI_CONFIG } from '../ai-config.js';
+
+// History compaction: the older turns of a long branch are folded into a running summary, so the context
+// replayed to the model stays within a budget. These helpers work on stored message rows, oldest first.
+
+const SQL_TOOLS = ['execute_sql', 'prepare_sql_for_user'];
+
+function textOf(content) {
+	if (Array.isArray(content)) {
+		return content.map((block) => block?.text || '').join(' ');
+	}
+	return content || '';
+}
+
+function clip(text, length) {
+	return text.length > length ? `${text.substring(0, length)}…` : text;
+}
+
+// Keep only the tail of a text, marking that its start was cut
+function keepTail(text, length) {
+	return text.length > length ? `[Earlier turns omitted]\n${text.substring(text.length - length)}` : text;
+}
+
+// Rough token count of stored messages, including tool inputs and results
+export function estimateTokens(messages) {
+	const characters = messages.reduce((total, message) => total + textOf(message.content).length + (message.tool_input?.length || 0), 0);
+	return characters / AI_CONFIG.COMPACTION.CHARS_PER_TOKEN;
+}
+
+// Where to cut a branch for compaction: messages before the returned index are summarised, the rest stay
+// verbatim. The kept part is the longest run of whole turns (starting at a user message) within
+// KEEP_RECENT_TOKENS; when even the latest turn is larger, everything is summarised.
+export function findCompactionIndex(messages) {
+	let cut = messages.length;
+	let tokens = 0;
+	for (let index = messages.length - 1; index >= 0; index--) {
+		tokens += estimateTokens([messages[index]]);
+		if (tokens > AI_CONFIG.COMPACTION.KEEP_RECENT_TOKENS) {
+			break;
+		}
+		if (messages[index].role === 'user') {
+			cut = index;
+		}
+	}
+	return cut;
+}
+
+// The figures a tool result contributed: SQL row counts and leading rows, expression results and errors
+function describeToolResult(content) {
+	let parsed;
+	try {
+		parsed = JSON.parse(content);
+	} catch {
+		return clip(content || '', 500);
+	}
+
+	if (parsed?.error) {
+		return `Error: ${parsed.error}`;
+	}
+	if (Array.isArray(parsed?.data)) {
+		const limit = AI_CONFIG.COMPACTION.TOOL_RESULT_ROWS;
+		const count = parsed.rowCount ?? parsed.data.length;
+		const rows = parsed.data.slice(0, limit).map((row) => JSON.stringify(row));
+		return [`${count} row(s)${count > limit ? `, first ${limit} shown` : ''}`, ...rows].join('\n');
+	}
+	if (parsed?.result !== undefined) {
+		return `Result: ${JSON.stringify(parsed.result)}`;
+	}
+	return clip(parsed?.message || JSON.stringify(parsed), 500);
+}
+
+function describeToolCall(message) {
+	let input = {};
+	try {
+		input = JSON.parse(message.tool_input || '{}') || {};
+	} catch {
+		input = { input: message.tool_input };
+	}
+
+	const call = SQL_TOOLS.includes(message.tool_name) && input.query ? `<sql>${input.query}</sql>` : `<input>${clip(JSON.stringify(input), 500)}</input>`;
+	const result = message.error ? `Error: ${message.error}` : describeToolResult(message.content);
+	return `<tool name="${message.tool_name}">\n${call}\n<result>${result}</result>\n</tool>`;
+}
+
+// Stored messages as a turn-by-turn transcript for the summariser. Unlike the chat replay, tool calls keep
+// their SQL and the figures they returned, since later answers often build on them.
+export function buildCompactionTranscript(messages) {
+	const turns = [];
+	for (const message of messages) {
+		if (message.role === 'user' || turns.length === 0) {
+			turns.push([]);
+		}
+		const turn = turns[turns.length - 1];
+		if (message.role === 'tool') {
+			turn.push(describeToolCall(message));
+		} else if (message.role === 'user' || message.role === 'assistant') {
+			const text = textOf(message.content).trim();
+			if (text) {
+				turn.push(`<${message.role}>${text}</${message.role}>`);
+			}
+		}
+	}
+
+	const transcript = turns
+		.filter((turn) => turn.length > 0)
+		.map((turn) => `<turn>\n${turn.join('\n')}\n</turn>`)
+		.join('\n');
+	return keepTail(transcript, AI_CONFIG.COMPACTION.TRANSCRIPT_LENGTH);
+}
+
+// Prompt asking the summariser to fold new turns into the running summary
+export function buildSummaryPrompt(previousSummary, transcript) {
+	return `You maintain the running summary of a conversation between a user and a financial data analysis assistant that answers with SQL queries and a knowledge base. Update the summary with the new turns below so the assistant can continue without them.
+
+Keep: what the user is working on and asked for, the conclusions and answers given, each SQL query whose result was used (verbatim, in a code block) with the key numbers it returned, and open questions or follow-ups. Drop pleasantries and rows nobody relied on. Write concise bullet points and reply with the summary only.
+
+<previous_summary>
+${previousSummary || 'None yet.'}
+</previous_summary>
+
+<new_turns>
+${transcript}
+</new_turns>`;
+}
+
+// Summary used when no summariser model is available: the previous summary followed by the transcript,
+// trimmed from the start so the latest turns survive
+export function fallbackSummary(previousSummary, transcript) {
+	return keepTail([previousSummary, transcript].filter(Boolean).join('\n\n'), AI_CONFIG.COMPACTION.MAX_SUMMARY_LENGTH);
+}
@@ -0,0 +1,283 @@
+import { escapeHtml, createHtmlTable } from './html.js';
+
+// Render a stored conversation (GET /conversations/:id/export) as Markdown, JSON or self-contained HTML.
+// Messages are conversation_messages rows in order: user turns, one assistant row per agent iteration,
+// and one 'tool' row per tool call with its input and JSON result.
+
+// Results cut to the storage limit are no longer valid JSON and are shown as text
+function parseJson(value) {
+	if (!value) return null;
+	try {
+		return JSON.parse(value);
+	} catch {
+		return null;
+	}
+}
+
+// One section per tool invocation; a batch_tool row expands into the calls it made
+function toolSections(message) {
+	const input = parseJson(message.tool_input);
+	const result = parseJson(message.content);
+
+	if (message.tool_name === 'batch_tool' && Array.isArray(result?.batch_results)) {
+		return result.batch_results.map(({ tool_name, arguments: args, ...output }) => ({
+			name: tool_name,
+			input: args,
+			result: output,
+			raw: null,
+			durationMs: null,
+			error: output.error || null,
+		}));
+	}
+
+	return [
+		{
+			name: message.tool_name,
+			input,
+			result,
+			raw: result ? null : message.content,
+			durationMs: message.duration_ms,
+			error: message.error,
+		},
+	];
+}
+
+// Knowledge base entries a result refers to (search, browse and direct lookups)
+function citations(result) {
+	const entries = result?.entry ? [result.entry] : Array.isArray(result?.results) ? result.results : [];
+	return entries.filter((entry) => entry?.id).map(({ id, title, category }) => ({ id, title, category }));
+}
+
+// SQL rows with their columns, when the result has them
+function queryTable(result) {
+	if (!Array.isArray(result?.data) || result.data.length === 0) return null;
+	const columns = Array.isArray(result.columns) && result.columns.length > 0 ? result.columns : Object.keys(result.data[0]);
+	return { columns, rows: result.data, rowCount: result.rowCount ?? result.data.length };
+}
+
+function speaker(message) {
+	if (message.role === 'assistant') {
+		return message.iteration ? `Assistant (iteration ${message.iteration})` : 'Assistant';
+	}
+	return message.role === 'user' ? 'User' : 'System';
+}
+
+// Markdown
+
+function markdownCell(value) {
+	const text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+	return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function markdownTool(section) {
+	const lines = [`#### Tool: ${section.name}${section.durationMs !== null && section.durationMs !== undefined ? ` (${section.durationMs} ms)` : ''}`, ''];
+
+	if (section.input && Object.keys(section.input).length > 0) {
+		lines.push('Input:', '', '```json', JSON.stringify(section.input, null, 2), '```', '');
+	}
+
+	const table = queryTable(section.result);
+	if (table) {
+		lines.push(`| ${table.columns.map(markdownCell).join(' | ')} |`, `| ${table.columns.map(() => '---').join(' | ')} |`);
+		table.rows.forEach((row) => lines.push(`| ${table.columns.map((col) => markdownCell(row[col])).join(' | ')} |`));
+		lines.push('', `_${table.rows.length} of ${table.rowCount} rows shown._`, '');
+	}
+
+	const sources = citations(section.result);
+	if (sources.length > 0) {
+		lines.push('Sources:', '');
+		sources.forEach((source) => lines.push(`- **${source.title || source.id}** (\`${source.id}\`${source.category ? `, ${source.category}` : ''})`));
+		lines.push('');
+	}
+
+	if (section.error) {
+		lines.push(`> Error: ${section.error}`, '');
+	} else if (!table && sources.length === 0) {
+		const text = section.result?.message || section.raw;
+		if (text) lines.push(`> ${String(text).replace(/\n/g, '\n> ')}`, '');
+	}
+
+	return lines.join('\n');
+}
+
+function renderMarkdown(conversation, messages, exportedAt) {
+	const parts = [
+		`# ${conversation.title || 'Untitled conversation'}`,
+		'',
+		`- Conversation: \`${conversation.id}\``,
+		`- Model: ${conversation.model}`,
+		`- Started: ${conversation.created_at}`,
+		`- Exported: ${exportedAt}`,
+		'',
+	];
+
+	for (const message of messages) {
+		if (message.role === 'tool') {
+			toolSections(message).forEach((section) => parts.push(markdownTool(section)));
+			continue;
+		}
+		if (!message.content) continue;
+		parts.push('---', '', `### ${speaker(message)} · ${message.created_at}`, '', message.content, '');
+	}
+
+	return parts.join('\n');
+}
+
+// JSON
+
+// The message fields a JSON export contains; anything else on a row (such as joined usage) is left out
+const JSON_MESSAGE_FIELDS = ['id', 'parent_id', 'role', 'content', 'tool_calls', 'iteration', 'tool_call_id', 'tool_name', 'tool_input', 'duration_ms', 'error', 'created_at'];
+
+function renderJson(conversation, messages, exportedAt) {
+	return JSON.stringify(
+		{
+			conversation,
+			exportedAt,
+			messages: messages.map((message) => ({
+				...Object.fromEntries(JSON_MESSAGE_FIELDS.map((field) => [field, message[field] ?? null])),
+				tool_calls: parseJson(message.tool_calls),
+				tool_input: parseJson(message.tool_input),
+				content: message.role === 'tool' ? (parseJson(message.content) ?? message.content) : message.content,
+			})),
+		},
+		null,
+		2
+	);
+}
+
+// HTML
+
+function htmlTool(section) {
+	let html = `<div class="tool"><div class="tool-name">Tool: ${escapeHtml(section.name)}`;
+	if (section.durationMs !== null && section.durationMs !== undefined) {
+		html += ` <span class="meta">${escapeHtml(section.durationMs)} ms</span>`;
+	}
+	html += '</div>';
+
+	if (section.input && Object.keys(section.input).length > 0) {
+		html += `<pre class="input">${escapeHtml(JSON.stringify(section.input, null, 2))}</pre>`;
+	}
+
+	const table = queryTable(section.result);
+	if (table) {
+		html += createHtmlTable(table.rows, table.columns);
+		html += `<div class="meta">${table.rows.length} of ${table.rowCount} rows shown</div>`;
+	}
+
+	const sources = citations(section.result);
+	if (sources.length > 0) {
+		html += '<div class="sources">Sources:<ul>';
+		sources.forEach((source) => {
+			html += `<li><strong>${escapeHtml(source.title || source.id)}</strong> <code>${escapeHtml(source.id)}</code>${source.category ? ` ${escapeHtml(source.category)}` : ''}</li>`;
+		});
+		html += '</ul></div>';
+	}
+
+	if (section.error) {
+		html += `<div class="error">Error: ${escapeHtml(section.error)}</div>`;
+	} else if (!table && sources.length === 0) {
+		const text = section.result?.message || section.raw;
+		if (text) html += `<pre class="result">${escapeHtml(text)}</pre>`;
+	}
+
+	return `${html}</div>`;
+}
+
+const HTML_STYLE = `
+	body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+	.meta { color: #777; font-size: 0.85em; }
+	.turn { border-top: 1px solid #ddd; padding: 1rem 0; }
+	.turn h3 { margin: 0 0 0.5rem; font-size: 1em; }
+	.text { white-space: pre-wrap; margin: 0; font-family: inherit; }
+	.tool { background: #f7f7f9; border-left: 3px solid #8a8fd1; padding: 0.5rem 1rem; margin: 0.5rem 0; }
+	.tool-name { font-weight: bold; }
+	pre.input, pre.result { background: #fff; border: 1px solid #e3e3e8; padding: 0.5rem; overflow-x: auto; white-space: pre-wrap; }
+	.data-table { border-collapse: collapse; width: 100%; margin: 10px 0; }
+	.data-table th, .data-table td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; }
+	.data-table th { background: #f0f0f0; }
+	.error { color: #b00020; }
+`;
+
+function renderHtml(conversation, messages, exportedAt) {
+	const title = escapeHtml(conversation.title || 'Untitled conversation');
+	let body = `<h1>${title}</h1>`;
+	body += `<p class="meta">Conversation ${escapeHtml(conversation.id)} · ${escapeHtml(conversation.model)} · started ${escapeHtml(conversation.created_at)} · exported ${escapeHtml(exportedAt)}</p>`;
+
+	for (const message of messages) {
+		if (message.role === 'tool') {
+			body += toolSections(message).map(htmlTool).join('');
+			continue;
+		}
+		if (!message.content) continue;
+		body += `<div class="turn ${escapeHtml(message.role)}"><h3>${escapeHtml(speaker(message))} <span class="meta">${escapeHtml(message.created_at)}</span></h3>`;
+		body += `<pre class="text">${escapeHtml(message.content)}</pre></div>`;
+	}
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>${body}</body>
+</html>`;
+}
+
+// Text taken from tool calls that can turn up in assistant content: the chat loop appends result messages
+// and tool errors to the reply, and the model may quote the SQL it ran
+function toolPayloadTexts(messages) {
+	const texts = new Set();
+	for (const message of messages.filter(({ role }) => role === 'tool')) {
+		const input = parseJson(message.tool_input);
+		const result = parseJson(message.content);
+		// Other tools' 'query' is a knowledge base search term, not a payload
+		const queries = message.tool_name?.includes('sql') ? [input?.query, input?.sql, result?.query] : [];
+		[message.error, result?.message, result?.error, ...queries]
+			.filter((text) => typeof text === 'string' && text.trim().length > 0)
+			.forEach((text) => texts.add(text.trim()));
+	}
+	return [...texts];
+}
+
+// Assistant text without code blocks and without paragraphs that repeat a tool payload
+function redactAssistantContent(content, payloadTexts) {
+	return (content || '')
+		.replace(/```[\s\S]*?(```|$)/g, '')
+		.split(/\n{2,}/)
+		.filter((paragraph) => {
+			const text = paragraph.trim();
+			return text && !text.startsWith('Tool error:') && !payloadTexts.some((payload) => text.includes(payload));
+		})
+		.join('\n\n');
+}
+
+// For share links that hide query details: drop tool inputs, results and errors, and the parts of assistant
+// replies that repeat them, keeping which tools ran
+export function redactToolPayloads(messages) {
+	const payloadTexts = toolPayloadTexts(messages);
+	return messages.map((message) => {
+		if (message.role === 'tool') {
+			return { ...message, content: '', tool_input: null, error: null };
+		}
+		if (message.role !== 'assistant') {
+			return message;
+		}
+		const calls = parseJson(message.tool_calls);
+		return {
+			...message,
+			content: redactAssistantContent(message.content, payloadTexts),
+			tool_calls: calls ? JSON.stringify(calls.map(({ id, name }) => ({ id, name }))) : null,
+		};
+	});
+}
+
+export const EXPORT_FORMATS = {
+	md: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: renderMarkdown },
+	json: { contentType: 'application/json', extension: 'json', render: renderJson },
+	html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: renderHtml },
+};
+
+export function renderConversationExport(format, conversation, messages, exportedAt = new Date().toISOString()) {
+	return EXPORT_FORMATS[format].render(conversation, messages, exportedAt);
+}
@@ -1,28 +1,248 @@
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from './errors.js';
+
 // Helper functions for conversation management
+
+// Load a conversation the user owns; other users' conversations are rejected with 403
+export async function getOwnedConversation(env, conversationId, userId) {
+	const stmt = env.DB.prepare('SELECT * FROM conversations WHERE id = ?');
+	const conversation = await stmt.bind(conversationId).first();
+
+	if (!conversation) {
+		throw new AIError('Conversation not found', AI_CONFIG.ERROR_CODES.NOT_FOUND, { conversationId });
+	}
+	if (Number(conversation.user_id) !== Number(userId)) {
+		throw new AIError('You do not have access to this conversation', AI_CONFIG.ERROR_CODES.FORBIDDEN, { resource: 'conversation' });
+	}
+
+	return conversation;
+}
+
+// Continue the conversation with the client's ID, creating it if there is none yet, or start a new one.
+// Requests racing to create the same ID all insert-or-skip and then check ownership of the row that won,
+// so continuing someone else's conversation is rejected with 403 however the requests interleave.
 export async function createOrGetConversation(env, conversationId, userId, provider) {
+	const id = conversationId || crypto.randomUUID();
+	await env.DB.prepare(`
+    INSERT INTO conversations (id, user_id, model, created_at, updated_at)
+    VALUES (?, ?, ?, datetime('now'), datetime('now'))
+    ON CONFLICT (id) DO NOTHING
+  `)
+		.bind(id, userId, provider || 'groq')
+		.run();
+
 	if (conversationId) {
-		// Check if conversation exists
-		const stmt = env.DB.prepare('SELECT * FROM conversations WHERE id = ?');
-		const existing = await stmt.bind(conversationId).first();
-		if (existing) {
-			return conversationId;
-		}
+		await getOwnedConversation(env, id, userId);
+	}
+	return id;
+}
+
+export const MESSAGE_COLUMNS = 'id, parent_id, role, content, tool_calls, iteration, tool_call_id, tool_name, tool_input, duration_ms, error, created_at';
+
+// Message columns of the rows in a branch CTE; used with FROM branch b JOIN conversation_messages m
+const BRANCH_MESSAGE_SELECT = `
+    SELECT ${MESSAGE_COLUMNS.split(', ').map((column) => `m.${column}`).join(', ')}
+    FROM branch b JOIN conversation_messages m ON m.id = b.id`;
+
+// The same plus the token usage recorded for assistant rows (null for other messages). Only for the owner's
+// message history: exports, shares and model context must not carry spend.
+const BRANCH_MESSAGE_USAGE_SELECT = `
+    SELECT ${MESSAGE_COLUMNS.split(', ').map((column) => `m.${column}`).join(', ')},
+      u.model, u.input_tokens, u.output_tokens, u.cache_read_tokens, u.cache_write_tokens, u.cost_usd
+    FROM branch b JOIN conversation_messages m ON m.id = b.id
+    LEFT JOIN usage_records u ON u.message_id = m.id`;
+
+// The branch ending at leafId, oldest first. Messages link to the one before them with parent_id;
+// a limit keeps only that many of the most recent messages.
+export async function getBranchMessages(env, leafId, limit = null) {
+	if (!leafId) {
+		return [];
 	}
+	const stmt = env.DB.prepare(`
+    WITH RECURSIVE branch(id, depth) AS (
+      SELECT ?, 0
+      UNION ALL
+      SELECT m.parent_id, b.depth + 1
+      FROM branch b JOIN conversation_messages m ON m.id = b.id
+      WHERE m.parent_id IS NOT NULL AND (? IS NULL OR b.depth + 1 < ?)
+    )
+    ${BRANCH_MESSAGE_SELECT}
+    ORDER BY b.depth DESC
+  `);
+	const { results } = await stmt.bind(leafId, limit, limit).all();
+	return results;
+}
 
-	// Create new conversation
-	const newId = conversationId || crypto.randomUUID();
+// One page of the branch ending at leafId, oldest first. A child is always saved after its parent, so IDs
+// increase along a branch: afterId/beforeId bound the page and order picks which end it is taken from.
+export async function getBranchPage(env, leafId, { afterId = null, beforeId = null, order = 'ASC', limit }) {
+	if (!leafId) {
+		return [];
+	}
 	const stmt = env.DB.prepare(`
-    INSERT INTO conversations (id, user_id, model, created_at, updated_at)
-    VALUES (?, ?, ?, datetime('now'), datetime('now'))
+    WITH RECURSIVE branch(id) AS (
+      SELECT ?
+      UNION ALL
+      SELECT m.parent_id
+      FROM branch b JOIN conversation_messages m ON m.id = b.id
+      WHERE m.parent_id IS NOT NULL
+    )
+    ${BRANCH_MESSAGE_USAGE_SELECT}
+    WHERE (? IS NULL OR m.id > ?) AND (? IS NULL OR m.id < ?)
+    ORDER BY m.id ${order === 'DESC' ? 'DESC' : 'ASC'}
+    LIMIT ?
   `);
-	await stmt.bind(newId, userId, provider || 'groq').run();
-	return newId;
+	const { results } = await stmt.bind(leafId, afterId, afterId, beforeId, beforeId, limit).all();
+	return results;
 }
 
-export async function saveMessage(env, conversationId, role, content, toolCalls = null) {
+// Chat context for the branch ending at leafId: the branch's latest running summary (null if it has none) and
+// the messages after it, oldest first, with tool calls parsed
+export async function getBranchSince(env, leafId) {
+	if (!leafId) {
+		return { summary: null, messages: [] };
+	}
+	// The walk towards the root stops at the first message with a summary, which is then the oldest row
 	const stmt = env.DB.prepare(`
-    INSERT INTO conversation_messages (conversation_id, role, content, tool_calls, created_at)
-    VALUES (?, ?, ?, ?, datetime('now'))
+    WITH RECURSIVE branch(id, depth) AS (
+      SELECT ?, 0
+      UNION ALL
+      SELECT m.parent_id, b.depth + 1
+      FROM branch b JOIN conversation_messages m ON m.id = b.id
+      WHERE m.parent_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM conversation_summaries s WHERE s.message_id = m.id)
+    )
+    ${BRANCH_MESSAGE_SELECT}
+    ORDER BY b.depth DESC
   `);
-	await stmt.bind(conversationId, role, content, toolCalls ? JSON.stringify(toolCalls) : null).run();
-}
\ No newline at end of file
+	const { results } = await stmt.bind(leafId).all();
+	const summaryRow = results[0]
+		? await env.DB.prepare('SELECT summary FROM conversation_summaries WHERE message_id = ?').bind(results[0].id).first()
+		: null;
+	const messages = (summaryRow ? results.slice(1) : results).map((message) => ({
+		...message,
+		tool_calls: message.tool_calls ? JSON.parse(message.tool_calls) : null,
+	}));
+	return { summary: summaryRow?.summary ?? null, messages };
+}
+
+// Store a running summary of the branch up to and including messageId
+export async function saveBranchSummary(env, conversationId, messageId, summary) {
+	await env.DB.prepare(`
+    INSERT INTO conversation_summaries (message_id, conversation_id, summary, created_at)
+    VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT (message_id) DO UPDATE SET summary = excluded.summary, created_at = excluded.created_at
+  `)
+		.bind(messageId, conversationId, summary)
+		.run();
+}
+
+// Parent to child links for every message in a conversation; root messages are under null
+export async function getMessageTree(env, conversationId) {
+	const { results } = await env.DB.prepare('SELECT id, parent_id FROM conversation_messages WHERE conversation_id = ? ORDER BY id')
+		.bind(conversationId)
+		.all();
+	const children = new Map();
+	for (const { id, parent_id } of results) {
+		const key = parent_id ?? null;
+		children.set(key, [...(children.get(key) || []), id]);
+	}
+	return { ids: new Set(results.map(({ id }) => id)), children };
+}
+
+// Point the conversation at the message that the next saved message will follow
+export async function setActiveMessage(env, conversationId, messageId) {
+	await env.DB.prepare('UPDATE conversations SET active_message_id = ? WHERE id = ?').bind(messageId, conversationId).run();
+}
+
+// Append a message to the active branch: its parent is the conversation's active message, it becomes
+// the active message and the conversation's updated_at moves to now. Assistant rows carry their loop
+// iteration and tool calls, plus the iteration's token usage ({ userId, provider, model, inputTokens,
+// outputTokens, cacheReadTokens, cacheWriteTokens, costUsd }) as a usage_records row; 'tool' rows hold
+// one tool call's input, result (as content), duration and error.
+function messageStatements(env, conversationId, role, content, options = {}) {
+	const { toolCalls = null, iteration = null, toolCallId = null, toolName = null, toolInput = null, durationMs = null, error = null, usage = null } =
+		options;
+	const statements = [
+		env.DB.prepare(`
+    INSERT INTO conversation_messages (conversation_id, parent_id, role, content, tool_calls, iteration, tool_call_id, tool_name, tool_input, duration_ms, error, created_at)
+    VALUES (?, (SELECT active_message_id FROM conversations WHERE id = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+  `).bind(
+			conversationId,
+			conversationId,
+			role,
+			content,
+			toolCalls ? JSON.stringify(toolCalls) : null,
+			iteration,
+			toolCallId,
+			toolName,
+			toolInput === null ? null : JSON.stringify(toolInput),
+			durationMs,
+			error
+		),
+		env.DB.prepare("UPDATE conversations SET active_message_id = last_insert_rowid(), updated_at = datetime('now') WHERE id = ?").bind(
+			conversationId
+		),
+	];
+
+	if (usage) {
+		statements.push(
+			env.DB.prepare(`
+    INSERT INTO usage_records (user_id, conversation_id, message_id, provider, model, input_tokens, output_tokens, cache_read_tokens, cache_write_tokens, cost_usd, created_at)
+    VALUES (?, ?, (SELECT active_message_id FROM conversations WHERE id = ?), ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+  `).bind(
+				usage.userId,
+				conversationId,
+				conversationId,
+				usage.provider,
+				usage.model,
+				usage.inputTokens,
+				usage.outputTokens,
+				usage.cacheReadTokens,
+				usage.cacheWriteTokens,
+				usage.costUsd
+			)
+		);
+	}
+	return statements;
+}
+
+export async function saveMessage(env, conversationId, role, content, options = {}) {
+	await env.DB.batch(messageStatements(env, conversationId, role, content, options));
+}
+
+// Save an iteration's messages in one batch so they are stored together and in order
+export async function saveMessages(env, conversationId, messages) {
+	await env.DB.batch(messages.flatMap(({ role, content, ...options }) => messageStatements(env, conversationId, role, content, options)));
+}
+
+// Turn free text into an FTS5 query: every word must match, the last one as a prefix.
+// Quoting each word keeps FTS5 operators and punctuation in the input from being interpreted.
+export function buildSearchQuery(text) {
+	const words = String(text ?? '')
+		.split(/\s+/)
+		.map((word) => word.replace(/"/g, ''))
+		.filter((word) => word.length > 0);
+	return words.map((word, index) => (index === words.length - 1 ? `"${word}"*` : `"${word}"`)).join(' ');
+}
+
+// Clean up a model-generated or user-supplied title: one line, no wrapping quotes, bounded length
+export function normalizeTitle(text) {
+	const title = String(text ?? '')
+		.split('\n')
+		.map((line) => line.trim())
+		.find((line) => line.length > 0) ?? '';
+	const cleaned = title
+		.replace(/^title:\s*/i, '')
+		.replace(/^["'`*]+|["'`*.]+$/g, '')
+		.trim();
+	if (cleaned.length <= AI_CONFIG.TITLES.MAX_LENGTH) {
+		return cleaned;
+	}
+	return `${cleaned.substring(0, AI_CONFIG.TITLES.MAX_LENGTH - 1).trimEnd()}…`;
+}
+
+// Set the title only if the conversation has none, so a rename is never overwritten
+export async function setTitleIfMissing(env, conversationId, title) {
+	const result = await env.DB.prepare('UPDATE conversations SET title = ? WHERE id = ? AND title IS NULL').bind(title, conversationId).run();
+	return result.meta?.changes > 0;
+}
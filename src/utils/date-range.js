@@ -0,0 +1,21 @@
+// The from/to filters of list and rollup endpoints. Both are validated as an ISO date or datetime (see
+// dateTimeFilter in schemas.js); a date alone as `to` covers that whole day, so to=2026-01-31 includes Jan 31.
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// SQL conditions and their bindings limiting column to the from/to range
+export function dateRangeConditions(column, { from, to }) {
+	const conditions = [];
+	const bindings = [];
+
+	if (from) {
+		conditions.push(`${column} >= datetime(?)`);
+		bindings.push(from);
+	}
+	if (to) {
+		conditions.push(DATE_ONLY.test(to) ? `${column} < datetime(?, '+1 day')` : `${column} <= datetime(?)`);
+		bindings.push(to);
+	}
+
+	return { conditions, bindings };
+}
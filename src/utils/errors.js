@@ -0,0 +1,68 @@
+import { AI_CONFIG } from '../ai-config.js';
+
+// Centralized error handling
+export class AIError extends Error {
+	constructor(message, code, details = {}) {
+		super(message);
+		this.name = 'AIError';
+		this.code = code;
+		this.details = details;
+		this.timestamp = new Date().toISOString();
+	}
+
+	toJSON() {
+		return {
+			name: this.name,
+			message: this.message,
+			code: this.code,
+			details: this.details,
+			timestamp: this.timestamp
+		};
+	}
+
+	// Every error response uses this envelope: { error, code, details, requestId }
+	toResponse(requestId = null) {
+		const status = this.getHttpStatus();
+		const headers = { 'Content-Type': 'application/json' };
+		if (this.details.retryAfterSeconds) {
+			headers['Retry-After'] = String(this.details.retryAfterSeconds);
+		}
+		return new Response(JSON.stringify({
+			error: this.message,
+			code: this.code,
+			details: this.details,
+			requestId
+		}), {
+			status,
+			headers
+		});
+	}
+
+	getHttpStatus() {
+		switch (this.code) {
+			case AI_CONFIG.ERROR_CODES.MISSING_INPUT:
+			case AI_CONFIG.ERROR_CODES.VALIDATION_ERROR:
+			case AI_CONFIG.ERROR_CODES.SQL_SYNTAX_ERROR:
+				return 400;
+			case AI_CONFIG.ERROR_CODES.API_KEY_MISSING:
+			case AI_CONFIG.ERROR_CODES.UNAUTHORIZED:
+			case AI_CONFIG.ERROR_CODES.INVALID_CREDENTIALS:
+				return 401;
+			case AI_CONFIG.ERROR_CODES.FORBIDDEN:
+				return 403;
+			case AI_CONFIG.ERROR_CODES.TOOL_NOT_FOUND:
+			case AI_CONFIG.ERROR_CODES.NOT_FOUND:
+				return 404;
+			case AI_CONFIG.ERROR_CODES.METHOD_NOT_ALLOWED:
+				return 405;
+			case AI_CONFIG.ERROR_CODES.CONFLICT:
+				return 409;
+			case AI_CONFIG.ERROR_CODES.RATE_LIMITED:
+				return 429;
+			case AI_CONFIG.ERROR_CODES.API_ERROR:
+				return 502;
+			default:
+				return 500;
+		}
+	}
+}
@@ -0,0 +1,38 @@
+// Helpers for building HTML from untrusted values (conversation exports)
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(value) {
+	return String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+// Render rows as an HTML table; every header and cell is escaped
+export function createHtmlTable(data, columns) {
+	if (!data || data.length === 0) {
+		return '<div class="no-data">No data available</div>';
+	}
+
+	let html = '<table class="data-table">';
+
+	// Header row
+	html += '<thead><tr>';
+	columns.forEach((col) => {
+		html += `<th>${escapeHtml(col)}</th>`;
+	});
+	html += '</tr></thead>';
+
+	// Data rows
+	html += '<tbody>';
+	data.forEach((row) => {
+		html += '<tr>';
+		columns.forEach((col) => {
+			const value = row[col] !== null && row[col] !== undefined ? row[col] : '';
+			html += `<td>${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}</td>`;
+		});
+		html += '</tr>';
+	});
+	html += '</tbody>';
+
+	html += '</table>';
+	return html;
+}
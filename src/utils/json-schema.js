@@ -0,0 +1,86 @@
+// Convert a zod (v3) schema to JSON Schema for tool definitions and the OpenAPI document.
+// Covers the zod types used in this repo; anything else falls back to an unconstrained schema.
+export function zodToJsonSchema(schema) {
+	if (!schema || !schema._def) {
+		return {};
+	}
+
+	const def = schema._def;
+	const json = convertDef(schema, def);
+	if (def.description && !json.description) {
+		json.description = def.description;
+	}
+	return json;
+}
+
+function convertDef(schema, def) {
+	switch (def.typeName) {
+		case 'ZodString':
+			return withChecks({ type: 'string' }, def.checks, { min: 'minLength', max: 'maxLength' });
+		case 'ZodNumber': {
+			const isInt = (def.checks || []).some((check) => check.kind === 'int');
+			return withChecks({ type: isInt ? 'integer' : 'number' }, def.checks, { min: 'minimum', max: 'maximum' });
+		}
+		case 'ZodBoolean':
+			return { type: 'boolean' };
+		case 'ZodNull':
+			return { type: 'null' };
+		case 'ZodLiteral':
+			return { const: def.value };
+		case 'ZodEnum':
+			return { type: 'string', enum: [...def.values] };
+		case 'ZodArray': {
+			const json = { type: 'array', items: zodToJsonSchema(def.type) };
+			if (def.minLength) json.minItems = def.minLength.value;
+			if (def.maxLength) json.maxItems = def.maxLength.value;
+			return json;
+		}
+		case 'ZodObject':
+			return convertObject(schema);
+		case 'ZodRecord':
+			return { type: 'object', additionalProperties: zodToJsonSchema(def.valueType) };
+		case 'ZodUnion':
+		case 'ZodDiscriminatedUnion':
+			return { oneOf: [...def.options.values()].map(zodToJsonSchema) };
+		case 'ZodOptional':
+			return zodToJsonSchema(def.innerType);
+		case 'ZodNullable': {
+			const inner = zodToJsonSchema(def.innerType);
+			return inner.type ? { ...inner, type: [inner.type, 'null'].flat() } : { anyOf: [inner, { type: 'null' }] };
+		}
+		case 'ZodDefault':
+			return { ...zodToJsonSchema(def.innerType), default: def.defaultValue() };
+		case 'ZodEffects':
+			return zodToJsonSchema(def.schema);
+		default:
+			return {};
+	}
+}
+
+function withChecks(json, checks = [], names) {
+	for (const check of checks) {
+		if (check.kind === 'min') json[names.min] = check.value;
+		if (check.kind === 'max') json[names.max] = check.value;
+		if (check.kind === 'email') json.format = 'email';
+		if (check.kind === 'datetime') json.format = 'date-time';
+	}
+	return json;
+}
+
+function convertObject(schema) {
+	const properties = {};
+	const required = [];
+
+	for (const [key, value] of Object.entries(schema.shape)) {
+		properties[key] = zodToJsonSchema(value);
+		if (!value.isOptional()) {
+			required.push(key);
+		}
+	}
+
+	const json = { type: 'object', properties };
+	if (required.length > 0) {
+		json.required = required;
+	}
+	return json;
+}
@@ -0,0 +1,72 @@
+import { AI_CONFIG } from '../ai-config.js';
+
+// Structured logger: one JSON object per line so Workers Logs can index the fields.
+// Request-scoped loggers are created by the router and carry requestId and userId;
+// handlers add conversationId with child(). Code without a request uses `logger`.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MAX_DEPTH = 6;
+
+function getMinLevel(env) {
+	const level = (env?.LOG_LEVEL || AI_CONFIG.LOGGING.LEVEL).toLowerCase();
+	return LEVELS[level] ?? LEVELS.info;
+}
+
+const redactFields = new Set(AI_CONFIG.LOGGING.REDACT_FIELDS.map((field) => field.toLowerCase()));
+
+// Replace configured fields (at any depth) and serialize errors without losing their message
+function sanitize(value, depth = 0) {
+	if (value instanceof Error) {
+		return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+	}
+	if (value === null || typeof value !== 'object') {
+		return value;
+	}
+	if (depth >= MAX_DEPTH) {
+		return '[Truncated]';
+	}
+	if (Array.isArray(value)) {
+		return value.map((item) => sanitize(item, depth + 1));
+	}
+
+	const result = {};
+	for (const [key, item] of Object.entries(value)) {
+		result[key] = redactFields.has(key.toLowerCase()) ? '[REDACTED]' : sanitize(item, depth + 1);
+	}
+	return result;
+}
+
+export function createLogger(env = null, fields = {}) {
+	const minLevel = getMinLevel(env);
+
+	function write(level, event, data = {}) {
+		if (LEVELS[level] < minLevel) return;
+
+		const line = JSON.stringify({
+			timestamp: new Date().toISOString(),
+			level,
+			event,
+			...sanitize({ ...fields, ...data }),
+		});
+
+		if (level === 'error') {
+			console.error(line);
+		} else if (level === 'warn') {
+			console.warn(line);
+		} else {
+			console.log(line);
+		}
+	}
+
+	return {
+		debug: (event, data) => write('debug', event, data),
+		info: (event, data) => write('info', event, data),
+		warn: (event, data) => write('warn', event, data),
+		error: (event, data) => write('error', event, data),
+		// New logger with extra fields on every line, e.g. { conversationId }
+		child: (extra) => createLogger(env, { ...fields, ...extra }),
+	};
+}
+
+// Logger for code that runs outside a request (scheduled jobs, shared utilities)
+export const logger = createLogger();
@@ -0,0 +1,62 @@
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from './errors.js';
+import { toBase64Url, fromBase64Url } from './signing.js';
+
+// Keyset pagination with opaque cursors. A cursor holds the direction of travel and the sort key of the
+// row the page continues from; clients pass nextCursor or prevCursor back unchanged as ?cursor=.
+
+function parseCursor(cursor) {
+	try {
+		return JSON.parse(new TextDecoder().decode(fromBase64Url(cursor)));
+	} catch {
+		return null;
+	}
+}
+
+export function encodeCursor(direction, key) {
+	return toBase64Url(new TextEncoder().encode(JSON.stringify({ d: direction, k: key })));
+}
+
+// Returns { direction: 'next' | 'prev', key }, or null without a cursor. keyTypes maps each field the
+// endpoint's key must have to its type, 'string' or 'number', so a cursor from another endpoint or with a
+// value of the wrong type is rejected rather than misread.
+export function decodeCursor(cursor, keyTypes) {
+	if (!cursor) {
+		return null;
+	}
+	const decoded = parseCursor(cursor);
+	const key = decoded?.k;
+	// Key values are bound into SQL, so numbers must also be finite
+	const isKeyValue = (value, type) => typeof value === type && (type !== 'number' || Number.isFinite(value));
+	const validKey = key && typeof key === 'object' && Object.entries(keyTypes).every(([field, type]) => isKeyValue(key[field], type));
+	if (!validKey || !['next', 'prev'].includes(decoded.d)) {
+		throw new AIError('Invalid cursor', AI_CONFIG.ERROR_CODES.VALIDATION_ERROR, {
+			location: 'query',
+			fields: [{ field: 'cursor', message: 'Pass nextCursor or prevCursor from a previous page unchanged' }],
+		});
+	}
+	return { direction: decoded.d, key: decoded.k };
+}
+
+// Build one page from rows fetched in the direction of travel with LIMIT limit + 1 (the extra row only
+// signals that more follow). 'prev' pages are fetched in reverse and flipped back to display order.
+// fromCursor says whether the page continues from a cursor, i.e. whether rows exist behind it.
+export function paginate(rows, { limit, direction, fromCursor, keyOf }) {
+	const items = rows.slice(0, limit);
+	if (direction === 'prev') {
+		items.reverse();
+	}
+	const hasMore = rows.length > limit;
+	const more = {
+		next: direction === 'next' ? hasMore : fromCursor,
+		prev: direction === 'prev' ? hasMore : fromCursor,
+	};
+	const first = items[0];
+	const last = items[items.length - 1];
+
+	return {
+		items,
+		nextCursor: last && more.next ? encodeCursor('next', keyOf(last)) : null,
+		prevCursor: first && more.prev ? encodeCursor('prev', keyOf(first)) : null,
+	};
+}
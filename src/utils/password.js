@@ -0,0 +1,61 @@
+// Password hashing with PBKDF2 via WebCrypto
+// Stored format: pbkdf2$sha256$<iterations>$<salt base64>$<hash base64>
+
+const PBKDF2_ITERATIONS = 100000; // Workers caps PBKDF2 at 100k iterations
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+function toBase64(bytes) {
+	return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(value) {
+	return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+}
+
+async function deriveBits(password, salt, iterations) {
+	const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+	const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, HASH_BITS);
+	return new Uint8Array(bits);
+}
+
+// Constant-time comparison so verification time does not leak how many bytes matched
+function timingSafeEqual(a, b) {
+	if (a.length !== b.length) return false;
+	let diff = 0;
+	for (let i = 0; i < a.length; i++) {
+		diff |= a[i] ^ b[i];
+	}
+	return diff === 0;
+}
+
+// Random token as hex, for reset tokens and similar one-time secrets
+export function generateToken(bytes = 32) {
+	return [...crypto.getRandomValues(new Uint8Array(bytes))].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// SHA-256 hex digest, for storing high-entropy tokens (no KDF needed)
+export async function sha256Hex(value) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+	return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function hashPassword(password) {
+	const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+	const hash = await deriveBits(password, salt, PBKDF2_ITERATIONS);
+	return `pbkdf2$sha256$${PBKDF2_ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+export async function verifyPassword(password, storedHash) {
+	const parts = (storedHash || '').split('$');
+	if (parts.length !== 5 || parts[0] !== 'pbkdf2' || parts[1] !== 'sha256') {
+		// Unknown format (e.g. the placeholder bcrypt strings in the seed data)
+		return false;
+	}
+
+	const iterations = parseInt(parts[2]);
+	const salt = fromBase64(parts[3]);
+	const expected = fromBase64(parts[4]);
+	const actual = await deriveBits(password, salt, iterations);
+	return timingSafeEqual(actual, expected);
+}
@@ -0,0 +1,174 @@
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from './errors.js';
+
+// Rate limiting backed by D1 so limits hold across isolates.
+// Every caller is limited as a user; API key callers are also limited per key.
+
+function nowSeconds() {
+	return Date.now() / 1000;
+}
+
+function getSubjects(auth) {
+	const subjects = [`user:${auth.user.id}`];
+	if (auth.apiKeyId) {
+		subjects.push(`key:${auth.apiKeyId}`);
+	}
+	return subjects;
+}
+
+// Take one token from a bucket. Returns 0 on success, or the seconds until a token is available.
+async function takeToken(env, bucketKey, requestsPerMinute, capacity) {
+	const rate = requestsPerMinute / 60;
+	const now = nowSeconds();
+
+	// Refill and take in one statement; the upsert's WHERE skips the update (and RETURNING) when empty
+	const taken = await env.DB.prepare(`
+    INSERT INTO rate_limit_buckets (bucket_key, tokens, updated_at)
+    VALUES (?1, ?2 - 1, ?3)
+    ON CONFLICT(bucket_key) DO UPDATE SET
+      tokens = MIN(?2, tokens + (?3 - updated_at) * ?4) - 1,
+      updated_at = ?3
+    WHERE MIN(?2, tokens + (?3 - updated_at) * ?4) >= 1
+    RETURNING tokens
+  `)
+		.bind(bucketKey, capacity, now, rate)
+		.first();
+
+	if (taken) return 0;
+
+	const bucket = await env.DB.prepare('SELECT tokens, updated_at FROM rate_limit_buckets WHERE bucket_key = ?').bind(bucketKey).first();
+	const available = bucket ? Math.min(capacity, bucket.tokens + (now - bucket.updated_at) * rate) : 0;
+	return Math.max(1, Math.ceil((1 - available) / rate));
+}
+
+// Give back a token taken for a request that another bucket then rejected
+async function refundToken(env, bucketKey, capacity) {
+	await env.DB.prepare('UPDATE rate_limit_buckets SET tokens = MIN(?, tokens + 1) WHERE bucket_key = ?').bind(capacity, bucketKey).run();
+}
+
+// Throw 429 if the caller has used up its requests per minute for this route group. A request is charged to
+// every subject or to none, so a throttled API key does not also drain its owner's user bucket.
+export async function enforceRateLimit(env, auth, group) {
+	const limits = AI_CONFIG.RATE_LIMITS[group];
+	const taken = [];
+
+	for (const subject of getSubjects(auth)) {
+		const bucketKey = `${group}:${subject}`;
+		const retryAfterSeconds = await takeToken(env, bucketKey, limits.REQUESTS_PER_MINUTE, limits.BURST);
+		if (retryAfterSeconds > 0) {
+			for (const takenKey of taken) {
+				await refundToken(env, takenKey, limits.BURST);
+			}
+			throw new AIError(`Rate limit exceeded for ${group}`, AI_CONFIG.ERROR_CODES.RATE_LIMITED, {
+				limit: `${limits.REQUESTS_PER_MINUTE} requests per minute`,
+				retryAfterSeconds,
+			});
+		}
+		taken.push(bucketKey);
+	}
+}
+
+// Register an open stream for every subject, or throw 429 if any is at its concurrency limit
+async function acquireStreamSlots(env, auth, maxStreams) {
+	const now = nowSeconds();
+	const staleBefore = now - AI_CONFIG.RATE_LIMITS.STALE_STREAM_SECONDS;
+	const slotIds = [];
+
+	for (const subject of getSubjects(auth)) {
+		const slotId = crypto.randomUUID();
+		const acquired = await env.DB.prepare(`
+      INSERT INTO active_streams (id, subject, started_at)
+      SELECT ?1, ?2, ?3
+      WHERE (SELECT COUNT(*) FROM active_streams WHERE subject = ?2 AND started_at > ?4) < ?5
+      RETURNING id
+    `)
+			.bind(slotId, subject, now, staleBefore, maxStreams)
+			.first();
+
+		if (!acquired) {
+			await releaseStreamSlots(env, slotIds);
+			throw new AIError('Too many concurrent streams', AI_CONFIG.ERROR_CODES.RATE_LIMITED, {
+				limit: `${maxStreams} concurrent streams`,
+				retryAfterSeconds: 5,
+			});
+		}
+		slotIds.push(slotId);
+	}
+
+	return slotIds;
+}
+
+async function releaseStreamSlots(env, slotIds) {
+	for (const slotId of slotIds) {
+		await env.DB.prepare('DELETE FROM active_streams WHERE id = ?').bind(slotId).run();
+	}
+}
+
+// Run a streaming handler inside a concurrency slot that is released when the body finishes or is cancelled
+export async function withStreamSlot(env, ctx, auth, group, handler) {
+	const slotIds = await acquireStreamSlots(env, auth, AI_CONFIG.RATE_LIMITS[group].MAX_CONCURRENT_STREAMS);
+
+	let released = false;
+	const release = () => {
+		if (released) return;
+		released = true;
+		ctx.waitUntil(releaseStreamSlots(env, slotIds));
+	};
+
+	let response;
+	try {
+		response = await handler();
+	} catch (error) {
+		release();
+		throw error;
+	}
+
+	if (!response.body) {
+		release();
+		return response;
+	}
+
+	const reader = response.body.getReader();
+	const body = new ReadableStream({
+		async pull(controller) {
+			try {
+				const { done, value } = await reader.read();
+				if (done) {
+					controller.close();
+					release();
+				} else {
+					controller.enqueue(value);
+				}
+			} catch (error) {
+				controller.error(error);
+				release();
+			}
+		},
+		async cancel(reason) {
+			release();
+			await reader.cancel(reason);
+		},
+	});
+
+	return new Response(body, response);
+}
+
+// Drop stream registrations left behind by isolates that died mid-stream
+export async function cleanupStaleStreams(env) {
+	const staleBefore = nowSeconds() - AI_CONFIG.RATE_LIMITS.STALE_STREAM_SECONDS;
+	const result = await env.DB.prepare('DELETE FROM active_streams WHERE started_at <= ?').bind(staleBefore).run();
+	return result.meta?.changes || 0;
+}
+
+// Router middleware: requests-per-minute limit for a route group
+export function rateLimit(group) {
+	return async (env, request, context, next) => {
+		await enforceRateLimit(env, context.auth, group);
+		return await next();
+	};
+}
+
+// Router middleware: hold a concurrent-stream slot for the lifetime of the response body
+export function concurrencyLimit(group) {
+	return (env, request, context, next) => withStreamSlot(env, context.ctx, context.auth, group, next);
+}
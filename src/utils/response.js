@@ -0,0 +1,7 @@
+// Helpers for building JSON responses
+export function jsonResponse(data, status = 200, headers = {}) {
+	return new Response(JSON.stringify(data), {
+		status,
+		headers: { 'Content-Type': 'application/json', ...headers },
+	});
+}
@@ -0,0 +1,37 @@
+// HMAC-SHA256 signed tokens via WebCrypto, formatted <base64url JSON payload>.<base64url signature>.
+// The payload is readable by anyone holding the token; only the secret can produce a valid signature.
+
+export function toBase64Url(bytes) {
+	return btoa(String.fromCharCode(...bytes))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+export function fromBase64Url(value) {
+	return Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0));
+}
+
+async function importKey(secret) {
+	return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+export async function signToken(secret, payload) {
+	const encoded = toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+	const signature = await crypto.subtle.sign('HMAC', await importKey(secret), new TextEncoder().encode(encoded));
+	return `${encoded}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+// The payload of a token signed with this secret, or null for a malformed or forged token.
+// crypto.subtle.verify compares in constant time.
+export async function verifyToken(secret, token) {
+	const [encoded, signature, ...rest] = String(token).split('.');
+	if (!encoded || !signature || rest.length > 0) return null;
+
+	try {
+		const valid = await crypto.subtle.verify('HMAC', await importKey(secret), fromBase64Url(signature), new TextEncoder().encode(encoded));
+		return valid ? JSON.parse(new TextDecoder().decode(fromBase64Url(encoded))) : null;
+	} catch {
+		return null;
+	}
+}
@@ -0,0 +1,113 @@
+import { AI_CONFIG } from '../ai-config.js';
+
+// Token usage and cost of LLM calls. Input tokens exclude cached prompt tokens, which are counted
+// separately as cache reads (served from the prompt cache) and cache writes (added to it).
+
+export function emptyUsage(model) {
+	return { model, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+}
+
+// The usage block of a parsed stream event, if it has one: Anthropic message_start and message_delta,
+// OpenAI's final chunk (with stream_options.include_usage) and Groq's x_groq
+function streamEventUsage(event) {
+	if (event?.type === 'message_start') {
+		return event.message?.usage;
+	}
+	return event?.usage || event?.x_groq?.usage || null;
+}
+
+// Fold one parsed provider stream event into an iteration's usage. Providers report running totals,
+// so a value replaces the one before it instead of adding to it. A whole non-streamed response works too.
+export function applyStreamUsage(usage, event) {
+	const model = event?.message?.model || event?.model || usage.model;
+	const raw = streamEventUsage(event);
+	if (!raw) {
+		return model === usage.model ? usage : { ...usage, model };
+	}
+
+	// OpenAI-compatible: prompt_tokens includes the cached part
+	if (raw.prompt_tokens !== undefined || raw.completion_tokens !== undefined) {
+		const cached = raw.prompt_tokens_details?.cached_tokens || 0;
+		return {
+			...usage,
+			model,
+			inputTokens: (raw.prompt_tokens || 0) - cached,
+			outputTokens: raw.completion_tokens || 0,
+			cacheReadTokens: cached,
+		};
+	}
+
+	// Anthropic: message_delta may carry only output_tokens
+	return {
+		...usage,
+		model,
+		inputTokens: raw.input_tokens ?? usage.inputTokens,
+		outputTokens: raw.output_tokens ?? usage.outputTokens,
+		cacheReadTokens: raw.cache_read_input_tokens ?? usage.cacheReadTokens,
+		cacheWriteTokens: raw.cache_creation_input_tokens ?? usage.cacheWriteTokens,
+	};
+}
+
+// Prices for a model ID: an exact AI_CONFIG.PRICING key, or else the longest key it starts with
+// (so dated IDs such as claude-3-5-haiku-20241022 use the claude-3-5-haiku entry)
+export function getModelPricing(model) {
+	if (!model) return null;
+	if (AI_CONFIG.PRICING[model]) return AI_CONFIG.PRICING[model];
+
+	const prefix = Object.keys(AI_CONFIG.PRICING)
+		.filter((key) => model.startsWith(key))
+		.sort((a, b) => b.length - a.length)[0];
+	return prefix ? AI_CONFIG.PRICING[prefix] : null;
+}
+
+// Cost in USD, or null when the model has no price
+export function calculateCost(usage) {
+	const pricing = getModelPricing(usage.model);
+	if (!pricing) return null;
+
+	const { input, output, cacheRead = input, cacheWrite = input } = pricing;
+	// Prices are per million tokens
+	return (
+		(usage.inputTokens * input + usage.outputTokens * output + usage.cacheReadTokens * cacheRead + usage.cacheWriteTokens * cacheWrite) /
+		1e6
+	);
+}
+
+// Totals over several iterations; costUsd only counts priced models
+export function sumUsage(usages) {
+	return usages.reduce(
+		(total, usage) => ({
+			inputTokens: total.inputTokens + usage.inputTokens,
+			outputTokens: total.outputTokens + usage.outputTokens,
+			cacheReadTokens: total.cacheReadTokens + usage.cacheReadTokens,
+			cacheWriteTokens: total.cacheWriteTokens + usage.cacheWriteTokens,
+			costUsd: total.costUsd + (usage.costUsd || 0),
+		}),
+		{ inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: 0 }
+	);
+}
+
+// Store the usage of an LLM call made outside the agent loop (titles, summaries, grading). Accounting
+// must not fail the call it is for, so errors are only logged.
+export async function recordUsage(env, { userId, conversationId = null, provider, usage }, log) {
+	try {
+		await env.DB.prepare(`
+        INSERT INTO usage_records (user_id, conversation_id, provider, model, input_tokens, output_tokens, cache_read_tokens, cache_write_tokens, cost_usd, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      `)
+			.bind(
+				userId,
+				conversationId,
+				provider,
+				usage.model,
+				usage.inputTokens,
+				usage.outputTokens,
+				usage.cacheReadTokens,
+				usage.cacheWriteTokens,
+				calculateCost(usage)
+			)
+			.run();
+	} catch (error) {
+		log.warn('usage.record_failed', { provider, model: usage.model, error });
+	}
+}
@@ -0,0 +1,38 @@
+import { AI_CONFIG } from '../ai-config.js';
+import { AIError } from './errors.js';
+
+// Parse data with a zod schema, throwing a 400 with one entry per invalid field
+export function validate(schema, data, location) {
+	const result = schema.safeParse(data);
+	if (result.success) {
+		return result.data;
+	}
+
+	const fields = result.error.issues.map((issue) => ({
+		field: issue.path.join('.') || null,
+		message: issue.message,
+	}));
+	throw new AIError(`Invalid request ${location}`, AI_CONFIG.ERROR_CODES.VALIDATION_ERROR, { location, fields });
+}
+
+// Read and validate a JSON request body
+export async function validateJsonBody(request, schema) {
+	let data;
+	try {
+		data = await request.json();
+	} catch {
+		throw new AIError('Request body must be valid JSON', AI_CONFIG.ERROR_CODES.VALIDATION_ERROR, { location: 'body' });
+	}
+	return validate(schema, data, 'body');
+}
+
+// Read and validate a multipart/form-data request body
+export async function validateFormBody(request, schema) {
+	let formData;
+	try {
+		formData = await request.formData();
+	} catch {
+		throw new AIError('Request body must be multipart/form-data', AI_CONFIG.ERROR_CODES.VALIDATION_ERROR, { location: 'body' });
+	}
+	return validate(schema, Object.fromEntries(formData), 'body');
+}
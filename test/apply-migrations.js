@@ -0,0 +1,4 @@
+import { env, applyD1Migrations } from 'cloudflare:test';
+
+// Runs before each test file; migrations already applied are skipped
+await applyD1Migrations(env.DB, env.TEST_MIGRATIONS);
@@ -0,0 +1,104 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { handleD1Proxy } from '../src/handlers/d1-proxy.js';
+import { handleAuditList, handleSqlApproval } from '../src/handlers/audit.js';
+import { AuditQuery } from '../src/schemas.js';
+import { createTools } from '../src/tools.js';
+import { createOrGetConversation } from '../src/utils/conversation.js';
+import { createLogger } from '../src/utils/logger.js';
+
+const admin = { user: { id: 1, username: 'admin', role: 'admin' }, apiKeyId: null, scopes: null };
+const analyst = { user: { id: 2, username: 'analyst', role: 'user' }, apiKeyId: null, scopes: null };
+
+const auditEvents = async (action) =>
+	(await env.DB.prepare('SELECT * FROM audit_events WHERE action = ? ORDER BY id').bind(action).all()).results.map((event) => ({
+		...event,
+		details: JSON.parse(event.details),
+	}));
+
+describe('Audit log', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('filters events by time, a date-only `to` covering the whole day', async () => {
+		await env.DB.prepare(`
+        INSERT INTO audit_events (action, created_at) VALUES
+          ('range.test', '2025-06-01 23:59:59'), ('range.test', '2025-06-02 00:00:00'),
+          ('range.test', '2025-06-02 23:59:59'), ('range.test', '2025-06-03 00:00:00')
+      `).run();
+
+		const list = async (query) =>
+			(await (await handleAuditList(env, { action: 'range.test', ...query })).json()).events.map(({ created_at }) => created_at);
+		expect(await list({ from: '2025-06-02', to: '2025-06-02' })).toEqual(['2025-06-02 23:59:59', '2025-06-02 00:00:00']);
+		expect(await list({ from: '2025-06-02T12:00:00+02:00', to: '2025-06-03 00:00:00' })).toEqual(['2025-06-03 00:00:00', '2025-06-02 23:59:59']);
+		expect(AuditQuery.safeParse({ to: '2025-06-02; DROP TABLE users' }).success).toBe(false);
+	});
+
+	describe('D1 proxy', () => {
+		const request = new Request('http://example.com/d1-proxy', { method: 'POST' });
+		const command = { query: "COMMAND:UPDATE agentic_workflows SET status = ? WHERE name = 'Daily Portfolio Analysis'", params: ['paused'] };
+		const workflowStatus = async () =>
+			(await env.DB.prepare("SELECT status FROM agentic_workflows WHERE name = 'Daily Portfolio Analysis'").first()).status;
+
+		it('records a command in the same transaction as the write', async () => {
+			const response = await handleD1Proxy(env, request, command, admin, createLogger());
+			expect((await response.json()).meta.changes).toBe(1);
+			expect(await workflowStatus()).toBe('paused');
+
+			const [event] = await auditEvents('d1.command');
+			expect(event).toMatchObject({ actor_user_id: 1, actor_username: 'admin', target_type: 'd1' });
+			expect(event.details).toMatchObject({ statement: command.query.slice('COMMAND:'.length), success: true, paramCount: 1 });
+		});
+
+		it('rolls a command back and fails the request when it cannot be audited', async () => {
+			await env.DB.prepare('ALTER TABLE audit_events RENAME TO audit_events_moved').run();
+
+			const error = await handleD1Proxy(env, request, command, admin, createLogger()).catch((e) => e);
+			expect(error.code).toBe('SQL_SYNTAX_ERROR');
+			expect(await workflowStatus()).toBe('active');
+		});
+	});
+
+	describe('SQL approvals', () => {
+		const request = new Request('http://example.com/sql/approvals', { method: 'POST' });
+
+		async function prepareStatement(query, owner) {
+			// The verification lookups go to the financial data API
+			vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('offline'));
+			return createTools(env, ['prepare_sql_for_user'], owner).prepare_sql_for_user.execute({ query });
+		}
+
+		it('audits the statement the tool prepared, not what the client sends', async () => {
+			const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+			const prepared = await prepareStatement("UPDATE FRPAIR SET NAME = 'Growth Fund' WHERE ACCT = 'A1'", { userId: 2, conversationId });
+			expect(prepared.approvalButton.statementId).toBe(prepared.statementId);
+
+			const body = { statementId: prepared.statementId, decision: 'approved', query: 'SELECT 1' };
+			const response = await handleSqlApproval(env, request, body, analyst);
+			expect(await response.json()).toEqual({ success: true, decision: 'approved' });
+
+			const [event] = await auditEvents('sql.approve');
+			expect(event).toMatchObject({ actor_user_id: 2, target_type: 'conversation', target_id: conversationId });
+			expect(event.details).toEqual({ statementId: prepared.statementId, statement: "UPDATE FRPAIR SET NAME = 'Growth Fund' WHERE ACCT = 'A1'" });
+		});
+
+		it('decides each statement once, and only for the user it was prepared for', async () => {
+			const { statementId } = await prepareStatement("DELETE FROM FRPAIR WHERE ACCT = 'A1'", { userId: 1 });
+
+			const notYours = await handleSqlApproval(env, request, { statementId, decision: 'approved' }, analyst).catch((e) => e);
+			expect(notYours.code).toBe('NOT_FOUND');
+
+			await handleSqlApproval(env, request, { statementId, decision: 'rejected' }, admin);
+			const again = await handleSqlApproval(env, request, { statementId, decision: 'approved' }, admin).catch((e) => e);
+			expect(again.code).toBe('CONFLICT');
+
+			expect(await auditEvents('sql.approve')).toEqual([]);
+			expect(await auditEvents('sql.reject')).toHaveLength(1);
+		});
+
+		it('prepares nothing without a user to prepare it for', async () => {
+			expect(await prepareStatement("DELETE FROM FRPAIR WHERE ACCT = 'A1'", null)).toHaveProperty('error');
+		});
+	});
+});
@@ -0,0 +1,330 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { hashPassword, verifyPassword, sha256Hex } from '../src/utils/password.js';
+import DatabaseManager from '../src/db/index.js';
+import { handleApiKeysList } from '../src/handlers/api-keys.js';
+import { getSessionTokenFromRequest, requireScope, requireSession, requireOwnerOrAdmin } from '../src/utils/auth.js';
+
+// Send a request through the worker, signed in with a session token or API key when given
+async function call(method, path, { token, apiKey, body } = {}) {
+	const headers = {};
+	if (token) headers.Authorization = `Bearer ${token}`;
+	if (apiKey) headers['x-api-key'] = apiKey;
+	if (body) headers['Content-Type'] = 'application/json';
+
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(new Request(`http://example.com${path}`, { method, headers, body: body && JSON.stringify(body) }), env, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+// Add a user with a real PBKDF2 hash (the seeded users' hashes are placeholders) and return their ID
+async function addUser(username, password, role = 'user') {
+	const result = await new DatabaseManager(env.DB, null, env).createUser(username, await hashPassword(password), role);
+	return result.meta.last_row_id;
+}
+
+const login = (username, password) => call('POST', '/auth/login', { body: { username, password } });
+
+const auditReasons = async (action) =>
+	(await env.DB.prepare('SELECT details FROM audit_events WHERE action = ? ORDER BY id').bind(action).all()).results.map(
+		({ details }) => JSON.parse(details).reason
+	);
+
+describe('Authentication', () => {
+	it('hashes and verifies passwords with PBKDF2', async () => {
+		const hash = await hashPassword('correct horse');
+		expect(hash.startsWith('pbkdf2$sha256$')).toBe(true);
+		expect(await verifyPassword('correct horse', hash)).toBe(true);
+		expect(await verifyPassword('wrong horse', hash)).toBe(false);
+	});
+
+	it('rejects legacy placeholder hashes', async () => {
+		expect(await verifyPassword('admin', '$2b$10$example.hash.for.admin.password')).toBe(false);
+	});
+
+	it('reads the session token from a bearer token or cookie', () => {
+		const bearer = new Request('http://example.com', { headers: { Authorization: 'Bearer abc-123' } });
+		const cookie = new Request('http://example.com', { headers: { Cookie: 'theme=dark; rodeo_session=def-456' } });
+		expect(getSessionTokenFromRequest(bearer)).toBe('abc-123');
+		expect(getSessionTokenFromRequest(cookie)).toBe('def-456');
+	});
+
+	it('rejects protected routes without a session', async () => {
+		const request = new Request('http://example.com/conversations');
+		const ctx = createExecutionContext();
+		const response = await worker.fetch(request, env, ctx);
+		await waitOnExecutionContext(ctx);
+
+		expect(response.status).toBe(401);
+		const data = await response.json();
+		expect(data.code).toBe('UNAUTHORIZED');
+	});
+
+	it('limits API keys to their scopes', () => {
+		const keyAuth = { user: { id: 1, role: 'user' }, sessionId: null, apiKeyId: 7, scopes: ['files:read'] };
+		const sessionAuth = { user: { id: 1, role: 'user' }, sessionId: 'abc', apiKeyId: null, scopes: null };
+
+		expect(() => requireScope(keyAuth, 'files:read')).not.toThrow();
+		expect(() => requireScope(keyAuth, 'd1:command')).toThrow(/d1:command/);
+		expect(() => requireScope(sessionAuth, 'd1:command')).not.toThrow();
+		expect(() => requireSession(keyAuth)).toThrow(/login session/);
+	});
+
+	it('restricts resources to their owner or an admin', () => {
+		const owner = { user: { id: 2, role: 'user' } };
+		const other = { user: { id: 3, role: 'user' } };
+		const admin = { user: { id: 1, role: 'admin' } };
+
+		expect(() => requireOwnerOrAdmin(owner, 2, 'file')).not.toThrow();
+		expect(() => requireOwnerOrAdmin(admin, 2, 'file')).not.toThrow();
+		expect(() => requireOwnerOrAdmin(other, 2, 'file')).toThrow(expect.objectContaining({ code: 'FORBIDDEN' }));
+	});
+
+	it('redeems a password reset token only once, even for concurrent requests', async () => {
+		await new DatabaseManager(env.DB, null, env).createPasswordResetToken(2, await sha256Hex('reset-token-123'), 1, 1);
+
+		const reset = async () => {
+			const request = new Request('http://example.com/auth/reset-password', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ token: 'reset-token-123', newPassword: 'a brand new password' }),
+			});
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response.status;
+		};
+
+		const statuses = await Promise.all([reset(), reset()]);
+		expect(statuses.sort()).toEqual([200, 401]);
+	});
+
+	it('lets users list their own API keys by ID but not anyone else\'s', async () => {
+		const analyst = { user: { id: 2, role: 'user' } };
+		const response = await handleApiKeysList(env, { userId: '2' }, analyst);
+		expect(response.status).toBe(200);
+		await expect(handleApiKeysList(env, { userId: '1' }, analyst)).rejects.toMatchObject({ code: 'FORBIDDEN' });
+	});
+
+	describe('login', () => {
+		it('signs in with a stored PBKDF2 hash and signs out again', async () => {
+			const userId = await addUser('portfolio-ops', 'a long enough password');
+
+			const response = await login('portfolio-ops', 'a long enough password');
+			expect(response.status).toBe(200);
+			const { sessionToken, user } = await response.json();
+			expect(user).toEqual({ id: userId, username: 'portfolio-ops', role: 'user' });
+			expect(response.headers.get('Set-Cookie')).toContain(`rodeo_session=${sessionToken}`);
+
+			const me = await call('GET', '/auth/me', { token: sessionToken });
+			expect((await me.json()).user).toMatchObject({ id: userId, username: 'portfolio-ops' });
+
+			expect((await call('POST', '/auth/logout', { token: sessionToken })).status).toBe(200);
+			expect((await call('GET', '/auth/me', { token: sessionToken })).status).toBe(401);
+		});
+
+		it('rejects a wrong password, an unknown user and a disabled account', async () => {
+			const userId = await addUser('portfolio-ops', 'a long enough password');
+
+			const wrong = await login('portfolio-ops', 'not the password');
+			expect(wrong.status).toBe(401);
+			expect((await wrong.json()).code).toBe('INVALID_CREDENTIALS');
+			expect((await login('nobody', 'a long enough password')).status).toBe(401);
+
+			await env.DB.prepare('UPDATE users SET is_disabled = TRUE WHERE id = ?').bind(userId).run();
+			const disabled = await login('portfolio-ops', 'a long enough password');
+			expect(disabled.status).toBe(403);
+			expect((await disabled.json()).error).toBe('Account is disabled');
+
+			expect(await auditReasons('auth.login_failed')).toEqual(['wrong_password', 'unknown_user', 'account_disabled']);
+			expect((await env.DB.prepare('SELECT COUNT(*) AS count FROM sessions WHERE user_id = ?').bind(userId).first()).count).toBe(0);
+		});
+	});
+
+	describe('user management', () => {
+		it('creates, updates and deletes users through the admin API', async () => {
+			const adminId = await addUser('ops-admin', 'a long enough password', 'admin');
+			const { sessionToken: token } = await (await login('ops-admin', 'a long enough password')).json();
+
+			const created = await call('POST', '/admin/users', { token, body: { username: 'new-analyst', password: 'another long password' } });
+			expect(created.status).toBe(201);
+			const { user } = await created.json();
+			expect(user).toMatchObject({ username: 'new-analyst', role: 'user', disabled: false });
+
+			const duplicate = await call('POST', '/admin/users', { token, body: { username: 'new-analyst', password: 'another long password' } });
+			expect(duplicate.status).toBe(409);
+
+			// An update signs the user out so their session picks up the new role
+			const { sessionToken: analystToken } = await (await login('new-analyst', 'another long password')).json();
+			expect((await call('GET', '/admin/users', { token: analystToken })).status).toBe(403);
+			const promoted = await call('PATCH', `/admin/users/${user.id}`, { token, body: { role: 'admin' } });
+			expect((await promoted.json()).user.role).toBe('admin');
+			expect((await call('GET', '/auth/me', { token: analystToken })).status).toBe(401);
+
+			// A reset token lets the user set a password the admin never sees
+			const { resetToken } = await (await call('POST', `/admin/users/${user.id}/reset-password`, { token })).json();
+			await call('POST', '/auth/reset-password', { body: { token: resetToken, newPassword: 'a password of their own' } });
+			expect((await login('new-analyst', 'a password of their own')).status).toBe(200);
+
+			expect((await call('DELETE', `/admin/users/${user.id}`, { token })).status).toBe(200);
+			expect((await call('GET', `/admin/users/${user.id}`, { token })).status).toBe(404);
+
+			const { results } = await env.DB.prepare('SELECT action, target_id FROM audit_events WHERE actor_user_id = ? ORDER BY id').bind(adminId).all();
+			expect(results.filter(({ action }) => action.startsWith('user.'))).toEqual([
+				{ action: 'user.create', target_id: String(user.id) },
+				{ action: 'user.role_change', target_id: String(user.id) },
+				{ action: 'user.password_reset_issued', target_id: String(user.id) },
+				{ action: 'user.delete', target_id: String(user.id) },
+			]);
+		});
+
+		it('stops admins from disabling, demoting or deleting themselves', async () => {
+			const adminId = await addUser('ops-admin', 'a long enough password', 'admin');
+			const { sessionToken: token } = await (await login('ops-admin', 'a long enough password')).json();
+
+			for (const body of [{ role: 'user' }, { disabled: true }]) {
+				const response = await call('PATCH', `/admin/users/${adminId}`, { token, body });
+				expect(response.status).toBe(403);
+			}
+			expect((await call('DELETE', `/admin/users/${adminId}`, { token })).status).toBe(403);
+
+			const admin = await env.DB.prepare('SELECT role, is_disabled FROM users WHERE id = ?').bind(adminId).first();
+			expect(admin).toEqual({ role: 'admin', is_disabled: 0 });
+			expect((await call('GET', '/auth/me', { token })).status).toBe(200);
+		});
+	});
+
+	describe('API keys', () => {
+		it('creates, rotates and revokes keys that work on real requests', async () => {
+			await addUser('report-bot-owner', 'a long enough password');
+			const { sessionToken: token } = await (await login('report-bot-owner', 'a long enough password')).json();
+
+			const created = await call('POST', '/api-keys', { token, body: { name: 'reports', scopes: ['files:read'] } });
+			expect(created.status).toBe(201);
+			const { apiKey, key } = await created.json();
+			expect(apiKey.startsWith(`${key.prefix}_`)).toBe(true);
+			expect((await call('GET', '/files', { apiKey })).status).toBe(200);
+
+			const rotated = await call('POST', `/api-keys/${key.id}/rotate`, { token });
+			expect(rotated.status).toBe(201);
+			const { apiKey: newApiKey, key: newKey } = await rotated.json();
+			expect(newKey).toMatchObject({ name: 'reports', scopes: ['files:read'] });
+			expect((await call('GET', '/files', { apiKey })).status).toBe(401);
+			expect((await call('GET', '/files', { apiKey: newApiKey })).status).toBe(200);
+
+			expect((await call('DELETE', `/api-keys/${newKey.id}`, { token })).status).toBe(200);
+			expect((await call('GET', '/files', { apiKey: newApiKey })).status).toBe(401);
+
+			const { keys } = await (await call('GET', '/api-keys', { token })).json();
+			expect(keys.map(({ id, revokedAt }) => [id, !!revokedAt])).toEqual(
+				expect.arrayContaining([
+					[key.id, true],
+					[newKey.id, true],
+				])
+			);
+		});
+
+		it('limits a key to its scopes and keeps it out of key management', async () => {
+			await addUser('ops-admin', 'a long enough password', 'admin');
+			const { sessionToken: token } = await (await login('ops-admin', 'a long enough password')).json();
+			const { apiKey } = await (await call('POST', '/api-keys', { token, body: { name: 'reader', scopes: ['files:read', 'd1:query'] } })).json();
+
+			const query = await call('POST', '/d1-proxy', { apiKey, body: { query: 'SELECT COUNT(*) AS count FROM users' } });
+			expect(query.status).toBe(200);
+
+			const command = await call('POST', '/d1-proxy', { apiKey, body: { query: "COMMAND:UPDATE users SET role = 'admin'" } });
+			expect(command.status).toBe(403);
+			expect((await command.json()).details).toEqual({ requiredScope: 'd1:command' });
+
+			const chat = await call('GET', '/conversations', { apiKey });
+			expect((await chat.json()).details).toEqual({ requiredScope: 'chat' });
+
+			// Key management needs a login session, whatever scopes a key has
+			const keyCreate = await call('POST', '/api-keys', { apiKey, body: { name: 'escalated', scopes: ['d1:command'] } });
+			expect(keyCreate.status).toBe(403);
+			expect((await env.DB.prepare("SELECT COUNT(*) AS count FROM api_keys WHERE name = 'escalated'").first()).count).toBe(0);
+		});
+	});
+
+	describe('sessions', () => {
+		// Insert a session directly so its timestamps can be set in the past
+		async function addSession(userId, token, { idleMinutes = 0, expiresInMinutes = 60 } = {}) {
+			const id = await sha256Hex(token);
+			await env.DB.prepare(
+				`INSERT INTO sessions (id, user_id, user_data, created_at, updated_at, expires_at)
+				 VALUES (?, ?, ?, datetime('now', ?), datetime('now', ?), datetime('now', ?))`
+			)
+				.bind(id, userId, JSON.stringify({ id: userId, username: 'portfolio-ops', role: 'user' }), `-${idleMinutes} minutes`, `-${idleMinutes} minutes`, `${expiresInMinutes} minutes`)
+				.run();
+			return id;
+		}
+
+		const sessionRow = (id) => env.DB.prepare('SELECT is_active, expires_at, updated_at FROM sessions WHERE id = ?').bind(id).first();
+
+		it('lists and revokes sessions', async () => {
+			await addUser('portfolio-ops', 'a long enough password');
+			const { sessionToken: laptop } = await (await login('portfolio-ops', 'a long enough password')).json();
+			const { sessionToken: phone } = await (await login('portfolio-ops', 'a long enough password')).json();
+			const { sessionToken: tablet } = await (await login('portfolio-ops', 'a long enough password')).json();
+
+			const { sessions } = await (await call('GET', '/auth/sessions', { token: laptop })).json();
+			expect(sessions).toHaveLength(3);
+			expect(sessions.filter(({ current }) => current).map(({ id }) => id)).toEqual([await sha256Hex(laptop)]);
+
+			expect((await call('DELETE', `/auth/sessions/${await sha256Hex(phone)}`, { token: laptop })).status).toBe(200);
+			expect((await call('GET', '/auth/me', { token: phone })).status).toBe(401);
+
+			const revokeAll = await call('DELETE', '/auth/sessions', { token: laptop });
+			expect(await revokeAll.json()).toEqual({ success: true, revoked: 1 });
+			const event = await env.DB.prepare("SELECT details FROM audit_events WHERE action = 'session.revoke_all'").first();
+			expect(JSON.parse(event.details)).toEqual({ revoked: 1 });
+			expect((await call('GET', '/auth/me', { token: tablet })).status).toBe(401);
+			expect((await call('GET', '/auth/me', { token: laptop })).status).toBe(200);
+		});
+
+		it('does not let users revoke someone else\'s session', async () => {
+			const otherId = await addUser('portfolio-ops', 'a long enough password');
+			await addUser('risk-ops', 'a long enough password');
+			const otherSession = await addSession(otherId, 'other-token');
+			const { sessionToken: token } = await (await login('risk-ops', 'a long enough password')).json();
+
+			expect((await call('DELETE', `/auth/sessions/${otherSession}`, { token })).status).toBe(403);
+			expect((await sessionRow(otherSession)).is_active).toBe(1);
+		});
+
+		it('extends a session once it has been idle, and not on every request', async () => {
+			const userId = await addUser('portfolio-ops', 'a long enough password');
+			const idle = await addSession(userId, 'idle-token', { idleMinutes: 20 });
+			const busy = await addSession(userId, 'busy-token', { idleMinutes: 5 });
+			const busyBefore = await sessionRow(busy);
+
+			expect((await call('GET', '/auth/me', { token: 'idle-token' })).status).toBe(200);
+			expect((await call('GET', '/auth/me', { token: 'busy-token' })).status).toBe(200);
+
+			const extended = await env.DB.prepare(
+				"SELECT expires_at > datetime('now', '+23 hours') AS extended, updated_at >= datetime('now', '-1 minutes') AS seen FROM sessions WHERE id = ?"
+			)
+				.bind(idle)
+				.first();
+			expect(extended).toEqual({ extended: 1, seen: 1 });
+			expect(await sessionRow(busy)).toEqual(busyBefore);
+		});
+
+		it('rejects expired sessions and deactivates them on the schedule', async () => {
+			const userId = await addUser('portfolio-ops', 'a long enough password');
+			const expired = await addSession(userId, 'expired-token', { idleMinutes: 120, expiresInMinutes: -1 });
+			const live = await addSession(userId, 'live-token');
+
+			expect((await call('GET', '/auth/me', { token: 'expired-token' })).status).toBe(401);
+
+			const ctx = createExecutionContext();
+			await worker.scheduled({ cron: '0 * * * *', scheduledTime: Date.now() }, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect((await sessionRow(expired)).is_active).toBe(0);
+			expect((await sessionRow(live)).is_active).toBe(1);
+		});
+	});
+});
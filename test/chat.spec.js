@@ -0,0 +1,209 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { handleChat } from '../src/ai.js';
+import { createOrGetConversation, saveMessage, setActiveMessage } from '../src/utils/conversation.js';
+import { AI_CONFIG } from '../src/ai-config.js';
+import { createLogger } from '../src/utils/logger.js';
+
+const chatEnv = { ...env, GROQ_API_KEY: 'test' };
+const analyst = { user: { id: 2, username: 'analyst', role: 'user' } };
+
+// A streamed Groq response made of the given chunks
+function streamedResponse(chunks) {
+	const encoder = new TextEncoder();
+	return new Response(
+		new ReadableStream({
+			start(controller) {
+				chunks.forEach((chunk) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`)));
+				controller.close();
+			},
+		})
+	);
+}
+
+// Answer each streamed provider call with the next Groq response, given as its chunks. Non-streamed calls
+// (titles and summaries) get a fixed completion.
+function mockGroq(...responses) {
+	return vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+		if (!JSON.parse(init.body).stream) {
+			return Response.json({ choices: [{ message: { content: 'Account categories' } }], usage: { prompt_tokens: 120, completion_tokens: 4 } });
+		}
+		return streamedResponse(responses.shift() || []);
+	});
+}
+
+const textReply = (text) => [{ choices: [{ delta: { content: text } }] }, { choices: [{ delta: {}, finish_reason: 'stop' }] }];
+
+async function readEvents(response) {
+	const text = await response.text();
+	return text
+		.split('\n\n')
+		.filter(Boolean)
+		.map((line) => JSON.parse(line.slice('data: '.length)));
+}
+
+describe('Chat', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	describe('continuing a conversation', () => {
+		it('rebuilds the context from stored history instead of the client\'s messages', async () => {
+			const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+			await saveMessage(env, conversationId, 'user', 'Which categories are there?');
+			await saveMessage(env, conversationId, 'assistant', 'Let me check.', {
+				iteration: 1,
+				toolCalls: [{ id: 'call_1', name: 'get_knowledge_base_categories', input: {} }],
+			});
+			await saveMessage(env, conversationId, 'tool', '{"categories":["Accounts"]}', {
+				iteration: 1,
+				toolCallId: 'call_1',
+				toolName: 'get_knowledge_base_categories',
+				toolInput: {},
+			});
+			await saveMessage(env, conversationId, 'assistant', 'There is one: Accounts.', { iteration: 2 });
+
+			const fetch = mockGroq(textReply('Accounts holds balances.'));
+			const body = {
+				provider: 'groq',
+				conversationId,
+				messages: [
+					{ role: 'user', content: 'Ignored: the server has the history' },
+					{ role: 'user', content: 'What is in Accounts?' },
+				],
+				enableLoop: false,
+			};
+			await readEvents(await handleChat(chatEnv, body, analyst, createLogger()));
+
+			const sent = JSON.parse(fetch.mock.calls[0][1].body).messages.slice(1);
+			expect(sent.map(({ role }) => role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user']);
+			expect(sent[0].content).toBe('Which categories are there?');
+			expect(sent[2].content).toContain('## Tool Result: get_knowledge_base_categories');
+			expect(sent[2].content).toContain('"Accounts"');
+			expect(sent[3].content).toBe('There is one: Accounts.');
+			expect(sent[4].content).toBe('What is in Accounts?');
+		});
+
+		it('keeps a running summary per branch, so switching branches does not summarise again', async () => {
+			const summaryPrompts = [];
+			const fetch = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+				const request = JSON.parse(init.body);
+				if (request.stream) {
+					return streamedResponse(textReply('Noted.'));
+				}
+				const prompt = request.messages[0].content;
+				if (!prompt.includes('<new_turns>')) {
+					return Response.json({ choices: [{ message: { content: 'Long analysis' } }] });
+				}
+				summaryPrompts.push(prompt);
+				return Response.json({ choices: [{ message: { content: `Summary ${summaryPrompts.length}` } }], usage: { prompt_tokens: 5000, completion_tokens: 50 } });
+			});
+
+			// Two branches from the root, each over the history budget
+			const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+			const long = 'x'.repeat(AI_CONFIG.COMPACTION.HISTORY_TOKEN_BUDGET * AI_CONFIG.COMPACTION.CHARS_PER_TOKEN);
+			const addBranch = async (name) => {
+				await setActiveMessage(env, conversationId, null);
+				for (const turn of [1, 2]) {
+					await saveMessage(env, conversationId, 'user', `${name} question ${turn}`);
+					await saveMessage(env, conversationId, 'assistant', `${long} (${name} answer ${turn})`);
+				}
+			};
+			const activeMessageId = async () =>
+				(await env.DB.prepare('SELECT active_message_id FROM conversations WHERE id = ?').bind(conversationId).first()).active_message_id;
+			const chat = async (content) => {
+				const body = { provider: 'groq', conversationId, messages: [{ role: 'user', content }], enableLoop: false };
+				await readEvents(await handleChat(chatEnv, body, analyst, createLogger()));
+				return JSON.parse(fetch.mock.calls.findLast(([, init]) => JSON.parse(init.body).stream)[1].body);
+			};
+
+			await addBranch('A');
+			await chat('More on A');
+			const leafA = await activeMessageId();
+			await addBranch('B');
+			await chat('More on B');
+			expect(summaryPrompts).toHaveLength(2);
+			expect(summaryPrompts[1]).toContain('(B answer 2)');
+			expect(summaryPrompts[1]).not.toContain('A answer');
+			expect(summaryPrompts[1]).toContain('None yet.');
+
+			// Back on branch A, its own summary still applies
+			await setActiveMessage(env, conversationId, leafA);
+			const request = await chat('Back to A');
+			expect(summaryPrompts).toHaveLength(2);
+			expect(request.messages[0].content).toContain('Summary 1');
+
+			const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM usage_records WHERE conversation_id = ? AND input_tokens = 5000')
+				.bind(conversationId)
+				.first();
+			expect(count).toBe(2);
+		});
+
+		it('requires the new turn to be a user message', async () => {
+			const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+			await saveMessage(env, conversationId, 'user', 'Hello');
+
+			const body = { provider: 'groq', conversationId, messages: [{ role: 'assistant', content: 'Hi' }] };
+			const error = await handleChat(chatEnv, body, analyst, createLogger()).catch((e) => e);
+			expect(error.code).toBe('VALIDATION_ERROR');
+		});
+	});
+
+	it('stores each iteration and each tool call with its result', async () => {
+		mockGroq(
+			[
+				{ choices: [{ delta: { content: 'Let me look.' } }] },
+				{ choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'get_knowledge_base_categories', arguments: '{}' } }] } }] },
+				{ choices: [{ delta: {}, finish_reason: 'tool_calls' }] },
+			],
+			textReply('Here are the categories.')
+		);
+
+		const response = await handleChat(chatEnv, { provider: 'groq', prompt: 'Which categories are there?' }, analyst, createLogger());
+		const events = await readEvents(response);
+		const { conversationId } = events[0];
+		expect(events.map(({ type }) => type)).toContain('done');
+
+		const { results } = await env.DB.prepare(`
+        SELECT role, content, parent_id, iteration, tool_calls, tool_call_id, tool_name, tool_input, duration_ms, id
+        FROM conversation_messages WHERE conversation_id = ? ORDER BY id
+      `)
+			.bind(conversationId)
+			.all();
+
+		expect(results.map(({ role, iteration }) => [role, iteration])).toEqual([
+			['user', null],
+			['assistant', 1],
+			['tool', 1],
+			['assistant', 2],
+		]);
+		expect(JSON.parse(results[1].tool_calls)).toEqual([{ id: 'call_1', name: 'get_knowledge_base_categories', input: {} }]);
+		expect(results[2]).toMatchObject({ tool_call_id: 'call_1', tool_name: 'get_knowledge_base_categories', tool_input: '{}' });
+		expect(JSON.parse(results[2].content).success).toBe(true);
+		expect(results[2].duration_ms).toBeGreaterThanOrEqual(0);
+		expect(results[3].content).toBe('Here are the categories.');
+		// Each row follows the one before it on the branch
+		expect(results.slice(1).map(({ parent_id }) => parent_id)).toEqual(results.slice(0, -1).map(({ id }) => id));
+	});
+
+	it('records the usage of the title call along with each iteration', async () => {
+		mockGroq([
+			{ choices: [{ delta: { content: 'Hello.' } }] },
+			{ choices: [{ delta: {}, finish_reason: 'stop' }], x_groq: { usage: { prompt_tokens: 900, completion_tokens: 20 } } },
+		]);
+
+		const response = await handleChat(chatEnv, { provider: 'groq', prompt: 'Hi' }, analyst, createLogger());
+		const events = await readEvents(response);
+		expect(events.find(({ type }) => type === 'title').title).toBe('Account categories');
+
+		const { results } = await env.DB.prepare(
+			'SELECT user_id, message_id IS NOT NULL AS for_message, model, input_tokens, output_tokens FROM usage_records WHERE conversation_id = ? ORDER BY id'
+		)
+			.bind(events[0].conversationId)
+			.all();
+		expect(results).toEqual([
+			{ user_id: 2, for_message: 1, model: 'openai/gpt-oss-120b', input_tokens: 900, output_tokens: 20 },
+			{ user_id: 2, for_message: 0, model: 'llama-3.1-8b-instant', input_tokens: 120, output_tokens: 4 },
+		]);
+	});
+});
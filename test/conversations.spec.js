@@ -0,0 +1,626 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../src';
+import { normalizeTitle, buildSearchQuery, createOrGetConversation, saveMessage, setActiveMessage } from '../src/utils/conversation.js';
+import {
+	handleConversationsList,
+	handleConversationSearch,
+	handleConversationDelete,
+	handleConversationMessages,
+	handleConversationFork,
+	handleConversationExport,
+} from '../src/handlers/routes.js';
+import { handleRegenerate } from '../src/ai.js';
+import { handleShareCreate } from '../src/handlers/shares.js';
+import { createLogger } from '../src/utils/logger.js';
+import { createSession } from '../src/utils/auth.js';
+import { handleFeedbackSubmit, handleFeedbackList } from '../src/handlers/feedback.js';
+import { ConversationUpdateRequest, ConversationsQuery, FeedbackRequest, FeedbackQuery } from '../src/schemas.js';
+import { renderConversationExport, redactToolPayloads } from '../src/utils/conversation-export.js';
+import { signToken, verifyToken } from '../src/utils/signing.js';
+import { decodeCursor, encodeCursor, paginate } from '../src/utils/pagination.js';
+import { buildCompactionTranscript, fallbackSummary, findCompactionIndex } from '../src/utils/compaction.js';
+
+const analyst = { user: { id: 2, username: 'analyst', role: 'user' } };
+
+// Append a message to the conversation's active branch and return its ID
+async function addMessage(conversationId, role, content, options) {
+	await saveMessage(env, conversationId, role, content, options);
+	const { active_message_id } = await env.DB.prepare('SELECT active_message_id FROM conversations WHERE id = ?').bind(conversationId).first();
+	return active_message_id;
+}
+
+async function fetchWorker(request, bindings = env) {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, bindings, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+describe('Conversations', () => {
+	it('normalizes generated titles to one clean line', () => {
+		expect(normalizeTitle('"Quarterly Revenue Review."')).toBe('Quarterly Revenue Review');
+		expect(normalizeTitle('\n  Title: Account balances\nextra text')).toBe('Account balances');
+		expect(normalizeTitle('')).toBe('');
+
+		const long = normalizeTitle('word '.repeat(40));
+		expect(long.length).toBe(80);
+		expect(long.endsWith('…')).toBe(true);
+	});
+
+	it('requires a title or archived flag to update a conversation', () => {
+		expect(ConversationUpdateRequest.safeParse({}).success).toBe(false);
+		expect(ConversationUpdateRequest.safeParse({ title: '   ' }).success).toBe(false);
+		expect(ConversationUpdateRequest.safeParse({ title: null }).success).toBe(true);
+		expect(ConversationUpdateRequest.safeParse({ archived: true }).success).toBe(true);
+		expect(ConversationUpdateRequest.safeParse({ activeMessageId: 12 }).success).toBe(true);
+	});
+
+	it('routes fork and regenerate for a conversation', async () => {
+		const preflight = await fetchWorker(new Request('http://example.com/conversations/abc/messages/5/regenerate', { method: 'OPTIONS' }));
+		expect(preflight.headers.get('Access-Control-Allow-Methods')).toBe('POST, OPTIONS');
+
+		const response = await fetchWorker(new Request('http://example.com/conversations/abc/fork', { method: 'POST' }));
+		expect(response.status).toBe(401);
+	});
+
+	it('accepts a reason for feedback only with a down rating', async () => {
+		expect(FeedbackRequest.safeParse({ rating: 'down', reason: 'wrong_sql', comment: 'Wrong date column' }).success).toBe(true);
+		expect(FeedbackRequest.safeParse({ rating: 'up', reason: 'hallucination' }).success).toBe(false);
+		expect(FeedbackRequest.safeParse({ rating: 'down', reason: 'too_slow' }).success).toBe(false);
+
+		const response = await fetchWorker(new Request('http://example.com/conversations/abc/messages/5/feedback', { method: 'POST' }));
+		expect(response.status).toBe(401);
+	});
+
+	it('routes rename and delete for a conversation', async () => {
+		const preflight = await fetchWorker(new Request('http://example.com/conversations/abc', { method: 'OPTIONS' }));
+		expect(preflight.headers.get('Access-Control-Allow-Methods')).toBe('GET, PATCH, DELETE, OPTIONS');
+
+		const response = await fetchWorker(new Request('http://example.com/conversations/abc', { method: 'DELETE' }));
+		expect(response.status).toBe(401);
+	});
+
+	it('counts and previews only the active branch in conversation lists', async () => {
+		const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+		const question = await addMessage(conversationId, 'user', 'Total balance?');
+		await addMessage(conversationId, 'assistant', 'It is 42.');
+		const followUp = await addMessage(conversationId, 'user', 'And last month?');
+		await setActiveMessage(env, conversationId, question);
+		await addMessage(conversationId, 'assistant', 'Regenerated answer');
+		await setActiveMessage(env, conversationId, followUp);
+
+		const { conversations } = await (await handleConversationsList(env, {}, analyst)).json();
+		const listed = conversations.find((conversation) => conversation.id === conversationId);
+		expect(listed).toMatchObject({ message_count: 3, last_message_preview: 'And last month?' });
+	});
+
+	it('quotes search words so FTS5 syntax in the input is not interpreted', () => {
+		expect(buildSearchQuery('composite  membership')).toBe('"composite" "membership"*');
+		expect(buildSearchQuery('"NEAR(a b)" OR -x')).toBe('"NEAR(a" "b)" "OR" "-x"*');
+		expect(buildSearchQuery('  ')).toBe('');
+	});
+
+	it('searches the caller\'s message content and tool inputs, and drops deleted messages', async () => {
+		const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+		await addMessage(conversationId, 'user', 'Show <b>overdrafted</b> accounts');
+		await addMessage(conversationId, 'tool', '{"rows":3}', { toolName: 'execute_sql', toolInput: { query: 'SELECT * FROM FRPAIR' } });
+		const othersId = await createOrGetConversation(env, null, 1, 'groq');
+		await addMessage(othersId, 'user', 'Overdrafted accounts for admin');
+
+		const search = async (q) => (await (await handleConversationSearch(env, { q }, analyst)).json()).results;
+
+		// Stemmed, prefix-matched on the last word, and only the caller's own messages
+		const [hit, ...rest] = await search('overdraft acc');
+		expect(rest).toEqual([]);
+		expect(hit).toMatchObject({ conversation_id: conversationId, role: 'user' });
+		expect(hit.snippet).toBe('Show &lt;b&gt;<mark>overdrafted</mark>&lt;/b&gt; <mark>accounts</mark>');
+		expect((await search('frpair')).map((result) => result.tool_name)).toEqual(['execute_sql']);
+
+		await handleConversationDelete(env, new Request('http://example.com'), conversationId, analyst);
+		expect(await search('overdrafted')).toEqual([]);
+		const event = await env.DB.prepare("SELECT details FROM audit_events WHERE action = 'conversation.delete'").first();
+		expect(JSON.parse(event.details)).toEqual({ messagesDeleted: 2 });
+	});
+
+	it('routes /conversations/search ahead of /conversations/:id', async () => {
+		const response = await fetchWorker(new Request('http://example.com/conversations/search', { method: 'DELETE' }));
+		expect(response.status).toBe(405);
+		expect(response.headers.get('Allow')).toBe('GET, OPTIONS');
+	});
+
+	it('pages with opaque cursors in both directions', () => {
+		const keyOf = (row) => ({ id: row.id });
+		const first = paginate([{ id: 9 }, { id: 8 }, { id: 7 }], { limit: 2, direction: 'next', fromCursor: false, keyOf });
+		expect(first.items.map((row) => row.id)).toEqual([9, 8]);
+		expect(first.prevCursor).toBeNull();
+		expect(decodeCursor(first.nextCursor, { id: 'number' })).toEqual({ direction: 'next', key: { id: 8 } });
+
+		// 'prev' rows arrive in reverse and are returned in display order
+		const back = paginate([{ id: 8 }, { id: 9 }], { limit: 2, direction: 'prev', fromCursor: true, keyOf });
+		expect(back.items.map((row) => row.id)).toEqual([9, 8]);
+		expect(back.prevCursor).toBeNull();
+		expect(decodeCursor(back.nextCursor, { id: 'number' }).key).toEqual({ id: 8 });
+	});
+
+	it('rejects cursors that were altered or issued for another list', () => {
+		expect(decodeCursor(undefined, { id: 'number' })).toBeNull();
+		expect(() => decodeCursor('not-a-cursor', { id: 'number' })).toThrow('Invalid cursor');
+		const conversationKey = { updatedAt: 'string', id: 'string' };
+		const branchKey = { leafId: 'number', id: 'number' };
+		expect(() => decodeCursor(encodeCursor('next', { id: 3 }), conversationKey)).toThrow('Invalid cursor');
+		expect(() => decodeCursor(encodeCursor('next', { updatedAt: { $gt: 1 }, id: 'c1' }), conversationKey)).toThrow('Invalid cursor');
+		expect(() => decodeCursor(encodeCursor('prev', { leafId: 4, id: [5] }), branchKey)).toThrow('Invalid cursor');
+		expect(() => decodeCursor(encodeCursor('prev', { leafId: '4', id: 5 }), branchKey)).toThrow('Invalid cursor');
+		expect(decodeCursor(encodeCursor('prev', { leafId: 4, id: 5 }), branchKey).key).toEqual({ leafId: 4, id: 5 });
+	});
+
+	it('walks conversation pages by (updated_at, id) in both directions without repeats', async () => {
+		const ids = [];
+		for (const updatedAt of ['2026-01-01 10:00:00', '2026-01-02 10:00:00', '2026-01-02 10:00:00', '2026-01-02 10:00:00', '2026-01-03 10:00:00']) {
+			const id = await createOrGetConversation(env, null, 2, 'paging-test');
+			await env.DB.prepare('UPDATE conversations SET updated_at = ? WHERE id = ?').bind(updatedAt, id).run();
+			ids.push(id);
+		}
+		// Newest first; ties on updated_at by descending ID
+		const expected = [ids[4], ...ids.slice(1, 4).sort().reverse(), ids[0]];
+
+		const list = async (cursor) => (await handleConversationsList(env, { model: 'paging-test', limit: 2, cursor }, analyst)).json();
+		const pages = [await list()];
+		while (pages[pages.length - 1].nextCursor) {
+			pages.push(await list(pages[pages.length - 1].nextCursor));
+		}
+		expect(pages.map((page) => page.conversations.map((conversation) => conversation.id))).toEqual([
+			expected.slice(0, 2),
+			expected.slice(2, 4),
+			expected.slice(4),
+		]);
+
+		const back = await list(pages[2].prevCursor);
+		expect(back.conversations.map((conversation) => conversation.id)).toEqual(expected.slice(2, 4));
+	});
+
+	it('filters conversations by last activity, a date-only `to` covering the whole day', async () => {
+		const ids = [];
+		for (const updatedAt of ['2026-01-01 23:59:59', '2026-01-02 00:00:00', '2026-01-02 23:59:59', '2026-01-03 00:00:00']) {
+			const id = await createOrGetConversation(env, null, 2, 'range-test');
+			await env.DB.prepare('UPDATE conversations SET updated_at = ? WHERE id = ?').bind(updatedAt, id).run();
+			ids.push(id);
+		}
+
+		const list = async (query) =>
+			(await (await handleConversationsList(env, { model: 'range-test', ...query }, analyst)).json()).conversations.map(({ id }) => id);
+		expect(await list({ from: '2026-01-02', to: '2026-01-02' })).toEqual([ids[2], ids[1]]);
+		expect(await list({ to: '2026-01-02T00:00:00Z' })).toEqual([ids[1], ids[0]]);
+		expect(ConversationsQuery.safeParse({ from: 'last week' }).success).toBe(false);
+	});
+
+	it('pages a branch from its newest messages back to the oldest', async () => {
+		const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+		const ids = [];
+		for (const content of ['one', 'two', 'three', 'four', 'five']) {
+			ids.push(await addMessage(conversationId, 'user', content));
+		}
+
+		const page = async (cursor) => (await handleConversationMessages(env, conversationId, { limit: 2, cursor }, analyst)).json();
+		const newest = await page();
+		expect(newest.messages.map((message) => message.id)).toEqual(ids.slice(3));
+		expect(newest.nextCursor).toBeNull();
+
+		const older = await page(newest.prevCursor);
+		expect(older.messages.map((message) => message.id)).toEqual(ids.slice(1, 3));
+		const oldest = await page(older.prevCursor);
+		expect(oldest.messages.map((message) => message.id)).toEqual(ids.slice(0, 1));
+		expect(oldest.prevCursor).toBeNull();
+
+		const forward = await page(oldest.nextCursor);
+		expect(forward.messages.map((message) => message.id)).toEqual(ids.slice(1, 3));
+
+		// A key of the wrong type is a bad cursor, not a missing message
+		const error = await page(encodeCursor('prev', { leafId: String(ids[4]), id: ids[3] })).catch((e) => e);
+		expect(error.code).toBe('VALIDATION_ERROR');
+	});
+
+	it('shows token usage in the owner\'s message history but not in exports', async () => {
+		const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+		await addMessage(conversationId, 'user', 'Hi');
+		const usage = { userId: 2, provider: 'groq', model: 'openai/gpt-oss-120b', inputTokens: 10, outputTokens: 5, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: 0.01 };
+		await addMessage(conversationId, 'assistant', 'Hello', { iteration: 1, usage });
+
+		const { messages } = await (await handleConversationMessages(env, conversationId, {}, analyst)).json();
+		expect(messages[1]).toMatchObject({ input_tokens: 10, output_tokens: 5, cost_usd: 0.01 });
+
+		const request = new Request('http://example.com');
+		const exported = await (await handleConversationExport(env, request, conversationId, { format: 'json' }, analyst)).json();
+		expect(exported.messages).toHaveLength(2);
+		for (const message of exported.messages) {
+			expect(message).not.toHaveProperty('input_tokens');
+			expect(message).not.toHaveProperty('cost_usd');
+		}
+	});
+
+	describe('access', () => {
+		it('answers 403 to another user for every operation on a conversation', async () => {
+			const conversationId = await createOrGetConversation(env, null, 1, 'groq');
+			const messageId = await addMessage(conversationId, 'user', 'Quarter-end balances');
+			const token = await createSession(env, analyst.user, new Request('http://example.com'));
+			const call = (method, path, body) =>
+				fetchWorker(
+					new Request(`http://example.com${path}`, {
+						method,
+						headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+						body: body && JSON.stringify(body),
+					}),
+					{ ...env, GROQ_API_KEY: 'test' }
+				);
+
+			for (const [method, path, body] of [
+				['POST', '/chat', { provider: 'groq', prompt: 'And last quarter?', conversationId }],
+				['GET', `/conversations/${conversationId}`],
+				['GET', `/conversations/${conversationId}/export?format=json`],
+				['POST', `/conversations/${conversationId}/fork`, { messageId }],
+				['DELETE', `/conversations/${conversationId}`],
+			]) {
+				const response = await call(method, path, body);
+				expect([method, path, response.status]).toEqual([method, path, 403]);
+			}
+
+			const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM conversation_messages WHERE conversation_id = ?').bind(conversationId).first();
+			expect(count).toBe(1);
+		});
+
+		it('gives a new conversation ID to one of two users creating it at once', async () => {
+			const conversationId = crypto.randomUUID();
+			const results = await Promise.allSettled([
+				createOrGetConversation(env, conversationId, 1, 'groq'),
+				createOrGetConversation(env, conversationId, 2, 'groq'),
+			]);
+
+			expect(results.map(({ status }) => status).sort()).toEqual(['fulfilled', 'rejected']);
+			expect(results.find(({ status }) => status === 'rejected').reason.code).toBe('FORBIDDEN');
+			const { user_id } = await env.DB.prepare('SELECT user_id FROM conversations WHERE id = ?').bind(conversationId).first();
+			expect(user_id).toBe(results[0].status === 'fulfilled' ? 1 : 2);
+		});
+	});
+
+	describe('branches', () => {
+		afterEach(() => {
+			vi.restoreAllMocks();
+		});
+
+		// Q1, A1, Q2, A2 on one branch
+		async function createThread() {
+			const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+			const ids = [];
+			for (const [role, content] of [
+				['user', 'Q1'],
+				['assistant', 'A1'],
+				['user', 'Q2'],
+				['assistant', 'A2'],
+			]) {
+				ids.push(await addMessage(conversationId, role, content));
+			}
+			return { conversationId, ids };
+		}
+
+		const branchOf = async (conversationId, query = {}) =>
+			(await (await handleConversationMessages(env, conversationId, query, analyst)).json()).messages;
+
+		it('adds an edited turn as a sibling branch and keeps the original reachable', async () => {
+			const { conversationId, ids } = await createThread();
+			const encoder = new TextEncoder();
+			const fetch = vi.spyOn(globalThis, 'fetch').mockImplementation(
+				async () => new Response(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content: 'A2 edited' }, finish_reason: 'stop' }] })}\n\n`))
+			);
+
+			const response = await handleRegenerate({ ...env, GROQ_API_KEY: 'test' }, conversationId, ids[2], { content: 'Q2 edited' }, analyst, createLogger());
+			await response.text();
+
+			// The edited turn is sent with the history before it
+			const sent = JSON.parse(fetch.mock.calls[0][1].body).messages.slice(1);
+			expect(sent.map((message) => message.content)).toEqual(['Q1', 'A1', 'Q2 edited']);
+
+			const active = await branchOf(conversationId);
+			expect(active.map((message) => message.content)).toEqual(['Q1', 'A1', 'Q2 edited', 'A2 edited']);
+			expect(active[2].parent_id).toBe(ids[1]);
+			expect(active[2].siblings).toEqual([ids[2], active[2].id]);
+
+			const original = await branchOf(conversationId, { messageId: ids[2] });
+			expect(original.map((message) => message.content)).toEqual(['Q1', 'A1', 'Q2', 'A2']);
+		});
+
+		it('forks a conversation as a copy of the branch up to a message', async () => {
+			const { conversationId, ids } = await createThread();
+
+			const response = await handleConversationFork(env, conversationId, { messageId: ids[1] }, analyst);
+			expect(response.status).toBe(201);
+			const { conversation } = await response.json();
+			expect(conversation).toMatchObject({ forked_from_conversation_id: conversationId, forked_from_message_id: ids[1], message_count: 2 });
+
+			const copied = await branchOf(conversation.id);
+			expect(copied.map((message) => message.content)).toEqual(['Q1', 'A1']);
+			expect(copied.every((message) => !ids.includes(message.id))).toBe(true);
+		});
+	});
+
+	describe('feedback', () => {
+		afterEach(() => {
+			vi.restoreAllMocks();
+		});
+
+		const gradeReply = () =>
+			Response.json({
+				content: [{ type: 'text', text: JSON.stringify({ strengths: [], weaknesses: ['Wrong column'], reasoning: 'Summed the wrong column.', score: 3 }) }],
+				usage: { input_tokens: 300, output_tokens: 40 },
+			});
+
+		async function submit(conversationId, messageId, body, bindings = { ...env, ANTHROPIC_API_KEY: 'test' }) {
+			const ctx = createExecutionContext();
+			const response = await handleFeedbackSubmit(bindings, ctx, conversationId, messageId, body, analyst, createLogger());
+			await waitOnExecutionContext(ctx);
+			return (await response.json()).feedback;
+		}
+
+		const storedFeedback = (feedbackId) => env.DB.prepare('SELECT * FROM message_feedback WHERE id = ?').bind(feedbackId).first();
+
+		it('replaces a resubmitted rating and grades a thumbs-down once', async () => {
+			const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+			await addMessage(conversationId, 'user', 'Total AUM by strategy?');
+			const answerId = await addMessage(conversationId, 'assistant', 'Growth holds 1.25M.');
+			const fetch = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => gradeReply());
+
+			const up = await submit(conversationId, answerId, { rating: 'up' });
+			expect(up).toMatchObject({ rating: 'up', gradeStatus: null });
+			expect(fetch).not.toHaveBeenCalled();
+
+			const down = await submit(conversationId, answerId, { rating: 'down', reason: 'wrong_sql' });
+			expect(down).toMatchObject({ id: up.id, rating: 'down', reason: 'wrong_sql' });
+			expect(await storedFeedback(up.id)).toMatchObject({ grade_status: 'graded', grade_score: 3 });
+			expect(fetch).toHaveBeenCalledTimes(1);
+			expect(JSON.parse(fetch.mock.calls[0][1].body).messages[0].content).toContain('Total AUM by strategy?');
+
+			// A graded turn is not graded again
+			const again = await submit(conversationId, answerId, { rating: 'down', comment: 'Still wrong' });
+			expect(again).toMatchObject({ id: up.id, reason: null, comment: 'Still wrong', gradeStatus: 'graded' });
+			expect(fetch).toHaveBeenCalledTimes(1);
+		});
+
+		it('claims a failed grade again when the thumbs-down is resubmitted', async () => {
+			const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+			await addMessage(conversationId, 'user', 'Total AUM by strategy?');
+			const answerId = await addMessage(conversationId, 'assistant', 'Growth holds 1.25M.');
+			const fetch = vi
+				.spyOn(globalThis, 'fetch')
+				.mockResolvedValueOnce(new Response('overloaded', { status: 529 }))
+				.mockImplementation(async () => gradeReply());
+
+			const { id } = await submit(conversationId, answerId, { rating: 'down' });
+			expect(await storedFeedback(id)).toMatchObject({ grade_status: 'failed', grade_error: 'Grading failed' });
+
+			await submit(conversationId, answerId, { rating: 'down' });
+			expect(await storedFeedback(id)).toMatchObject({ grade_status: 'graded', grade_score: 3, grade_error: null });
+			expect(fetch).toHaveBeenCalledTimes(2);
+		});
+
+		it('lists feedback by filter, a page at a time', async () => {
+			const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+			await addMessage(conversationId, 'user', 'Q1');
+			const first = await addMessage(conversationId, 'assistant', 'A1');
+			await addMessage(conversationId, 'user', 'Q2');
+			const second = await addMessage(conversationId, 'assistant', 'A2');
+
+			// Without an Anthropic key nothing is graded
+			const down = await submit(conversationId, first, { rating: 'down', reason: 'hallucination' }, env);
+			const up = await submit(conversationId, second, { rating: 'up' }, env);
+			const list = async (query) => (await handleFeedbackList(env, { conversationId, ...query })).json();
+
+			expect((await list({ rating: 'down' })).feedback.map(({ id }) => id)).toEqual([down.id]);
+			expect((await list({ reason: 'hallucination', gradeStatus: 'none' })).feedback.map(({ id }) => id)).toEqual([down.id]);
+			expect((await list({ gradeStatus: 'graded' })).feedback).toEqual([]);
+
+			const page = await list({ limit: 1 });
+			expect(page.feedback[0]).toMatchObject({ id: up.id, messageContent: 'A2', username: 'analyst' });
+			expect(page.nextBefore).toBe(up.id);
+			expect((await list({ limit: 1, before: page.nextBefore })).feedback.map(({ id }) => id)).toEqual([down.id]);
+		});
+
+		it('filters feedback by submission time, a date-only `to` covering the whole day', async () => {
+			const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+			await addMessage(conversationId, 'user', 'Q1');
+			const first = await addMessage(conversationId, 'assistant', 'A1');
+			await addMessage(conversationId, 'user', 'Q2');
+			const second = await addMessage(conversationId, 'assistant', 'A2');
+			const submitted = [];
+			for (const [messageId, createdAt] of [
+				[first, '2026-02-01 23:59:59'],
+				[second, '2026-02-02 00:00:00'],
+			]) {
+				const { id } = await submit(conversationId, messageId, { rating: 'up' }, env);
+				await env.DB.prepare('UPDATE message_feedback SET created_at = ? WHERE id = ?').bind(createdAt, id).run();
+				submitted.push(id);
+			}
+
+			const list = async (query) => (await (await handleFeedbackList(env, { conversationId, ...query })).json()).feedback.map(({ id }) => id);
+			expect(await list({ to: '2026-02-01' })).toEqual([submitted[0]]);
+			expect(await list({ from: '2026-02-01T23:59:59Z', to: '2026-02-02' })).toEqual([submitted[1], submitted[0]]);
+			expect(FeedbackQuery.safeParse({ from: '2026-02-31T10:00:00.000Zx' }).success).toBe(false);
+		});
+	});
+
+	describe('share links', () => {
+		afterEach(() => {
+			vi.restoreAllMocks();
+		});
+
+		it('verifies signed tokens and rejects forged ones', async () => {
+			const token = await signToken('secret-a', { sid: 'share-1', exp: 1900000000 });
+			expect(await verifyToken('secret-a', token)).toEqual({ sid: 'share-1', exp: 1900000000 });
+			expect(await verifyToken('secret-b', token)).toBeNull();
+
+			const [, signature] = token.split('.');
+			const forged = `${btoa(JSON.stringify({ sid: 'share-2', exp: 1900000000 })).replace(/=+$/, '')}.${signature}`;
+			expect(await verifyToken('secret-a', forged)).toBeNull();
+			expect(await verifyToken('secret-a', 'not-a-token')).toBeNull();
+		});
+
+		it('serves /shared/:token without login and keeps the token out of the logs', async () => {
+			const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+			const token = await signToken('test-secret', { sid: 'missing', exp: 1 });
+			const response = await fetchWorker(new Request(`http://example.com/shared/${token}`), { ...env, SHARE_TOKEN_SECRET: 'test-secret' });
+
+			expect(response.status).toBe(404);
+			const lines = spy.mock.calls.map(([line]) => line).join('\n');
+			expect(lines).toContain('"path":"/shared/:token"');
+			expect(lines).not.toContain(token);
+		});
+
+		it('serves a redacted share without tool payloads, SQL echoed in replies or usage', async () => {
+			vi.spyOn(console, 'log').mockImplementation(() => {});
+			const shareEnv = { ...env, SHARE_TOKEN_SECRET: 'test-secret' };
+			const conversationId = await createOrGetConversation(env, null, 2, 'groq');
+			const query = 'SELECT secret_col FROM FRPAIR';
+			await addMessage(conversationId, 'user', 'How many accounts?');
+			await addMessage(
+				conversationId,
+				'assistant',
+				`Let me check.\n\n\`\`\`sql\n${query}\n\`\`\`\n\nQuery executed successfully. Retrieved 3 rows.\n\nTool error: no such column: secret_col`,
+				{ iteration: 1, toolCalls: [{ id: 'call_1', name: 'execute_sql', input: { query } }] }
+			);
+			await addMessage(conversationId, 'tool', JSON.stringify({ success: true, data: [{ account: 'SECRET-ROW' }], message: 'Query executed successfully. Retrieved 3 rows.' }), {
+				iteration: 1,
+				toolCallId: 'call_1',
+				toolName: 'execute_sql',
+				toolInput: { query },
+				error: 'no such column: secret_col',
+			});
+			const usage = { userId: 2, provider: 'groq', model: 'openai/gpt-oss-120b', inputTokens: 10, outputTokens: 5, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: 0.01 };
+			await addMessage(conversationId, 'assistant', 'There are 3 accounts.', { iteration: 2, usage });
+
+			const request = new Request('http://example.com', { method: 'POST' });
+			const created = await handleShareCreate(shareEnv, request, conversationId, { redactToolPayloads: true }, analyst, new URL('http://example.com'));
+			const { token } = await created.json();
+
+			for (const format of ['json', 'html']) {
+				const response = await fetchWorker(new Request(`http://example.com/shared/${token}?format=${format}`), shareEnv);
+				expect(response.status).toBe(200);
+				const body = await response.text();
+				expect(body).toContain('Let me check.');
+				expect(body).toContain('There are 3 accounts.');
+				expect(body).toContain('execute_sql');
+				for (const secret of ['secret_col', 'FRPAIR', 'SECRET-ROW', 'Retrieved 3 rows', 'Tool error', 'cost_usd', 'input_tokens']) {
+					expect(body).not.toContain(secret);
+				}
+			}
+		});
+	});
+
+	describe('export', () => {
+		const conversation = { id: 'c1', title: 'Balances <Q3>', model: 'groq', archived: false, created_at: '2026-01-01 10:00:00', updated_at: '2026-01-01 10:05:00' };
+		const messages = [
+			{ id: 1, role: 'user', content: 'Show <script>alert(1)</script> balances', iteration: null, created_at: '2026-01-01 10:00:00' },
+			{ id: 2, role: 'assistant', content: '', iteration: 1, tool_calls: '[{"id":"t1","name":"execute_sql"}]', created_at: '2026-01-01 10:00:01' },
+			{
+				id: 3,
+				role: 'tool',
+				tool_name: 'execute_sql',
+				tool_input: '{"query":"SELECT name, balance FROM accounts"}',
+				content: JSON.stringify({ success: true, columns: ['name', 'balance'], data: [{ name: 'A|B', balance: 10 }], rowCount: 1 }),
+				duration_ms: 42,
+				iteration: 1,
+				created_at: '2026-01-01 10:00:02',
+			},
+			{
+				id: 4,
+				role: 'tool',
+				tool_name: 'lookup_knowledge_base',
+				tool_input: '{"query":"twr"}',
+				content: JSON.stringify({ success: true, results: [{ id: 'twr-method', title: 'Time-weighted return', category: 'methodology' }] }),
+				duration_ms: 3,
+				iteration: 1,
+				created_at: '2026-01-01 10:00:02',
+			},
+			{ id: 5, role: 'assistant', content: 'The balance is 10.', iteration: 2, created_at: '2026-01-01 10:00:05' },
+		];
+
+		it('renders Markdown with query tables and citations', () => {
+			const markdown = renderConversationExport('md', conversation, messages, '2026-01-02T00:00:00Z');
+			expect(markdown).toContain('# Balances <Q3>');
+			expect(markdown).toContain('#### Tool: execute_sql (42 ms)');
+			expect(markdown).toContain('| A\\|B | 10 |');
+			expect(markdown).toContain('- **Time-weighted return** (`twr-method`, methodology)');
+			expect(markdown).toContain('### Assistant (iteration 2) · 2026-01-01 10:00:05');
+		});
+
+		it('escapes every value in the HTML export', () => {
+			const html = renderConversationExport('html', conversation, messages);
+			expect(html).not.toContain('<script>');
+			expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+			expect(html).toContain('<title>Balances &lt;Q3&gt;</title>');
+			expect(html).toContain('<td>A|B</td>');
+		});
+
+		it('keeps tool names but drops tool payloads when redacting', () => {
+			const redacted = redactToolPayloads(messages);
+			expect(redacted[2]).toEqual(expect.objectContaining({ tool_name: 'execute_sql', tool_input: null, content: '', error: null }));
+			expect(JSON.parse(redacted[1].tool_calls)).toEqual([{ id: 't1', name: 'execute_sql' }]);
+
+			const markdown = renderConversationExport('md', conversation, redacted);
+			expect(markdown).toContain('#### Tool: execute_sql');
+			expect(markdown).not.toContain('SELECT name, balance');
+			expect(markdown).not.toContain('A\\|B');
+		});
+
+		it('parses stored JSON fields in the JSON export', () => {
+			const data = JSON.parse(renderConversationExport('json', conversation, messages));
+			expect(data.conversation.id).toBe('c1');
+			expect(data.messages[2].tool_input).toEqual({ query: 'SELECT name, balance FROM accounts' });
+			expect(data.messages[2].content.rowCount).toBe(1);
+		});
+	});
+
+	describe('history compaction', () => {
+		const turn = (id, question, answer) => [
+			{ id, role: 'user', content: question },
+			{ id: id + 1, role: 'assistant', content: answer },
+		];
+
+		it('keeps SQL and result figures of tool calls in the transcript', () => {
+			const transcript = buildCompactionTranscript([
+				{ id: 1, role: 'user', content: 'Total AUM by strategy?' },
+				{ id: 2, role: 'assistant', content: '', tool_calls: [{ id: 't1', name: 'execute_sql' }] },
+				{
+					id: 3,
+					role: 'tool',
+					tool_name: 'execute_sql',
+					tool_input: '{"query":"SELECT strategy, SUM(aum) AS aum FROM portfolios GROUP BY strategy"}',
+					content: JSON.stringify({ success: true, data: [{ strategy: 'Growth', aum: 1250000 }], rowCount: 1 }),
+				},
+				{ id: 4, role: 'tool', tool_name: 'evaluate_expression', tool_input: '{"expression":"1250000 * 0.02"}', content: '{"result":25000}' },
+				{ id: 5, role: 'assistant', content: 'Growth holds 1.25M.' },
+			]);
+
+			expect(transcript).toContain('<user>Total AUM by strategy?</user>');
+			expect(transcript).toContain('<sql>SELECT strategy, SUM(aum) AS aum FROM portfolios GROUP BY strategy</sql>');
+			expect(transcript).toContain('{"strategy":"Growth","aum":1250000}');
+			expect(transcript).toContain('Result: 25000');
+			expect(transcript.match(/<turn>/g)).toHaveLength(1);
+		});
+
+		it('keeps the latest whole turns that fit the budget verbatim', () => {
+			const long = 'x'.repeat(8000);
+			const messages = [...turn(1, 'first', long), ...turn(3, 'second', long), ...turn(5, 'third', 'short')];
+			expect(findCompactionIndex(messages)).toBe(2);
+
+			// A latest turn larger than the budget is summarised too
+			expect(findCompactionIndex([...turn(1, 'first', 'short'), ...turn(3, 'second', 'y'.repeat(40000))])).toBe(4);
+		});
+
+		it('falls back to the trimmed transcript, dropping the oldest part', () => {
+			const summary = fallbackSummary('- Earlier: revenue was 42', 'z'.repeat(10000) + '<sql>SELECT 1</sql>');
+			expect(summary.length).toBeLessThan(8100);
+			expect(summary.startsWith('[Earlier turns omitted]')).toBe(true);
+			expect(summary.endsWith('<sql>SELECT 1</sql>')).toBe(true);
+			expect(fallbackSummary(null, '<turn></turn>')).toBe('<turn></turn>');
+		});
+	});
+});
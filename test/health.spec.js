@@ -0,0 +1,53 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../src';
+
+async function fetchWorker(path) {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(new Request(`http://example.com${path}`), env, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+describe('Health checks', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('reports version and build information at /', async () => {
+		const response = await fetchWorker('/');
+		const data = await response.json();
+
+		expect(data.status).toBe('ok');
+		expect(data.version).toMatch(/^\d+\.\d+\.\d+$/);
+		expect(data.build).toHaveProperty('versionId');
+	});
+
+	it('reports each dependency with its latency', async () => {
+		vi.spyOn(globalThis, 'fetch').mockResolvedValue(Response.json([{ 1: 1 }]));
+
+		const response = await fetchWorker('/health');
+		const data = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(data.status).toBe('ok');
+		for (const name of ['d1', 'r2', 'duckdb']) {
+			expect(data.checks[name].status).toBe('ok');
+			expect(typeof data.checks[name].latencyMs).toBe('number');
+		}
+		expect(Object.keys(data.providers)).toEqual(['anthropic', 'groq', 'openai']);
+	});
+
+	it('returns 503 and names the failing dependency', async () => {
+		vi.spyOn(globalThis, 'fetch').mockResolvedValue(Response.json({ error: 'connection refused' }, { status: 502 }));
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		const response = await fetchWorker('/health');
+		const data = await response.json();
+
+		expect(response.status).toBe(503);
+		expect(data.status).toBe('degraded');
+		expect(data.checks.duckdb).toMatchObject({ status: 'error', error: 'connection refused' });
+		expect(data.checks.d1.status).toBe('ok');
+	});
+});
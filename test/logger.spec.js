@@ -0,0 +1,57 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../src';
+import { createLogger } from '../src/utils/logger.js';
+
+function captureLines(method = 'log') {
+	const spy = vi.spyOn(console, method).mockImplementation(() => {});
+	return () => spy.mock.calls.map(([line]) => JSON.parse(line));
+}
+
+describe('Logger', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('writes one JSON line with the level, event and bound fields', () => {
+		const lines = captureLines();
+		const log = createLogger(null, { requestId: 'req-1' }).child({ conversationId: 7 });
+		log.info('tool.executed', { tool: 'execute_sql', durationMs: 12 });
+
+		expect(lines()).toEqual([
+			expect.objectContaining({ level: 'info', event: 'tool.executed', requestId: 'req-1', conversationId: 7, tool: 'execute_sql', durationMs: 12 }),
+		]);
+	});
+
+	it('redacts configured fields at any depth', () => {
+		const lines = captureLines();
+		createLogger().info('test.redaction', { user: 'alice', details: { password: 'hunter22', rows: [{ balance: 100 }] } });
+
+		const [line] = lines();
+		expect(line.user).toBe('alice');
+		expect(line.details).toEqual({ password: '[REDACTED]', rows: '[REDACTED]' });
+	});
+
+	it('drops lines below LOG_LEVEL and serializes errors', () => {
+		const infoLines = captureLines();
+		const errorLines = captureLines('error');
+		const log = createLogger({ LOG_LEVEL: 'warn' });
+		log.info('test.hidden');
+		log.error('test.failed', { error: new Error('boom') });
+
+		expect(infoLines()).toEqual([]);
+		expect(errorLines()[0].error).toEqual(expect.objectContaining({ name: 'Error', message: 'boom' }));
+	});
+
+	it('echoes an inbound X-Request-Id and logs the completed request with it', async () => {
+		const lines = captureLines();
+		const ctx = createExecutionContext();
+		const response = await worker.fetch(new Request('http://example.com/nope', { headers: { 'X-Request-Id': 'upstream-123' } }), env, ctx);
+		await waitOnExecutionContext(ctx);
+
+		expect(response.headers.get('X-Request-Id')).toBe('upstream-123');
+		expect(lines()).toContainEqual(
+			expect.objectContaining({ event: 'request.completed', requestId: 'upstream-123', method: 'GET', path: '/nope', status: 404 })
+		);
+	});
+});
@@ -0,0 +1,66 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker, { routes } from '../src';
+import { z } from 'zod';
+import { zodToJsonSchema } from '../src/utils/json-schema.js';
+
+async function fetchWorker(path) {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(new Request(`http://example.com${path}`), env, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+describe('OpenAPI document', () => {
+	it('converts zod schemas to JSON Schema', () => {
+		const schema = z.object({
+			name: z.string().min(1).describe('Name'),
+			count: z.number().int().optional(),
+			role: z.enum(['user', 'admin']).default('user'),
+			tags: z.array(z.string()).nullable(),
+		});
+
+		expect(zodToJsonSchema(schema)).toEqual({
+			type: 'object',
+			properties: {
+				name: { type: 'string', minLength: 1, description: 'Name' },
+				count: { type: 'integer' },
+				role: { type: 'string', enum: ['user', 'admin'], default: 'user' },
+				tags: { type: ['array', 'null'], items: { type: 'string' } },
+			},
+			required: ['name', 'tags'],
+		});
+	});
+
+	it('documents every route with its auth scheme', async () => {
+		const response = await fetchWorker('/openapi.json');
+		expect(response.status).toBe(200);
+		const spec = await response.json();
+
+		expect(spec.openapi).toBe('3.1.0');
+		for (const route of routes) {
+			const path = route.path.replace(/:([A-Za-z_]+)/g, '{$1}');
+			expect(spec.paths[path]?.[route.method.toLowerCase()], `${route.method} ${route.path}`).toBeDefined();
+		}
+
+		expect(spec.paths['/auth/login'].post.security).toEqual([]);
+		expect(spec.paths['/api-keys'].get.security).not.toContainEqual({ apiKeyAuth: [] });
+		expect(spec.paths['/files'].get['x-required-scope']).toBe('files:read');
+	});
+
+	it('derives the POST /tools body from each tool schema', async () => {
+		const spec = await (await fetchWorker('/openapi.json')).json();
+		const body = spec.paths['/tools'].post.requestBody.content['application/json'].schema;
+		const evaluate = body.oneOf.find((variant) => variant.properties.tool.const === 'evaluate_expression');
+
+		expect(evaluate.properties.arguments.properties.expression.type).toBe('string');
+		expect(evaluate.required).toEqual(['tool', 'arguments']);
+	});
+
+	it('serves an HTML viewer at /docs', async () => {
+		const response = await fetchWorker('/docs');
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toContain('text/html');
+		expect(await response.text()).toContain('/openapi.json');
+	});
+});
@@ -0,0 +1,127 @@
+import { env as testEnv } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { handleChat } from '../src/ai.js';
+import { getProviderAdapter } from '../src/providers/index.js';
+import { createLogger } from '../src/utils/logger.js';
+
+const env = { ANTHROPIC_API_KEY: 'test', GROQ_API_KEY: 'test', OPENAI_API_KEY: 'test' };
+const request = { model: 'test-model', system: ['You are helpful.', 'Summary'], messages: [{ role: 'user', content: 'Hi' }], tools: [] };
+
+// Respond to the provider call with a body streamed in the given chunks
+function mockStream(chunks) {
+	const encoder = new TextEncoder();
+	return vi.spyOn(globalThis, 'fetch').mockImplementation(
+		async () =>
+			new Response(
+				new ReadableStream({
+					start(controller) {
+						chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+						controller.close();
+					},
+				})
+			)
+	);
+}
+
+async function collect(provider) {
+	const events = [];
+	for await (const event of await getProviderAdapter(provider).stream(env, request, createLogger())) {
+		events.push(event);
+	}
+	return events;
+}
+
+const sse = (data) => `data: ${JSON.stringify(data)}\n\n`;
+
+describe('Provider adapters', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('normalises an Anthropic stream with text and a tool call', async () => {
+		const fetch = mockStream([
+			`event: message_start\n${sse({ type: 'message_start', message: { model: 'claude-3-5-haiku-20241022', usage: { input_tokens: 10, output_tokens: 1 } } })}`,
+			sse({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking' } }),
+			sse({ type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'execute_sql' } }),
+			sse({ type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"query":' } }) +
+				sse({ type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"SELECT 1"}' } }),
+			sse({ type: 'content_block_stop', index: 1 }),
+			sse({ type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 30 } }),
+		]);
+
+		const events = await collect('anthropic');
+		expect(events.filter((event) => event.type !== 'usage')).toEqual([
+			{ type: 'text_delta', text: 'Checking' },
+			{ type: 'tool_call_start', index: 0, id: 'toolu_1', name: 'execute_sql' },
+			{ type: 'tool_call_delta', index: 0, input: '{"query":' },
+			{ type: 'tool_call_delta', index: 0, input: '"SELECT 1"}' },
+			{ type: 'tool_call_end', index: 0 },
+			{ type: 'stop', reason: 'tool_use' },
+		]);
+		expect(events.findLast((event) => event.type === 'usage').usage).toEqual(
+			expect.objectContaining({ model: 'claude-3-5-haiku-20241022', inputTokens: 10, outputTokens: 30 })
+		);
+
+		// Each system section is a cached block
+		const body = JSON.parse(fetch.mock.calls[0][1].body);
+		expect(body.system.map((block) => [block.text, block.cache_control])).toEqual([
+			['You are helpful.', { type: 'ephemeral' }],
+			['Summary', { type: 'ephemeral' }],
+		]);
+	});
+
+	it('normalises Groq chunks sent as bare JSON, including calls without arguments', async () => {
+		const fetch = mockStream([
+			JSON.stringify({ choices: [{ delta: { content: 'Let me look.' } }] }),
+			JSON.stringify({ choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'get_knowledge_base_categories', arguments: 'null' } }] } }] }),
+			`${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'tool_calls' }], x_groq: { usage: { prompt_tokens: 50, completion_tokens: 5 } } })}\n`,
+		]);
+
+		const events = await collect('groq');
+		expect(events).toEqual([
+			{ type: 'text_delta', text: 'Let me look.' },
+			{ type: 'tool_call_start', index: 0, id: 'call_1', name: 'get_knowledge_base_categories' },
+			{ type: 'usage', usage: expect.objectContaining({ inputTokens: 50, outputTokens: 5 }) },
+			{ type: 'tool_call_end', index: 0 },
+			{ type: 'stop', reason: 'tool_use' },
+		]);
+		expect(JSON.parse(fetch.mock.calls[0][1].body).messages[0]).toEqual({ role: 'system', content: 'You are helpful.\n\nSummary' });
+	});
+
+	it('reassembles OpenAI SSE lines split across chunks and reports mid-stream errors', async () => {
+		const line = sse({ choices: [{ delta: { content: 'Hello' } }] });
+		mockStream([
+			line.slice(0, 12),
+			line.slice(12) + sse({ choices: [{ delta: {}, finish_reason: 'length' }] }),
+			sse({ choices: [], usage: { prompt_tokens: 20, completion_tokens: 4 } }) + sse({ error: { message: 'overloaded' } }),
+			'data: [DONE]\n\n',
+		]);
+
+		const events = await collect('openai');
+		expect(events).toEqual([
+			{ type: 'text_delta', text: 'Hello' },
+			{ type: 'stop', reason: 'max_tokens' },
+			{ type: 'usage', usage: expect.objectContaining({ inputTokens: 20, outputTokens: 4 }) },
+			{ type: 'error', message: 'overloaded' },
+		]);
+	});
+
+	it('has no adapter for unknown providers', () => {
+		expect(getProviderAdapter('gemini').apiKey).toBe('ANTHROPIC_API_KEY');
+		expect(getProviderAdapter('toString')).toBeNull();
+	});
+
+	it('ends the chat stream with an error event when the provider fails mid-stream', async () => {
+		mockStream([sse({ choices: [{ delta: { content: 'Let me' } }] }), sse({ error: { message: 'overloaded' } })]);
+		const auth = { user: { id: 2, role: 'user' } };
+
+		const response = await handleChat({ ...testEnv, ...env }, { prompt: 'How many accounts?', provider: 'openai' }, auth, createLogger());
+		const events = (await response.text())
+			.split('\n\n')
+			.filter(Boolean)
+			.map((line) => JSON.parse(line.slice('data: '.length)));
+
+		expect(events.map((event) => event.type)).toEqual(['conversation_id', 'text', 'error']);
+		expect(events[2].content).toBe('AI API error occurred');
+	});
+});
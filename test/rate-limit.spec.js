@@ -0,0 +1,83 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { enforceRateLimit, withStreamSlot } from '../src/utils/rate-limit.js';
+import { AI_CONFIG } from '../src/ai-config.js';
+import { handleChat } from '../src/ai.js';
+import { createLogger } from '../src/utils/logger.js';
+
+const auth = { user: { id: 42, role: 'user' }, sessionId: 'test', apiKeyId: null, scopes: null };
+
+describe('Rate limiting', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('allows a burst and then returns 429 with Retry-After', async () => {
+		for (let i = 0; i < AI_CONFIG.RATE_LIMITS.tools.BURST; i++) {
+			await enforceRateLimit(env, auth, 'tools');
+		}
+
+		const error = await enforceRateLimit(env, auth, 'tools').catch((e) => e);
+		expect(error.code).toBe('RATE_LIMITED');
+
+		const response = error.toResponse();
+		expect(response.status).toBe(429);
+		expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+	});
+
+	it('does not charge the user for requests its throttled API key was refused', async () => {
+		const keyAuth = { ...auth, user: { id: 43, role: 'user' }, apiKeyId: 7 };
+		const { BURST } = AI_CONFIG.RATE_LIMITS.tools;
+		for (let i = 0; i < BURST; i++) {
+			await enforceRateLimit(env, keyAuth, 'tools');
+		}
+		// Let the user bucket (but not the key's) refill, then keep hitting the empty key bucket
+		await env.DB.prepare("UPDATE rate_limit_buckets SET tokens = ? WHERE bucket_key = 'tools:user:43'").bind(BURST).run();
+		for (let i = 0; i < 3; i++) {
+			expect((await enforceRateLimit(env, keyAuth, 'tools').catch((e) => e)).code).toBe('RATE_LIMITED');
+		}
+
+		const { tokens } = await env.DB.prepare("SELECT tokens FROM rate_limit_buckets WHERE bucket_key = 'tools:user:43'").first();
+		expect(tokens).toBeCloseTo(BURST, 0);
+		await enforceRateLimit(env, { ...keyAuth, apiKeyId: null }, 'tools');
+	});
+
+	it('limits concurrent streams and releases slots when a stream ends', async () => {
+		const ctx = createExecutionContext();
+		const max = AI_CONFIG.RATE_LIMITS.chat.MAX_CONCURRENT_STREAMS;
+		const open = [];
+
+		for (let i = 0; i < max; i++) {
+			open.push(await withStreamSlot(env, ctx, auth, 'chat', async () => new Response(new ReadableStream())));
+		}
+
+		const error = await withStreamSlot(env, ctx, auth, 'chat', async () => new Response('x')).catch((e) => e);
+		expect(error.code).toBe('RATE_LIMITED');
+
+		await open[0].body.cancel();
+		await waitOnExecutionContext(ctx);
+
+		const response = await withStreamSlot(env, ctx, auth, 'chat', async () => new Response('ok'));
+		expect(await response.text()).toBe('ok');
+		await waitOnExecutionContext(ctx);
+	});
+
+	it('ends the chat stream and frees its slot when the provider fails', async () => {
+		vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('upstream down', { status: 500 }));
+		const analyst = { user: { id: 2, role: 'user' }, sessionId: 'test', apiKeyId: null, scopes: null };
+		const chatEnv = { ...env, GROQ_API_KEY: 'test' };
+		const ctx = createExecutionContext();
+
+		// More failed runs than there are slots: each must give its slot back
+		for (let i = 0; i <= AI_CONFIG.RATE_LIMITS.chat.MAX_CONCURRENT_STREAMS; i++) {
+			const response = await withStreamSlot(env, ctx, analyst, 'chat', () =>
+				handleChat(chatEnv, { prompt: 'How many accounts are there?', provider: 'groq' }, analyst, createLogger())
+			);
+			expect(await response.text()).toContain('"type":"error"');
+			await waitOnExecutionContext(ctx);
+		}
+
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM active_streams').first();
+		expect(count).toBe(0);
+	});
+});
@@ -0,0 +1,131 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../src';
+import { z } from 'zod';
+import { createRouter } from '../src/router.js';
+
+async function fetchWorker(request) {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, env, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+describe('Router', () => {
+	it('returns 405 with an Allow header for a known path and wrong method', async () => {
+		const response = await fetchWorker(new Request('http://example.com/files/abc', { method: 'PUT' }));
+		expect(response.status).toBe(405);
+		expect(response.headers.get('Allow')).toBe('GET, DELETE, OPTIONS');
+		const data = await response.json();
+		expect(data.code).toBe('METHOD_NOT_ALLOWED');
+	});
+
+	it('answers CORS preflight requests without authentication', async () => {
+		const request = new Request('http://example.com/chat', {
+			method: 'OPTIONS',
+			headers: { Origin: 'https://app.example.com', 'Access-Control-Request-Method': 'POST' },
+		});
+		const response = await fetchWorker(request);
+		expect(response.status).toBe(204);
+		expect(response.headers.get('Access-Control-Allow-Methods')).toBe('POST, OPTIONS');
+		expect(response.headers.get('Access-Control-Allow-Headers')).toContain('x-api-key');
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+	});
+
+	it('returns 404 for unknown paths', async () => {
+		const response = await fetchWorker(new Request('http://example.com/nope'));
+		expect(response.status).toBe(404);
+		const data = await response.json();
+		expect(data.code).toBe('NOT_FOUND');
+	});
+
+	it('returns 400 for malformed percent-encoding in a path param', async () => {
+		const response = await fetchWorker(new Request('http://example.com/conversations/%E0%A4%A'));
+		expect(response.status).toBe(400);
+		const data = await response.json();
+		expect(data.code).toBe('VALIDATION_ERROR');
+		expect(data.details.fields).toEqual([{ field: 'id', message: 'Malformed percent-encoding' }]);
+	});
+
+	it('only echoes configured origins', async () => {
+		const router = createRouter([{ method: 'GET', path: '/ping', auth: false, handler: () => new Response('pong') }]);
+		const corsEnv = { CORS_ALLOWED_ORIGINS: 'https://app.example.com' };
+
+		const allowed = await router.handle(new Request('http://example.com/ping', { headers: { Origin: 'https://app.example.com' } }), corsEnv);
+		expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+		expect(allowed.headers.get('Access-Control-Allow-Credentials')).toBe('true');
+
+		const denied = await router.handle(new Request('http://example.com/ping', { headers: { Origin: 'https://evil.example.com' } }), corsEnv);
+		expect(denied.headers.get('Access-Control-Allow-Origin')).toBeNull();
+	});
+
+	it('passes path params and runs middleware in order', async () => {
+		const calls = [];
+		const track = (name) => async (env, request, context, next) => {
+			calls.push(name);
+			return await next();
+		};
+		const router = createRouter([
+			{
+				method: 'GET',
+				path: '/items/:id/parts/:part',
+				auth: false,
+				middleware: [track('first'), track('second')],
+				handler: (env, request, { params }) => Response.json(params),
+			},
+		]);
+
+		const response = await router.handle(new Request('http://example.com/items/a%20b/parts/7'), {});
+		expect(await response.json()).toEqual({ id: 'a b', part: '7' });
+		expect(calls).toEqual(['first', 'second']);
+	});
+
+	it('rejects invalid input with field-level details', async () => {
+		const router = createRouter([
+			{
+				method: 'POST',
+				path: '/items/:id',
+				auth: false,
+				params: z.object({ id: z.coerce.number().int() }),
+				body: z.object({ name: z.string().min(1), count: z.number().int() }),
+				handler: (env, request, { params, body }) => Response.json({ params, body }),
+			},
+		]);
+		const post = (path, body) => router.handle(new Request(`http://example.com${path}`, { method: 'POST', body }), {});
+
+		const invalid = await post('/items/1', JSON.stringify({ name: '', count: 'two' }));
+		expect(invalid.status).toBe(400);
+		const data = await invalid.json();
+		expect(data.code).toBe('VALIDATION_ERROR');
+		expect(data.details.fields.map((field) => field.field)).toEqual(['name', 'count']);
+		expect(data.requestId).toBe(invalid.headers.get('X-Request-Id'));
+
+		const malformed = await post('/items/1', '{not json');
+		expect((await malformed.json()).details.location).toBe('body');
+
+		const badParam = await post('/items/abc', JSON.stringify({ name: 'a', count: 1 }));
+		expect((await badParam.json()).details.location).toBe('path');
+
+		const valid = await post('/items/7', JSON.stringify({ name: 'a', count: 1, extra: true }));
+		expect(await valid.json()).toEqual({ params: { id: 7 }, body: { name: 'a', count: 1 } });
+	});
+
+	it('never leaks internal error details', async () => {
+		const router = createRouter([
+			{
+				method: 'GET',
+				path: '/boom',
+				auth: false,
+				handler: () => {
+					throw new Error('secret connection string');
+				},
+			},
+		]);
+
+		const response = await router.handle(new Request('http://example.com/boom'), {});
+		expect(response.status).toBe(500);
+		const text = await response.text();
+		expect(text).not.toContain('secret');
+		expect(JSON.parse(text)).toMatchObject({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+	});
+});
@@ -0,0 +1,116 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { emptyUsage, applyStreamUsage, calculateCost, getModelPricing } from '../src/utils/usage.js';
+import { handleUsage } from '../src/handlers/usage.js';
+import { handleGrader } from '../src/ai.js';
+import { createLogger } from '../src/utils/logger.js';
+import { UsageQuery } from '../src/schemas.js';
+
+const user = { user: { id: 7, role: 'user' } };
+const admin = { user: { id: 1, role: 'admin' } };
+
+beforeAll(async () => {
+	await env.DB.prepare(`
+    INSERT INTO usage_records (user_id, conversation_id, provider, model, input_tokens, output_tokens, cost_usd, created_at) VALUES
+      (7, 'c1', 'groq', 'openai/gpt-oss-120b', 1000, 200, 0.0003, '2026-03-01 10:00:00'),
+      (7, 'c1', 'groq', 'openai/gpt-oss-120b', 3000, 100, 0.000525, '2026-03-02 10:00:00'),
+      (7, 'c2', 'anthropic', 'some-new-model', 50, 10, NULL, '2026-03-02 11:00:00'),
+      (8, 'c3', 'anthropic', 'claude-3-5-haiku-20241022', 100, 100, 0.00048, '2026-03-02 12:00:00')
+  `).run();
+});
+
+describe('Usage', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('reads Anthropic usage from message_start and message_delta', () => {
+		let usage = emptyUsage('claude-3-5-haiku-latest');
+		usage = applyStreamUsage(usage, {
+			type: 'message_start',
+			message: { model: 'claude-3-5-haiku-20241022', usage: { input_tokens: 12, output_tokens: 1, cache_read_input_tokens: 900, cache_creation_input_tokens: 40 } },
+		});
+		usage = applyStreamUsage(usage, { type: 'content_block_delta', delta: { text: 'Hi' } });
+		usage = applyStreamUsage(usage, { type: 'message_delta', usage: { output_tokens: 85 } });
+
+		expect(usage).toEqual({ model: 'claude-3-5-haiku-20241022', inputTokens: 12, outputTokens: 85, cacheReadTokens: 900, cacheWriteTokens: 40 });
+	});
+
+	it('reads OpenAI and Groq usage chunks, separating cached prompt tokens', () => {
+		const openai = applyStreamUsage(emptyUsage('gpt-4o-mini'), {
+			choices: [],
+			usage: { prompt_tokens: 1200, completion_tokens: 30, prompt_tokens_details: { cached_tokens: 1024 } },
+		});
+		expect(openai).toEqual({ model: 'gpt-4o-mini', inputTokens: 176, outputTokens: 30, cacheReadTokens: 1024, cacheWriteTokens: 0 });
+
+		const groq = applyStreamUsage(emptyUsage('openai/gpt-oss-120b'), { choices: [{ delta: {} }], x_groq: { usage: { prompt_tokens: 500, completion_tokens: 20 } } });
+		expect(groq.inputTokens).toBe(500);
+		expect(groq.outputTokens).toBe(20);
+	});
+
+	it('prices by exact model ID or the longest matching prefix', () => {
+		expect(getModelPricing('gpt-4o-mini-2024-07-18')).toEqual(expect.objectContaining({ input: 0.15 }));
+		expect(calculateCost({ model: 'claude-3-5-haiku-20241022', inputTokens: 1e6, outputTokens: 0, cacheReadTokens: 1e6, cacheWriteTokens: 0 })).toBeCloseTo(0.88);
+		expect(calculateCost({ ...emptyUsage('unknown-model'), inputTokens: 10 })).toBeNull();
+	});
+
+	it('rolls up usage for the caller and keeps unpriced requests out of the cost', async () => {
+		const data = await (await handleUsage(env, { groupBy: 'model' }, user)).json();
+		expect(data.userId).toBe(7);
+		expect(data.totals).toEqual(
+			expect.objectContaining({ requests: 3, inputTokens: 4050, outputTokens: 310, costUsd: 0.000825, unpricedRequests: 1 })
+		);
+		expect(data.groups[0]).toEqual(expect.objectContaining({ provider: 'groq', model: 'openai/gpt-oss-120b', requests: 2 }));
+
+		const byDay = await (await handleUsage(env, { groupBy: 'day', from: '2026-03-02' }, user)).json();
+		expect(byDay.groups.map((group) => [group.day, group.requests])).toEqual([['2026-03-02', 2]]);
+	});
+
+	it('includes the whole day of a date-only `to`, and rejects dates it cannot read', async () => {
+		await env.DB.prepare(`
+        INSERT INTO usage_records (user_id, provider, model, input_tokens, created_at) VALUES
+          (7, 'groq', 'openai/gpt-oss-120b', 1, '2026-03-02 23:59:59'),
+          (7, 'groq', 'openai/gpt-oss-120b', 1, '2026-03-03 00:00:00')
+      `).run();
+
+		const day = await (await handleUsage(env, { from: '2026-03-02', to: '2026-03-02' }, user)).json();
+		expect(day.totals.requests).toBe(3);
+		const untilTen = await (await handleUsage(env, { to: '2026-03-02T10:00:00Z' }, user)).json();
+		expect(untilTen.totals.requests).toBe(2);
+
+		expect(UsageQuery.safeParse({ from: '2026-03-02 10:00:00', to: '2026-03-02T12:00+01:00' }).success).toBe(true);
+		for (const value of ['yesterday', '2026-13-01', '2026-03-02T25:00', '03/02/2026']) {
+			expect(UsageQuery.safeParse({ to: value }).success).toBe(false);
+		}
+	});
+
+	it('lets only admins roll up every user', async () => {
+		const error = await handleUsage(env, { userId: 'all' }, user).catch((e) => e);
+		expect(error.code).toBe('FORBIDDEN');
+
+		const data = await (await handleUsage(env, { userId: 'all', groupBy: 'day' }, admin)).json();
+		expect(data.userId).toBeNull();
+		expect(data.totals.requests).toBe(4);
+		expect(data.groups.map((group) => [group.day, group.requests])).toEqual([
+			['2026-03-01', 1],
+			['2026-03-02', 3],
+		]);
+	});
+
+	it('records the usage of grading calls for the caller', async () => {
+		vi.spyOn(globalThis, 'fetch').mockImplementation(async () =>
+			Response.json({
+				model: 'claude-3-5-haiku-20241022',
+				content: [{ type: 'text', text: '{"strengths":[],"weaknesses":[],"reasoning":"ok","score":7}' }],
+				usage: { input_tokens: 400, output_tokens: 30 },
+			})
+		);
+		const grader = { user: { id: 9, role: 'user' } };
+
+		const response = await handleGrader({ ...env, ANTHROPIC_API_KEY: 'test' }, { task: 'Count accounts', output: 'SELECT 1' }, grader, createLogger());
+		expect((await response.json()).grade.score).toBe(7);
+
+		const record = await env.DB.prepare('SELECT provider, model, input_tokens, output_tokens, cost_usd FROM usage_records WHERE user_id = 9').first();
+		expect(record).toEqual({ provider: 'anthropic', model: 'claude-3-5-haiku-20241022', input_tokens: 400, output_tokens: 30, cost_usd: expect.any(Number) });
+	});
+});
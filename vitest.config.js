@@ -1,11 +1,18 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+export default defineWorkersConfig(async () => {
+	// Tests run against the real schema; test/apply-migrations.js applies these to the test database
+	const migrations = await readD1Migrations('./migrations');
+
+	return {
+		test: {
+			setupFiles: ['./test/apply-migrations.js'],
+			poolOptions: {
+				workers: {
+					wrangler: { configPath: './wrangler.jsonc' },
+					miniflare: { bindings: { TEST_MIGRATIONS: migrations } },
+				},
 			},
 		},
-	},
+	};
 });